@@ -9,34 +9,66 @@
  *
  * @section features Key Features
  * - Hierarchical controller architecture with abstract base implementation
- * - Concrete controllers for mouse and touch input with unified event interfaces
+ * - Concrete controllers for mouse, touch, pointer, keyboard and wheel input with unified event interfaces
  * - Composite controller for managing multiple input sources as a single unit
- * - Lifecycle management with initialization/disposal patterns
- * - Custom event system with registration/triggering capabilities
+ * - Isolated handlers: errors go to an 'error' event or an error hook
+ * - Awaitable triggers collecting the results of async handlers
+ * - Optional coalescing of 'move' events per animation frame or throttle interval,
+ *   with the intermediate samples kept as history
+ * - Delegation: one controller on a container reports the input on its items
+ * - Input policy per controller: passive listeners, default prevention and
+ *   the touch-action/user-select styles of the element
+ * - Interactions whose end never arrives (window blur, hidden document, button
+ *   released outside of the window, lost pointer capture) end with a 'cancel'
+ *   carrying a reason; optional pausing while the document is hidden
+ * - Local pointer coordinates through CSS transforms, canvas scaling and
+ *   SVG user space with a CoordinateSpace (see coordinates.js)
+ * - Middleware chain filtering, transforming, delaying or splitting the
+ *   emitted events before the handlers (built-ins in middleware.js)
+ * - Lifecycle state machine (created, initialized, enabled, disabled, disposed)
+ *   with idempotent initialization/disposal and lifecycle events
+ * - Custom event system with registration/triggering capabilities, supporting one-time,
+ *   prioritized, namespaced, wildcard and AbortSignal bound callbacks
+ * - Normalized ControllerEvent payload shared by all input types
  * - Activation state control for all controllers
+ * - Injectable environment for running controllers headless (see headless.js)
  *
  * @section architecture Core Architecture
  * 1. AbstractController (Base Class)
  *    - Event handler registry system
- *    - Activation state management
+ *    - Lifecycle and activation state management
  *    - Element/document binding
- *    - Abstract lifecycle methods
+ *    - Abstract setup/teardown methods
  *
  * 2. Concrete Implementations:
  *    - MouseController: Normalizes mouse events ('start', 'move', 'end', 'enter', 'leave')
+ *    - HoverIntentController: Adds 'hoverstart' and 'hoverend' once the cursor slows down
  *    - TouchController: Normalizes touch events ('start', 'move', 'end', 'cancel')
  *      with touch capability detection
+ *    - PointerController: Normalizes pointer events ('start', 'move', 'end', 'cancel', 'enter', 'leave')
+ *      with pointer capture and pointer type filtering
+ *    - KeyboardController: Normalizes keyboard events ('keydown', 'keyup')
+ *      with declarative shortcut bindings
+ *    - KeyboardPointerController: Emulates the 'start', 'move', 'end' and 'cancel'
+ *      stream with the keyboard for accessibility
+ *    - WheelController: Normalizes wheel deltas ('wheel', 'zoom', 'wheelstart', 'wheelend')
  *
  * 3. MultiController (Composite):
  *    - Manages collection of child controllers
- *    - Propagates lifecycle methods and events
+ *    - Propagates lifecycle methods and events down to child controllers
+ *    - Receives events bubbling up from child controllers, tagged with their origin
+ *    - Drops compatibility mouse events emitted after touch input
  *    - Enables batch operations
  *
+ * 4. DragController (Composite subclass):
+ *    - Extends MultiController, composing input controllers into 'dragstart', 'drag', 'dragend'
+ *    - Adds thresholds, axis lock, bounds, grid snapping and inertia
+ *
  * @section usage Basic Usage Examples
  * @subsection single Single Controller
  * @code
  * const mouseCtrl = new MouseController(element);
- * mouseCtrl.registerCallback('move', (e) => console.log(e.clientX, e.clientY));
+ * mouseCtrl.registerCallback('move', (e) => console.log(e.getPointer().clientX, e.getPointer().clientY));
  * mouseCtrl.initialize();
  * @endcode
  *
@@ -51,22 +83,42 @@
  *
  * @section notes Important Notes
  * - All controllers require explicit initialization
+ * - Disposed controllers cannot be initialized again
  * - Base classes cannot be instantiated directly
  * - TouchController automatically checks for touch support
- * - Event handlers receive normalized controller events
+ * - PointerController automatically checks for Pointer Events support
+ * - Event handlers receive normalized ControllerEvent objects,
+ *   the native event is available as originalEvent
+ * - Events bubble from child controllers up through MultiController trees,
+ *   ControllerEvent.stopPropagation() stops bubbling
+ * - A throwing handler does not stop the other handlers; its error goes to the
+ *   nearest error hook or 'error' handlers up the tree, else to reportError()
+ * - registerCallback() returns the controller to keep registrations chainable;
+ *   subscribe() takes the same arguments and returns a disposer instead
  *
  * @section compatibility Compatibility
  * - Modern browsers with ES6 support
+ * - Node with the headless stand-ins from headless.js
  * - Touch events require touch-capable devices
  * - Passive event listeners used where appropriate
+ * - TouchController listens to touchstart and touchmove passively unless its
+ *   policy says otherwise; earlier versions used non-passive listeners, so
+ *   handlers calling preventDefault() now need setPolicy({passive: false})
+ *   or a preventDefault mode
  *
  * @warning Never instantiate AbstractController directly
  * @note Consider using MultiController for complex interaction scenarios
  *
  * @see AbstractController
  * @see MouseController
+ * @see HoverIntentController
  * @see TouchController
+ * @see PointerController
+ * @see KeyboardController
+ * @see KeyboardPointerController
+ * @see WheelController
  * @see MultiController
+ * @see DragController
  *
  * @author Egor Tsyganchuk
  * @date 2025-02-08
@@ -74,6 +126,501 @@
  * @license MIT
  */
 
+/**
+ * @brief Environment objects injected with Environment.configure()
+ * @type {{window?: Window, document?: Document, navigator?: Navigator}}
+ * @private
+ */
+const environmentOverrides = {};
+
+/**
+ * @class Environment
+ * @brief Access point for the global browser objects used by controllers
+ *
+ * Controllers never read window, document or navigator directly, they ask
+ * the Environment instead. By default it returns the browser globals;
+ * Environment.configure() injects replacements, e.g. the headless
+ * stand-ins from headless.js, so controllers run in Node without a DOM.
+ *
+ * @code
+ * Environment.configure({navigator: {maxTouchPoints: 5}});
+ * TouchController.isTouchSupported(); // true
+ * Environment.reset();
+ * @endcode
+ */
+class Environment {
+    /**
+     * @brief Injects replacements for the browser globals
+     * @param {Object} overrides - Objects to use instead of the globals
+     * @param {Window} [overrides.window] - Window object, also provides the
+     *        document and navigator when they are not given explicitly
+     * @param {Document} [overrides.document] - Document object
+     * @param {Navigator|Object} [overrides.navigator] - Navigator object or capabilities
+     *        such as maxTouchPoints and platform
+     * @static
+     */
+    static configure({window: win, document: doc, navigator: nav} = {}) {
+        if (win !== undefined) {
+            environmentOverrides.window = win;
+        }
+        if (doc !== undefined || (win && win.document)) {
+            environmentOverrides.document = doc !== undefined ? doc : win.document;
+        }
+        if (nav !== undefined || (win && win.navigator)) {
+            environmentOverrides.navigator = nav !== undefined ? nav : win.navigator;
+        }
+    }
+
+    /**
+     * @brief Removes all injected replacements
+     * @static
+     */
+    static reset() {
+        delete environmentOverrides.window;
+        delete environmentOverrides.document;
+        delete environmentOverrides.navigator;
+    }
+
+    /**
+     * @brief Gets the window object
+     * @return {Window|undefined} Injected or global window, undefined outside of a browser
+     * @static
+     */
+    static getWindow() {
+        if ('window' in environmentOverrides) {
+            return environmentOverrides.window;
+        }
+        return typeof window !== 'undefined' ? window : undefined;
+    }
+
+    /**
+     * @brief Gets the document object
+     * @return {Document|undefined} Injected or global document, undefined outside of a browser
+     * @static
+     */
+    static getDocument() {
+        if ('document' in environmentOverrides) {
+            return environmentOverrides.document;
+        }
+        return typeof document !== 'undefined' ? document : undefined;
+    }
+
+    /**
+     * @brief Gets the navigator object
+     * @return {Navigator|Object|undefined} Injected or global navigator, undefined if there is none
+     * @static
+     */
+    static getNavigator() {
+        if ('navigator' in environmentOverrides) {
+            return environmentOverrides.navigator;
+        }
+        return typeof navigator !== 'undefined' ? navigator : undefined;
+    }
+
+    /**
+     * @brief Schedules a callback before the next repaint
+     * @param {function(number)} callback - Callback receiving the frame timestamp
+     * @return {number} Frame request identifier
+     * @static
+     *
+     * Falls back to a 16ms timer when the window has no requestAnimationFrame.
+     */
+    static requestFrame(callback) {
+        const win = Environment.getWindow();
+        if (win && typeof win.requestAnimationFrame === 'function') {
+            return win.requestAnimationFrame(callback);
+        }
+        return setTimeout(() => callback(performance.now()), 16);
+    }
+
+    /**
+     * @brief Cancels a callback scheduled with requestFrame()
+     * @param {number} id - Frame request identifier
+     * @static
+     */
+    static cancelFrame(id) {
+        const win = Environment.getWindow();
+        if (win && typeof win.cancelAnimationFrame === 'function') {
+            win.cancelAnimationFrame(id);
+        } else {
+            clearTimeout(id);
+        }
+    }
+
+    /**
+     * @brief Reports an error that no error handler took care of
+     * @param {*} error - Reported error
+     * @static
+     *
+     * Uses the reportError() of the window, so the error shows up like an
+     * uncaught one without interrupting the caller, and falls back to the console.
+     */
+    static reportError(error) {
+        const win = Environment.getWindow();
+        if (win && typeof win.reportError === 'function') {
+            win.reportError(error);
+        } else {
+            console.error(error);
+        }
+    }
+}
+
+/**
+ * @class ControllerEvent
+ * @brief Normalized event payload passed to controller handlers
+ *
+ * The ControllerEvent class unifies mouse, touch and pointer input into
+ * a single structure, so one handler can serve any input type. Each pointer
+ * is described by a plain object with the following fields:
+ * - id: pointer identifier (touch identifier, pointerId, or 1 for the mouse)
+ * - pointerType: 'mouse', 'pen' or 'touch'
+ * - clientX/clientY: viewport coordinates
+ * - pageX/pageY: document coordinates
+ * - x/y: coordinates relative to the bounding rect of the controlled element
+ * - pressure: normalized pressure in the range [0, 1]
+ * - localX/localY: coordinates in the coordinate space of the controller, CSS transforms
+ *   included, only set with AbstractController.setCoordinateSpace()
+ */
+class ControllerEvent {
+    /**
+     * @brief Creates an element-local pointer description
+     * @param {number} id - Pointer identifier
+     * @param {string} pointerType - Pointer type ('mouse', 'pen', 'touch')
+     * @param {{clientX: number, clientY: number, pageX: number, pageY: number}} point - Native point data
+     * @param {number} pressure - Normalized pressure
+     * @param {DOMRect|null} rect - Bounding rect of the controlled element
+     * @return {Object} Pointer description
+     * @static
+     */
+    static createPointer(id, pointerType, point, pressure, rect) {
+        return {
+            id,
+            pointerType,
+            clientX: point.clientX,
+            clientY: point.clientY,
+            pageX: point.pageX,
+            pageY: point.pageY,
+            x: rect ? point.clientX - rect.left : point.clientX,
+            y: rect ? point.clientY - rect.top : point.clientY,
+            pressure
+        };
+    }
+
+    /**
+     * @brief Creates a normalized event from a native mouse event
+     * @param {string} type - Controller event name
+     * @param {MouseEvent} e - The mouse event object
+     * @param {HTMLElement} [element] - Element the local coordinates are relative to
+     * @return {ControllerEvent} Normalized event
+     * @static
+     */
+    static fromMouseEvent(type, e, element) {
+        const rect = element ? element.getBoundingClientRect() : null;
+        const pointer = ControllerEvent.createPointer(1, 'mouse', e, e.buttons ? 0.5 : 0, rect);
+        return new ControllerEvent(type, 'mouse', e, {
+            pointers: [pointer],
+            changedPointers: [pointer],
+            buttons: e.buttons
+        });
+    }
+
+    /**
+     * @brief Creates a normalized event from a native touch event
+     * @param {string} type - Controller event name
+     * @param {TouchEvent} e - The touch event object
+     * @param {HTMLElement} [element] - Element the local coordinates are relative to
+     * @return {ControllerEvent} Normalized event
+     * @static
+     *
+     * Active touches are reported in pointers, the touches
+     * that caused the event in changedPointers.
+     */
+    static fromTouchEvent(type, e, element) {
+        const rect = element ? element.getBoundingClientRect() : null;
+        const toPointer = touch => ControllerEvent.createPointer(touch.identifier, 'touch', touch, touch.force || 0, rect);
+        return new ControllerEvent(type, 'touch', e, {
+            pointers: Array.from(e.touches, toPointer),
+            changedPointers: Array.from(e.changedTouches, toPointer),
+            buttons: e.touches.length > 0 ? 1 : 0
+        });
+    }
+
+    /**
+     * @brief Creates a normalized event from a native pointer event
+     * @param {string} type - Controller event name
+     * @param {PointerEvent} e - The pointer event object
+     * @param {HTMLElement} [element] - Element the local coordinates are relative to
+     * @return {ControllerEvent} Normalized event
+     * @static
+     */
+    static fromPointerEvent(type, e, element) {
+        const rect = element ? element.getBoundingClientRect() : null;
+        const pointer = ControllerEvent.createPointer(e.pointerId, e.pointerType, e, e.pressure, rect);
+        return new ControllerEvent(type, 'pointer', e, {
+            pointers: [pointer],
+            changedPointers: [pointer],
+            buttons: e.buttons
+        });
+    }
+
+    /**
+     * @brief Creates a normalized event from a native wheel event
+     * @param {string} type - Controller event name
+     * @param {WheelEvent} e - The wheel event object
+     * @param {HTMLElement} [element] - Element the local coordinates are relative to
+     * @return {ControllerEvent} Normalized event, the pointer is the cursor position
+     * @static
+     */
+    static fromWheelEvent(type, e, element) {
+        const rect = element ? element.getBoundingClientRect() : null;
+        const pointer = ControllerEvent.createPointer(1, 'mouse', e, 0, rect);
+        return new ControllerEvent(type, 'wheel', e, {
+            pointers: [pointer],
+            changedPointers: [pointer],
+            buttons: e.buttons || 0
+        });
+    }
+
+    /**
+     * @brief Creates a normalized event from a native keyboard event
+     * @param {string} type - Controller event name
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @return {ControllerEvent} Normalized event without pointers, carrying key, code and repeat
+     * @static
+     */
+    static fromKeyboardEvent(type, e) {
+        return Object.assign(new ControllerEvent(type, 'keyboard', e), {
+            key: e.key,
+            code: e.code,
+            repeat: e.repeat
+        });
+    }
+
+    /**
+     * @brief Constructor for ControllerEvent
+     * @param {string} type - Controller event name ('start', 'move', ...)
+     * @param {string} source - Type of the controller that produced the event ('mouse', 'touch', ...)
+     * @param {Event|null} originalEvent - Native event the controller event was created from
+     * @param {Object} [init={}] - Event data
+     * @param {Object[]} [init.pointers=[]] - Active pointers
+     * @param {Object[]} [init.changedPointers=init.pointers] - Pointers that caused the event
+     * @param {number} [init.buttons=0] - Pressed buttons bitmask
+     */
+    constructor(type, source, originalEvent, {pointers = [], changedPointers = pointers, buttons = 0} = {}) {
+        /**
+         * @property {string} type - Controller event name
+         */
+        this.type = type;
+
+        /**
+         * @property {string} source - Type of the controller that produced the event
+         */
+        this.source = source;
+
+        /**
+         * @property {Object[]} pointers - Active pointers
+         */
+        this.pointers = pointers;
+
+        /**
+         * @property {Object[]} changedPointers - Pointers that caused the event
+         */
+        this.changedPointers = changedPointers;
+
+        /**
+         * @property {number} buttons - Pressed buttons bitmask
+         */
+        this.buttons = buttons;
+
+        /**
+         * @property {boolean} altKey - Whether the Alt key was pressed
+         */
+        this.altKey = Boolean(originalEvent && originalEvent.altKey);
+
+        /**
+         * @property {boolean} ctrlKey - Whether the Control key was pressed
+         */
+        this.ctrlKey = Boolean(originalEvent && originalEvent.ctrlKey);
+
+        /**
+         * @property {boolean} metaKey - Whether the Meta key was pressed
+         */
+        this.metaKey = Boolean(originalEvent && originalEvent.metaKey);
+
+        /**
+         * @property {boolean} shiftKey - Whether the Shift key was pressed
+         */
+        this.shiftKey = Boolean(originalEvent && originalEvent.shiftKey);
+
+        /**
+         * @property {number} timeStamp - Time at which the event was created, in milliseconds
+         */
+        this.timeStamp = originalEvent ? originalEvent.timeStamp : performance.now();
+
+        /**
+         * @property {Event|null} originalEvent - Native event the controller event was created from
+         */
+        this.originalEvent = originalEvent;
+
+        /**
+         * @property {ControllerInterface|null} controller - Controller that triggered the event first,
+         *           set when the event is triggered
+         */
+        this.controller = null;
+
+        /**
+         * @property {Element|null} delegateTarget - Item matched by the delegate selector
+         *           of the controller, null without delegation
+         */
+        this.delegateTarget = null;
+
+        /**
+         * @property {boolean} __propagationStopped - Whether bubbling through parent controllers was stopped
+         * @private
+         */
+        this.__propagationStopped = false;
+    }
+
+    /**
+     * @brief Gets a pointer of the event
+     * @param {number} [index=0] - Index of the pointer
+     * @return {Object|null} Active pointer at the given index, falling back to the
+     *         changed pointers when no pointer is active (e.g. on touch end)
+     */
+    getPointer(index = 0) {
+        const pointers = this.pointers.length > 0 ? this.pointers : this.changedPointers;
+        return pointers[index] || null;
+    }
+
+    /**
+     * @brief Prevents the default action of the original event
+     */
+    preventDefault() {
+        if (this.originalEvent) {
+            this.originalEvent.preventDefault();
+        }
+    }
+
+    /**
+     * @brief Stops bubbling of the event through parent controllers
+     *
+     * Unlike stopPropagation(), the original event keeps propagating.
+     */
+    stopBubbling() {
+        this.__propagationStopped = true;
+    }
+
+    /**
+     * @brief Stops propagation of the event
+     *
+     * Stops bubbling of the event through parent controllers
+     * and propagation of the original event.
+     */
+    stopPropagation() {
+        this.stopBubbling();
+        if (this.originalEvent) {
+            this.originalEvent.stopPropagation();
+        }
+    }
+
+    /**
+     * @brief Checks if propagation of the event was stopped
+     * @return {boolean} True if stopPropagation() or stopBubbling() was called
+     */
+    isPropagationStopped() {
+        return this.__propagationStopped;
+    }
+
+    /**
+     * @brief Checks if the default action of the original event was prevented
+     * @return {boolean} True if the default action was prevented
+     */
+    get defaultPrevented() {
+        return Boolean(this.originalEvent && this.originalEvent.defaultPrevented);
+    }
+
+    /**
+     * @brief Serializes the event without its native event, controller, delegate target and private state
+     * @return {Object} JSON compatible copy of the event fields
+     */
+    toJSON() {
+        const data = {};
+        Object.keys(this)
+            .filter(key => key !== 'originalEvent' && key !== 'controller' && key !== 'delegateTarget'
+                && !key.startsWith('__'))
+            .forEach(key => {
+                data[key] = this[key];
+            });
+        return data;
+    }
+
+    /**
+     * @brief Restores an event serialized with toJSON()
+     * @param {Object} data - Serialized event fields
+     * @return {ControllerEvent} Restored event without native event
+     * @static
+     */
+    static fromJSON(data) {
+        const event = new ControllerEvent(data.type, data.source, null);
+        return Object.assign(event, data);
+    }
+}
+
+/**
+ * @enum {string}
+ * @brief Lifecycle states of a controller
+ *
+ * A controller starts in CREATED. initialize() sets it up and moves it through
+ * INITIALIZED to ENABLED; setEnabled() switches between ENABLED and DISABLED;
+ * dispose() tears it down into the terminal DISPOSED state. Every transition
+ * triggers the lifecycle event of the same name ('initialized', 'enabled',
+ * 'disabled', 'disposed') on the controller.
+ */
+const ControllerState = Object.freeze({
+    CREATED: 'created',
+    INITIALIZED: 'initialized',
+    ENABLED: 'enabled',
+    DISABLED: 'disabled',
+    DISPOSED: 'disposed'
+});
+
+/**
+ * @enum {string}
+ * @brief Reasons of the 'cancel' events controllers synthesize
+ *
+ * The reason is set as the reason field of the event; 'cancel' events
+ * coming from native cancel events, such as touchcancel, have none.
+ */
+const CancelReason = Object.freeze({
+    BLUR: 'blur',
+    HIDDEN: 'hidden',
+    RELEASED: 'released',
+    CAPTURE_LOST: 'capturelost',
+    DISABLED: 'disabled'
+});
+
+/**
+ * @brief Input policy of a controller before setPolicy() is called
+ * @type {{passive: boolean|Object.<string, boolean>|null, preventDefault: string|null, threshold: number,
+ *         touchAction: string|null, userSelect: string|null}}
+ * @private
+ */
+const DEFAULT_POLICY = Object.freeze({
+    passive: null,
+    preventDefault: null,
+    threshold: 10,
+    touchAction: null,
+    userSelect: null
+});
+
+/**
+ * @brief Inline styles of the elements styled by a policy, as they were before,
+ *        with the number of controllers currently styling each element
+ * @type {WeakMap<Element, {count: number, saved: Object.<string, string>}>}
+ * @private
+ */
+const policyStyles = new WeakMap();
+
 /**
  * @interface ControllerInterface
  * @brief Abstract base class providing event handling infrastructure
@@ -110,6 +657,23 @@ class ControllerInterface {
     getDocument() {
     }
 
+    /**
+     * @abstract
+     * @brief Gets the composite controller this controller belongs to
+     * @return {ControllerInterface|null} The parent controller, null for a root controller
+     */
+    getParent() {
+    }
+
+    /**
+     * @abstract
+     * @brief Sets the composite controller this controller belongs to
+     * @param {ControllerInterface|null} parent - The parent controller, null to detach
+     * @return void
+     */
+    setParent(parent) {
+    }
+
     /**
      * @abstract
      * @brief Gets the current enabled state of the controller
@@ -130,18 +694,37 @@ class ControllerInterface {
     /**
      * @abstract
      * @brief Registers a callback for a specific event
-     * @param {string} event - Event name to register handler for
+     * @param {string} event - Event name to register handler for, optionally namespaced
+     *        ('move.tooltip'), or '*' for all events
      * @param {function} callback - Callback function to register
+     * @param {Object} [options={}] - Registration options
+     * @param {boolean} [options.once=false] - Whether to unregister the callback after its first call
+     * @param {number} [options.priority=0] - Callbacks with a higher priority are called first
+     * @param {AbortSignal} [options.signal] - Signal unregistering the callback when aborted
+     * @param {boolean} [options.internal=false] - Whether unregisterCallback() without
+     *        the callback leaves it registered
      * @return {ControllerInterface} Returns this for chaining
      */
-    registerCallback(event, callback) {
+    registerCallback(event, callback, options) {
+    }
+
+    /**
+     * @abstract
+     * @brief Registers a callback and returns a function unregistering it
+     * @param {string} event - Event name to register handler for, see registerCallback()
+     * @param {function} callback - Callback function to register
+     * @param {Object} [options={}] - Registration options, see registerCallback()
+     * @return {function(): void} Disposer unregistering the callback
+     */
+    subscribe(event, callback, options) {
     }
 
     /**
      * @abstract
      * @brief Unregisters a callback for a specific event
-     * @param {string} event - Event name to unregister from
-     * @param {function} callback - Callback function to remove
+     * @param {string} event - Event name to unregister from, optionally namespaced
+     *        ('move.tooltip'), or a namespace only ('.tooltip') to unregister it from all events
+     * @param {function} [callback] - Callback function to remove, all matching callbacks when omitted
      * @return {ControllerInterface} Returns this for chaining
      */
     unregisterCallback(event, callback) {
@@ -157,6 +740,63 @@ class ControllerInterface {
     trigger(event, ...args) {
     }
 
+    /**
+     * @abstract
+     * @brief Calls the handlers registered on this controller only
+     * @param {string} event - Event name to dispatch
+     * @param {Array} args - Arguments to pass to handlers
+     * @return void
+     */
+    dispatch(event, args) {
+    }
+
+    /**
+     * @abstract
+     * @brief Calls the handlers registered on this controller only and awaits them
+     * @param {string} event - Event name to dispatch
+     * @param {Array} args - Arguments to pass to handlers
+     * @param {Object} [options={}] - Dispatch options
+     * @param {boolean} [options.parallel=false] - Whether to run the handlers concurrently
+     * @return {Promise<Array<{status: string, value: *, reason: *}>>} Settled handler results
+     */
+    dispatchAsync(event, args, options) {
+    }
+
+    /**
+     * @abstract
+     * @brief Passes a handler error to the error hook or the 'error' handlers of this controller
+     * @param {{error: *, event: string, handler: function, controller: ControllerInterface}} details - Error details
+     * @return {boolean} True if the error was handled
+     */
+    handleError(details) {
+    }
+
+    /**
+     * @abstract
+     * @brief Calls the handlers of this controller and of its sub-controllers, without bubbling
+     * @param {string} event - Event name to notify
+     * @param {Array} args - Arguments to pass to handlers
+     * @return void
+     */
+    notify(event, args) {
+    }
+
+    /**
+     * @abstract
+     * @brief Gets the lifecycle state of the controller
+     * @return {string} One of the ControllerState values
+     */
+    getLifecycleState() {
+    }
+
+    /**
+     * @abstract
+     * @brief Checks if the controller is initialized and not disposed yet
+     * @return {boolean} True if initialized
+     */
+    isInitialized() {
+    }
+
     /**
      * @abstract
      * @brief Abstract method to initialize the controller
@@ -188,23 +828,31 @@ class AbstractController extends ControllerInterface {
      * @param {Document} [doc=document] - Document instance to register global events
      * @throws {Error} If instantiated directly (without inheritance)
      */
-    constructor(element, doc = document) {
+    constructor(element, doc = Environment.getDocument()) {
         super();
         if (new.target === AbstractController) {
             throw new Error("Cannot instantiate abstract class 'AbstractController' directly");
         }
 
         /**
-         * @property {boolean} __enabled - Activation state of the controller
+         * @property {string} __lifecycleState - Lifecycle state of the controller, one of ControllerState
+         * @private
+         */
+        this.__lifecycleState = ControllerState.CREATED;
+
+        /**
+         * @property {Object.<string, Array<{callback: function, namespace: string|null, priority: number,
+         *           once: boolean, internal: boolean, order: number, signal: AbortSignal|null,
+         *           abort: function|null}>>} __handlers - Event callback registry
          * @private
          */
-        this.__enabled = false;
+        this.__handlers = {};
 
         /**
-         * @property {Object.<string, function[]>} __handlers - Event callback registry
+         * @property {number} __registrations - Number of registrations so far, orders equal priorities
          * @private
          */
-        this.__handlers = [];
+        this.__registrations = 0;
 
         /**
          * @property {HTMLElement} __element - The controlled DOM element
@@ -217,7 +865,127 @@ class AbstractController extends ControllerInterface {
          * @private
          */
         this.__document = doc;
-    }
+
+        /**
+         * @property {ControllerInterface|null} __parent - Composite controller this controller belongs to
+         * @private
+         */
+        this.__parent = null;
+
+        /**
+         * @property {function|null} __errorHandler - Hook receiving the errors of the handlers
+         * @private
+         */
+        this.__errorHandler = null;
+
+        /**
+         * @property {string|number|null} __moveScheduling - 'frame', throttle interval in milliseconds,
+         *           or null to trigger every move
+         * @private
+         */
+        this.__moveScheduling = null;
+
+        /**
+         * @property {Map<*, ControllerEvent[]>} __pendingMoves - Buffered move events, per pointer
+         * @private
+         */
+        this.__pendingMoves = new Map();
+
+        /**
+         * @property {number|null} __moveTimer - Pending frame or timer flushing the buffered moves
+         * @private
+         */
+        this.__moveTimer = null;
+
+        /**
+         * @property {number} __lastMoveFlush - Time the buffered moves were last flushed at
+         * @private
+         */
+        this.__lastMoveFlush = -Infinity;
+
+        /**
+         * @property {string|null} __delegate - Selector of the delegated items, null without delegation
+         * @private
+         */
+        this.__delegate = null;
+
+        /**
+         * @property {Map<number, Element>} __delegateTargets - Items pressed by the active pointers
+         * @private
+         */
+        this.__delegateTargets = new Map();
+
+        /**
+         * @property {Object} __policy - Input policy, see setPolicy()
+         * @private
+         */
+        this.__policy = DEFAULT_POLICY;
+
+        /**
+         * @property {Map<number, {pointer: Object, source: string, x: number, y: number, moved: boolean}>}
+         *           __activePointers - Pressed pointers by identifier, with their latest position, the source
+         *           of their events, their press position and whether they moved past the policy threshold
+         * @private
+         */
+        this.__activePointers = new Map();
+
+        /**
+         * @property {Set<number>} __cancelledPointers - Pointers cancelled by cancelInteraction()
+         *           whose native release is still to come
+         * @private
+         */
+        this.__cancelledPointers = new Set();
+
+        /**
+         * @property {CoordinateSpace|null} __coordinateSpace - Space of the local pointer coordinates
+         * @private
+         */
+        this.__coordinateSpace = null;
+
+        /**
+         * @property {function[]} __middleware - Middleware the emitted events go through, see use()
+         * @private
+         */
+        this.__middleware = [];
+
+        /**
+         * @property {Array<{target: EventTarget, type: string, handler: function, options: Object,
+         *           baseOptions: Object}>} __listeners - DOM listeners added with addListener(), with the options
+         *           they were added with and the options of the controller
+         * @private
+         */
+        this.__listeners = [];
+
+        /**
+         * @property {boolean} __stylesApplied - Whether the policy styles are applied to the element
+         * @private
+         */
+        this.__stylesApplied = false;
+
+        /**
+         * @property {boolean} __pauseWhenHidden - Whether the controller is disabled while the document is hidden
+         * @private
+         */
+        this.__pauseWhenHidden = false;
+
+        /**
+         * @property {boolean} __pausedWhileHidden - Whether the controller was disabled because the document got hidden
+         * @private
+         */
+        this.__pausedWhileHidden = false;
+
+        /**
+         * @property {function} blurHandler - Bound window blur handler
+         * @private
+         */
+        this.blurHandler = this.handleBlur.bind(this);
+
+        /**
+         * @property {function} visibilityChangeHandler - Bound visibility change handler
+         * @private
+         */
+        this.visibilityChangeHandler = this.handleVisibilityChange.bind(this);
+    }
 
     /**
      * @override
@@ -238,374 +1006,3246 @@ class AbstractController extends ControllerInterface {
     }
 
     /**
-     * @override
-     * @brief Gets the current enabled state of the controller
-     * @return {boolean} True if enabled, false if disabled
+     * @override
+     * @brief Gets the composite controller this controller belongs to
+     * @return {ControllerInterface|null} The parent controller, null for a root controller
+     */
+    getParent() {
+        return this.__parent;
+    }
+
+    /**
+     * @override
+     * @brief Sets the composite controller this controller belongs to
+     * @param {ControllerInterface|null} parent - The parent controller, null to detach
+     * @return void
+     */
+    setParent(parent) {
+        this.__parent = parent;
+    }
+
+    /**
+     * @override
+     * @brief Gets the current enabled state of the controller
+     * @return {boolean} True if enabled, false if disabled
+     */
+    getEnabled() {
+        return this.__lifecycleState === ControllerState.ENABLED;
+    }
+
+    /**
+     * @override
+     * @brief Sets the enabled state of the controller
+     * @param {boolean} enabled - Whether to enable or disable
+     * @return void
+     * @throws {Error} If enabling a controller that is not initialized or already disposed
+     *
+     * Setting the current state again does nothing. Disabling a controller
+     * that is not initialized or already disposed does nothing either.
+     * Disabling a controller during an interaction triggers 'cancel'
+     * with the reason CancelReason.DISABLED first.
+     */
+    setEnabled(enabled) {
+        if (!this.isInitialized()) {
+            if (enabled) {
+                throw new Error(`Cannot enable controller in state '${this.__lifecycleState}'`);
+            }
+            return;
+        }
+
+        this.__pausedWhileHidden = false;
+        const state = enabled ? ControllerState.ENABLED : ControllerState.DISABLED;
+        if (state !== this.__lifecycleState) {
+            if (enabled) {
+                this.applyStyles();
+            } else {
+                this.cancelInteraction(CancelReason.DISABLED);
+                this.cancelMoves();
+                this.__delegateTargets.clear();
+                this.__activePointers.clear();
+                this.restoreStyles();
+            }
+            this.transition(state);
+        }
+    }
+
+    /**
+     * @override
+     * @brief Gets the lifecycle state of the controller
+     * @return {string} One of the ControllerState values
+     */
+    getLifecycleState() {
+        return this.__lifecycleState;
+    }
+
+    /**
+     * @override
+     * @brief Checks if the controller is initialized and not disposed yet
+     * @return {boolean} True in the INITIALIZED, ENABLED and DISABLED states
+     */
+    isInitialized() {
+        return this.__lifecycleState !== ControllerState.CREATED
+            && this.__lifecycleState !== ControllerState.DISPOSED;
+    }
+
+    /**
+     * @brief Moves the controller to a new lifecycle state
+     * @param {string} state - Target state, one of ControllerState
+     * @private
+     *
+     * Calls the handlers of the lifecycle event named after the state,
+     * whether the controller is enabled or not. Lifecycle events
+     * do not bubble up to parent controllers.
+     */
+    transition(state) {
+        const previousState = this.__lifecycleState;
+        this.__lifecycleState = state;
+        this.invoke(state, [Object.assign(new ControllerEvent(state, 'lifecycle', null), {
+            controller: this,
+            state,
+            previousState
+        })]);
+    }
+
+    /**
+     * @override
+     * @brief Initializes the controller
+     * @throws {Error} If the controller is already disposed
+     *
+     * Sets up the controller and enables it. Initializing
+     * an initialized controller does nothing.
+     */
+    initialize() {
+        if (this.isInitialized()) {
+            return;
+        }
+        if (this.__lifecycleState === ControllerState.DISPOSED) {
+            throw new Error("Cannot initialize a disposed controller");
+        }
+        this.watchFocus();
+        this.setup();
+        this.transition(ControllerState.INITIALIZED);
+        this.setEnabled(true);
+    }
+
+    /**
+     * @override
+     * @brief Cleans up controller resources
+     *
+     * Disables the controller, tears it down and moves it to the terminal
+     * DISPOSED state. A controller that was never initialized is disposed
+     * without teardown; disposing a disposed controller does nothing.
+     */
+    dispose() {
+        if (this.__lifecycleState === ControllerState.DISPOSED) {
+            return;
+        }
+        if (this.isInitialized()) {
+            this.setEnabled(false);
+            this.teardown();
+            this.removeListeners();
+        }
+        this.transition(ControllerState.DISPOSED);
+    }
+
+    /**
+     * @brief Listens to the window focus and document visibility
+     * @private
+     *
+     * Both end the interactions in progress, see cancelInteraction().
+     */
+    watchFocus() {
+        const doc = this.getDocument();
+        const win = (doc && doc.defaultView) || Environment.getWindow();
+        if (win) {
+            this.addListener(win, 'blur', this.blurHandler);
+        }
+        if (doc) {
+            this.addListener(doc, 'visibilitychange', this.visibilityChangeHandler);
+        }
+    }
+
+    /**
+     * @brief Handles the window losing focus
+     * @param {FocusEvent} e - The focus event object
+     * @private
+     */
+    handleBlur(e) {
+        this.cancelInteraction(CancelReason.BLUR, e);
+    }
+
+    /**
+     * @brief Handles the document getting hidden or visible
+     * @param {Event} e - The visibilitychange event object
+     * @private
+     */
+    handleVisibilityChange(e) {
+        if (this.getDocument().visibilityState === 'hidden') {
+            this.cancelInteraction(CancelReason.HIDDEN, e);
+            if (this.__pauseWhenHidden && this.getEnabled()) {
+                this.setEnabled(false);
+                this.__pausedWhileHidden = true;
+            }
+        } else if (this.__pausedWhileHidden) {
+            this.setEnabled(true);
+        }
+    }
+
+    /**
+     * @brief Gets whether the controller is paused while the document is hidden
+     * @return {boolean} True if paused while hidden
+     */
+    getPauseWhenHidden() {
+        return this.__pauseWhenHidden;
+    }
+
+    /**
+     * @brief Sets whether the controller is paused while the document is hidden
+     * @param {boolean} pause - True to disable the controller when the document gets hidden
+     *        and enable it again when it gets visible
+     * @return {AbstractController} Returns this for chaining
+     *
+     * Only the controllers disabled by the pause are enabled again;
+     * calling setEnabled() while hidden ends the pause.
+     */
+    setPauseWhenHidden(pause) {
+        this.__pauseWhenHidden = pause;
+        if (!pause && this.__pausedWhileHidden) {
+            this.setEnabled(true);
+        }
+        return this;
+    }
+
+    /**
+     * @brief Checks if an interaction is in progress
+     * @return {boolean} True while a pointer is pressed, from its 'start' to its 'end' or 'cancel'
+     */
+    isInteracting() {
+        return this.__activePointers.size > 0;
+    }
+
+    /**
+     * @brief Ends the interaction in progress with a synthesized 'cancel'
+     * @param {string} reason - Why the interaction is cancelled, one of CancelReason or a custom value
+     * @param {Event|null} [nativeEvent=null] - Native event causing the cancellation
+     * @param {number[]|null} [pointerIds=null] - Identifiers of the pointers to cancel, null for all of them
+     * @return {boolean} True if a 'cancel' was emitted
+     *
+     * Controllers call this method when the native 'end' of an interaction
+     * will never come: the window lost focus, the document got hidden, the
+     * mouse button was released outside of the window or the pointer capture
+     * was lost. The event carries the cancelled pointers as changedPointers,
+     * the reason in its reason field and the pressed item as delegateTarget.
+     * The native release of a cancelled pointer, if it comes after all,
+     * is not emitted as 'end'. Like the emitted events, the 'cancel' goes
+     * through the middleware chain, see use().
+     */
+    cancelInteraction(reason, nativeEvent = null, pointerIds = null) {
+        const ids = Array.from(this.__activePointers.keys())
+            .filter(id => pointerIds === null || pointerIds.includes(id));
+        if (ids.length === 0) {
+            return false;
+        }
+
+        const cancelled = ids.map(id => this.__activePointers.get(id));
+        ids.forEach(id => {
+            this.__activePointers.delete(id);
+            this.__cancelledPointers.add(id);
+        });
+        this.flushMoves();
+        const payload = new ControllerEvent('cancel', cancelled[0].source, nativeEvent, {
+            pointers: Array.from(this.__activePointers.values()).map(active => active.pointer),
+            changedPointers: cancelled.map(active => active.pointer)
+        });
+        payload.reason = reason;
+        if (this.__delegate !== null) {
+            payload.delegateTarget = this.__delegateTargets.get(ids[0]) || null;
+            ids.forEach(id => this.__delegateTargets.delete(id));
+        }
+        this.runMiddleware(this.getMiddlewareChain(), 0, 'cancel', payload);
+        return true;
+    }
+
+    /**
+     * @brief Checks if an event is the late native release of cancelled pointers
+     * @param {string} event - Controller event name
+     * @param {ControllerEvent} payload - Normalized event
+     * @return {boolean} True if the event is to be dropped
+     * @private
+     */
+    isCancelledRelease(event, payload) {
+        const ids = payload.changedPointers.map(pointer => pointer.id);
+        if (event === 'start') {
+            ids.forEach(id => this.__cancelledPointers.delete(id));
+            return false;
+        }
+        if (event !== 'end' && event !== 'cancel') {
+            return false;
+        }
+        const cancelled = ids.length > 0 && ids.every(id => this.__cancelledPointers.has(id));
+        ids.forEach(id => this.__cancelledPointers.delete(id));
+        return cancelled;
+    }
+
+    /**
+     * @brief Updates the pressed pointers with an event
+     * @param {string} event - Controller event name
+     * @param {ControllerEvent} payload - Normalized event
+     * @return {Object[]} Entries of the pressed pointers the event changes
+     * @private
+     */
+    trackPointers(event, payload) {
+        if (event === 'start') {
+            payload.changedPointers.forEach(pointer => {
+                this.__activePointers.set(pointer.id, {
+                    pointer,
+                    source: payload.source,
+                    x: pointer.clientX,
+                    y: pointer.clientY,
+                    moved: false
+                });
+            });
+        } else if (event !== 'move' && event !== 'end' && event !== 'cancel') {
+            return [];
+        }
+
+        const threshold = this.__policy.threshold;
+        const pressed = payload.changedPointers.filter(pointer => this.__activePointers.has(pointer.id)).map(pointer => {
+            const active = this.__activePointers.get(pointer.id);
+            active.pointer = pointer;
+            if (Math.hypot(pointer.clientX - active.x, pointer.clientY - active.y) > threshold) {
+                active.moved = true;
+            }
+            return active;
+        });
+        if (event === 'end' || event === 'cancel') {
+            payload.changedPointers.forEach(pointer => this.__activePointers.delete(pointer.id));
+        }
+        return pressed;
+    }
+
+    /**
+     * @brief Sets up the controller resources, such as DOM listeners
+     * @protected
+     *
+     * Called once by initialize(). Concrete controllers override this method.
+     */
+    setup() {
+    }
+
+    /**
+     * @brief Releases the resources acquired by setup()
+     * @protected
+     *
+     * Called once by dispose(). Concrete controllers override this method.
+     */
+    teardown() {
+    }
+
+    /**
+     * @brief Splits a namespaced event name
+     * @param {string} event - Event name such as 'move', 'move.tooltip' or '.tooltip'
+     * @return {{name: string, namespace: string|null}} Event name (empty for a namespace only)
+     *         and namespace (null when not namespaced)
+     * @static
+     */
+    static parseEventName(event) {
+        const index = event.indexOf('.');
+        return index === -1
+            ? {name: event, namespace: null}
+            : {name: event.slice(0, index), namespace: event.slice(index + 1)};
+    }
+
+    /**
+     * @override
+     * @brief Registers a callback for a specific event
+     * @param {string} event - Event name to register handler for, optionally namespaced
+     *        ('move.tooltip'), or '*' for all events
+     * @param {function} callback - Callback function to register. Wildcard callbacks
+     *        receive the event name before the event arguments
+     * @param {Object} [options={}] - Registration options
+     * @param {boolean} [options.once=false] - Whether to unregister the callback after its first call
+     * @param {number} [options.priority=0] - Callbacks with a higher priority are called first,
+     *        callbacks with equal priorities in registration order
+     * @param {AbortSignal} [options.signal] - Signal unregistering the callback when aborted
+     * @param {boolean} [options.internal=false] - Whether the callback belongs to a component built
+     *        on the controller, such as a gesture recognizer; unregisterCallback() only removes it
+     *        when given the callback itself
+     * @return {AbstractController} Returns this for chaining
+     * @throws {Error} If the event name is empty
+     *
+     * Registrations return the controller so that they chain like the rest
+     * of the API, see the usage examples. To get a disposer removing exactly
+     * this registration, call subscribe() with the same arguments instead.
+     */
+    registerCallback(event, callback, options = {}) {
+        this.subscribe(event, callback, options);
+        return this;
+    }
+
+    /**
+     * @override
+     * @brief Registers a callback and returns a function unregistering it
+     * @param {string} event - Event name to register handler for, see registerCallback()
+     * @param {function} callback - Callback function to register
+     * @param {Object} [options={}] - Registration options, see registerCallback()
+     * @return {function(): void} Disposer unregistering exactly this registration
+     * @throws {Error} If the event name is empty
+     */
+    subscribe(event, callback, {once = false, priority = 0, signal = null, internal = false} = {}) {
+        const {name, namespace} = AbstractController.parseEventName(event);
+        if (!name) {
+            throw new Error(`Cannot register callback without event name '${event}'`);
+        }
+
+        const entry = {
+            callback,
+            namespace,
+            priority,
+            once,
+            internal,
+            order: this.__registrations++,
+            signal: null,
+            abort: null
+        };
+        const dispose = () => this.removeHandlers(name, handler => handler === entry);
+        if (signal && signal.aborted) {
+            return dispose;
+        }
+        if (signal) {
+            entry.signal = signal;
+            entry.abort = dispose;
+            signal.addEventListener('abort', dispose, {once: true});
+        }
+
+        if (!this.__handlers[name]) {
+            this.__handlers[name] = [];
+        }
+        this.__handlers[name].push(entry);
+        this.__handlers[name].sort((a, b) => b.priority - a.priority || a.order - b.order);
+        return dispose;
+    }
+
+    /**
+     * @override
+     * @brief Unregisters a callback for a specific event
+     * @param {string} event - Event name to unregister from, optionally namespaced
+     *        ('move.tooltip'), or a namespace only ('.tooltip') to unregister it from all events
+     * @param {function} [callback] - Callback function to remove, all matching callbacks when omitted
+     * @return {AbstractController} Returns this for chaining
+     *
+     * Without a callback, the callbacks registered as internal are kept,
+     * so that the components built on the controller keep working.
+     */
+    unregisterCallback(event, callback) {
+        const {name, namespace} = AbstractController.parseEventName(event);
+        const names = name ? [name] : Object.keys(this.__handlers);
+        names.forEach(key => this.removeHandlers(key, handler =>
+            (callback === undefined ? !handler.internal : handler.callback === callback)
+            && (namespace === null || handler.namespace === namespace)));
+        return this;
+    }
+
+    /**
+     * @brief Removes the matching handlers of an event
+     * @param {string} name - Event name without namespace, or '*'
+     * @param {function(Object): boolean} predicate - Returns true for the handler entries to remove
+     * @private
+     *
+     * Also stops listening to the abort signals of the removed
+     * handlers, so that long-lived signals do not retain them.
+     */
+    removeHandlers(name, predicate) {
+        if (!this.__handlers[name]) {
+            return;
+        }
+        this.__handlers[name] = this.__handlers[name].filter(handler => {
+            if (!predicate(handler)) {
+                return true;
+            }
+            if (handler.signal) {
+                handler.signal.removeEventListener('abort', handler.abort);
+                handler.signal = null;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * @override
+     * @brief Triggers registered handlers for a specific event
+     * @param {string} event - Event name to trigger
+     * @param {...*} args - Arguments to pass to handlers
+     * @return {AbstractController} Returns this for chaining
+     *
+     * Notifies this controller, then bubbles the event up through the
+     * parent controllers until a handler stops its propagation.
+     * A ControllerEvent payload is tagged with the triggering controller.
+     */
+    trigger(event, ...args) {
+        if (!this.getEnabled()) {
+            return this;
+        }
+
+        const payload = args[0];
+        const isControllerEvent = payload instanceof ControllerEvent;
+        if (isControllerEvent && payload.controller === null) {
+            payload.controller = this;
+        }
+
+        this.notify(event, args);
+        for (let parent = this.getParent(); parent; parent = parent.getParent()) {
+            if (isControllerEvent && payload.isPropagationStopped()) {
+                break;
+            }
+            parent.dispatch(event, args);
+        }
+        return this;
+    }
+
+    /**
+     * @brief Triggers registered handlers for a specific event and awaits them
+     * @param {string} event - Event name to trigger
+     * @param {Array} [args=[]] - Arguments to pass to handlers
+     * @param {Object} [options={}] - Trigger options
+     * @param {boolean} [options.parallel=false] - Whether to run the handlers of each controller
+     *        concurrently instead of awaiting them one after the other
+     * @return {Promise<Array<{status: string, value: *, reason: *}>>} Results of all called handlers,
+     *         in the Promise.allSettled() format
+     *
+     * Dispatches to this controller, then bubbles up through the parent
+     * controllers like trigger(); sub-controllers are not notified.
+     * Failed handlers are reported like in trigger() as well.
+     */
+    async triggerAsync(event, args = [], {parallel = false} = {}) {
+        if (!this.getEnabled()) {
+            return [];
+        }
+
+        const payload = args[0];
+        const isControllerEvent = payload instanceof ControllerEvent;
+        if (isControllerEvent && payload.controller === null) {
+            payload.controller = this;
+        }
+
+        const results = [];
+        for (let controller = this; controller; controller = controller.getParent()) {
+            if (controller !== this && isControllerEvent && payload.isPropagationStopped()) {
+                break;
+            }
+            results.push(...await controller.dispatchAsync(event, args, {parallel}));
+        }
+        return results;
+    }
+
+    /**
+     * @override
+     * @brief Calls the handlers registered on this controller only
+     * @param {string} event - Event name to dispatch
+     * @param {Array} args - Arguments to pass to handlers
+     * @return void
+     */
+    dispatch(event, args) {
+        if (this.getEnabled()) {
+            this.invoke(event, args);
+        }
+    }
+
+    /**
+     * @override
+     * @brief Calls the handlers registered on this controller only and awaits them
+     * @param {string} event - Event name to dispatch
+     * @param {Array} args - Arguments to pass to handlers
+     * @param {Object} [options={}] - Dispatch options
+     * @param {boolean} [options.parallel=false] - Whether to run the handlers concurrently
+     * @return {Promise<Array<{status: string, value: *, reason: *}>>} Settled handler results
+     */
+    async dispatchAsync(event, args, {parallel = false} = {}) {
+        if (!this.getEnabled()) {
+            return [];
+        }
+
+        const settle = (entry, promise) => promise.then(
+            value => ({status: 'fulfilled', value}),
+            reason => {
+                this.reportError(reason, event, entry.handler.callback);
+                return {status: 'rejected', reason};
+            });
+        const run = entry => new Promise(resolve => resolve(this.callHandler(event, entry, args)));
+
+        const entries = this.getHandlerEntries(event);
+        if (parallel) {
+            return Promise.all(entries.filter(entry => this.acquireHandler(event, entry))
+                .map(entry => settle(entry, run(entry))));
+        }
+
+        const results = [];
+        for (const entry of entries) {
+            if (this.acquireHandler(event, entry)) {
+                results.push(await settle(entry, run(entry)));
+            }
+        }
+        return results;
+    }
+
+    /**
+     * @brief Calls the handlers registered for an event, whatever the enabled state is
+     * @param {string} event - Event name
+     * @param {Array} args - Arguments to pass to handlers
+     * @private
+     *
+     * Every handler runs in isolation: an error thrown by a handler, or the
+     * rejection of the promise it returns, is reported without affecting the
+     * handlers called after it.
+     */
+    invoke(event, args) {
+        this.getHandlerEntries(event).forEach(entry => {
+            if (!this.acquireHandler(event, entry)) {
+                return;
+            }
+            try {
+                const result = this.callHandler(event, entry, args);
+                if (result && typeof result.then === 'function') {
+                    result.then(undefined, error => this.reportError(error, event, entry.handler.callback));
+                }
+            } catch (error) {
+                this.reportError(error, event, entry.handler.callback);
+            }
+        });
+    }
+
+    /**
+     * @brief Gets the handlers to call for an event, including the wildcard handlers, in call order
+     * @param {string} event - Event name
+     * @return {Array<{handler: Object, wildcard: boolean}>} Handler entries
+     * @private
+     */
+    getHandlerEntries(event) {
+        return (this.__handlers[event] || []).map(handler => ({handler, wildcard: false}))
+            .concat((this.__handlers['*'] || []).map(handler => ({handler, wildcard: true})))
+            .sort((a, b) => b.handler.priority - a.handler.priority || a.handler.order - b.handler.order);
+    }
+
+    /**
+     * @brief Checks if a handler entry is still to be called, unregistering it if it is a once-handler
+     * @param {string} event - Event name
+     * @param {{handler: Object, wildcard: boolean}} entry - Handler entry
+     * @return {boolean} False if the handler was unregistered in the meantime
+     * @private
+     */
+    acquireHandler(event, {handler, wildcard}) {
+        const name = wildcard ? '*' : event;
+        if (!this.__handlers[name] || !this.__handlers[name].includes(handler)) {
+            // Unregistered by a previous handler of the same dispatch
+            return false;
+        }
+        if (handler.once) {
+            this.removeHandlers(name, other => other === handler);
+        }
+        return true;
+    }
+
+    /**
+     * @brief Calls a handler entry
+     * @param {string} event - Event name
+     * @param {{handler: Object, wildcard: boolean}} entry - Handler entry
+     * @param {Array} args - Arguments to pass to the handler
+     * @return {*} Value returned by the handler
+     * @private
+     */
+    callHandler(event, {handler, wildcard}, args) {
+        return wildcard ? handler.callback(event, ...args) : handler.callback(...args);
+    }
+
+    /**
+     * @brief Gets the hook receiving the errors of the handlers
+     * @return {function|null} The error hook, null if none is set
+     */
+    getErrorHandler() {
+        return this.__errorHandler;
+    }
+
+    /**
+     * @brief Sets the hook receiving the errors of the handlers
+     * @param {function({error: *, event: string, handler: function, controller: ControllerInterface}): void|null} handler -
+     *        Error hook, null to remove it
+     * @return {AbstractController} Returns this for chaining
+     *
+     * The hook takes precedence over the 'error' handlers of the controller
+     * and also receives the errors of its sub-controllers.
+     */
+    setErrorHandler(handler) {
+        this.__errorHandler = handler;
+        return this;
+    }
+
+    /**
+     * @override
+     * @brief Passes a handler error to the error hook or the 'error' handlers of this controller
+     * @param {{error: *, event: string, handler: function, controller: ControllerInterface}} details - Error details
+     * @return {boolean} True if the error was handled
+     */
+    handleError(details) {
+        if (this.__errorHandler) {
+            this.__errorHandler(details);
+            return true;
+        }
+        if (this.__handlers.error && this.__handlers.error.length > 0) {
+            this.invoke('error', [details]);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @brief Routes the error of a handler
+     * @param {*} error - Thrown error or rejection reason
+     * @param {string} event - Event the handler was called for
+     * @param {function} handler - Failed handler
+     * @protected
+     *
+     * Walks up from this controller to the first one with an error hook or
+     * 'error' handlers. Errors no controller handles, as well as errors of
+     * the error handlers themselves, go to Environment.reportError().
+     */
+    reportError(error, event, handler) {
+        if (event !== 'error') {
+            const details = {error, event, handler, controller: this};
+            try {
+                for (let controller = this; controller; controller = controller.getParent()) {
+                    if (controller.handleError(details)) {
+                        return;
+                    }
+                }
+            } catch (hookError) {
+                Environment.reportError(hookError);
+                return;
+            }
+        }
+        Environment.reportError(error);
+    }
+
+    /**
+     * @override
+     * @brief Calls the handlers of this controller, without bubbling
+     * @param {string} event - Event name to notify
+     * @param {Array} args - Arguments to pass to handlers
+     * @return void
+     */
+    notify(event, args) {
+        this.dispatch(event, args);
+    }
+
+    /**
+     * @brief Creates a normalized controller event from a native event
+     * @param {string} event - Controller event name
+     * @param {Event} nativeEvent - The native event object
+     * @return {ControllerEvent} Normalized event
+     *
+     * Concrete controllers override this method to describe
+     * the pointers carried by their native events.
+     */
+    createEvent(event, nativeEvent) {
+        return new ControllerEvent(event, 'unknown', nativeEvent);
+    }
+
+    /**
+     * @brief Normalizes a native event and triggers it
+     * @param {string} event - Controller event name
+     * @param {Event} nativeEvent - The native event object
+     * @param {Object|null} [fields=null] - Additional fields copied onto the normalized event
+     * @return {AbstractController} Returns this for chaining
+     *
+     * The event goes through the middleware chain, see use(),
+     * between delegation and trigger().
+     */
+    emit(event, nativeEvent, fields = null) {
+        if (!this.getEnabled()) {
+            return this;
+        }
+        const payload = Object.assign(this.createEvent(event, nativeEvent), fields);
+        if (this.isCancelledRelease(event, payload)) {
+            return this;
+        }
+        if (this.__delegate !== null && !this.resolveDelegateTarget(event, payload)) {
+            return this;
+        }
+        if (this.__coordinateSpace !== null) {
+            this.__coordinateSpace.attach(payload);
+        }
+        this.runMiddleware(this.getMiddlewareChain(), 0, event, payload);
+        return this;
+    }
+
+    /**
+     * @brief Triggers an event that went through the middleware chain
+     * @param {string} event - Controller event name
+     * @param {ControllerEvent} payload - Normalized event
+     * @protected
+     *
+     * Only called for events that reach the handlers, subclasses override it
+     * for the side effects that must not happen for dropped events.
+     */
+    deliver(event, payload) {
+        this.preventDefaultByPolicy(payload, this.trackPointers(event, payload));
+        if (event === 'move' && this.__moveScheduling !== null) {
+            this.scheduleMove(payload);
+            return;
+        }
+        // Keeps the buffered moves ahead of the event that follows them
+        this.flushMoves();
+        this.trigger(event, payload);
+    }
+
+    /**
+     * @brief Adds a middleware at the end of the chain
+     * @param {function(string, ControllerEvent, function(string=, ControllerEvent=): void, AbstractController): void} middleware -
+     *        Called with the event name, the event, next and the emitting controller
+     * @return {AbstractController} Returns this for chaining
+     * @throws {Error} If the middleware is not a function
+     *
+     * Every event emitted from a native event goes through the middleware
+     * chain before the handlers see it. A middleware passes the event on by
+     * calling next(), optionally with another event name or event object:
+     * - modifying the event and calling next() transforms it
+     * - not calling next() drops it
+     * - calling next() later, for instance from a timer, delays it
+     * - calling next() several times splits it
+     *
+     * The middleware of the parent controllers run after the ones of the
+     * controller, so that the middleware of a MultiController filter the
+     * input of all of its sub-controllers. The 'cancel' synthesized for an
+     * interrupted interaction goes through the chain as well. An error thrown
+     * by a middleware is reported like a handler error and drops the event.
+     *
+     * @code
+     * ctrl.use((event, e, next) => {
+     *     if (event !== 'move' || e.getPointer().y > 0) {
+     *         next();
+     *     }
+     * });
+     * @endcode
+     */
+    use(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new Error('Middleware must be a function');
+        }
+        this.__middleware.push(middleware);
+        return this;
+    }
+
+    /**
+     * @brief Removes a middleware from the chain
+     * @param {function} middleware - Middleware added with use()
+     * @return {AbstractController} Returns this for chaining
+     */
+    removeMiddleware(middleware) {
+        this.__middleware = this.__middleware.filter(other => other !== middleware);
+        return this;
+    }
+
+    /**
+     * @brief Gets the middleware of this controller
+     * @return {function[]} Copy of the chain in call order, without the parent middleware
+     */
+    getMiddleware() {
+        return this.__middleware.slice();
+    }
+
+    /**
+     * @brief Gets the middleware the emitted events go through
+     * @return {function[]} Middleware of this controller followed by the ones of its parents
+     * @private
+     */
+    getMiddlewareChain() {
+        let chain = this.__middleware;
+        for (let parent = this.getParent(); parent; parent = parent.getParent()) {
+            if (typeof parent.getMiddleware === 'function') {
+                chain = chain.concat(parent.getMiddleware());
+            }
+        }
+        return chain;
+    }
+
+    /**
+     * @brief Passes an event to a middleware of a chain, or delivers it at the end of the chain
+     * @param {function[]} chain - Middleware chain
+     * @param {number} index - Position of the middleware in the chain
+     * @param {string} event - Controller event name
+     * @param {ControllerEvent} payload - Normalized event
+     * @private
+     */
+    runMiddleware(chain, index, event, payload) {
+        if (index === chain.length) {
+            this.deliver(event, payload);
+            return;
+        }
+        const next = (nextEvent = event, nextPayload = payload) => {
+            this.runMiddleware(chain, index + 1, nextEvent, nextPayload);
+        };
+        try {
+            chain[index](event, payload, next, this);
+        } catch (error) {
+            this.reportError(error, event, chain[index]);
+        }
+    }
+
+    /**
+     * @brief Gets the selector of the delegated items
+     * @return {string|null} CSS selector, null without delegation
+     */
+    getDelegate() {
+        return this.__delegate;
+    }
+
+    /**
+     * @brief Sets the selector of the delegated items
+     * @param {string|null} selector - CSS selector of the items inside of the element,
+     *        null to disable delegation
+     * @return {AbstractController} Returns this for chaining
+     *
+     * With delegation, the element is a container and the controller reports
+     * the input on the items inside of it matching the selector, resolved with
+     * closest() from the target of each native event. Items added or removed
+     * later need no extra setup. The matched item is set as delegateTarget:
+     * - 'start' is only triggered on an item, which is kept for the 'move',
+     *   'end' and 'cancel' events of the same pointer until it is released,
+     *   even if the pointer leaves the item
+     * - 'move' without a pressed item is only triggered over an item
+     * - 'end' and 'cancel' are only triggered for a pressed item
+     * - Other events, such as 'enter' and 'leave', concern the container
+     *   and are triggered with a null delegateTarget
+     */
+    setDelegate(selector) {
+        this.__delegate = selector;
+        this.__delegateTargets.clear();
+        return this;
+    }
+
+    /**
+     * @brief Finds the delegated item a native event happened on
+     * @param {Event} nativeEvent - The native event object
+     * @return {Element|null} Item inside of the element matching the selector, null if none
+     * @private
+     */
+    findDelegateTarget(nativeEvent) {
+        const source = nativeEvent && nativeEvent.changedTouches && nativeEvent.changedTouches.length > 0
+            ? nativeEvent.changedTouches[0] : nativeEvent;
+        const target = source && source.target;
+        if (!target || typeof target.closest !== 'function') {
+            return null;
+        }
+        const item = target.closest(this.__delegate);
+        return item && item !== this.getElement() && this.getElement().contains(item) ? item : null;
+    }
+
+    /**
+     * @brief Sets the delegate target of an event
+     * @param {string} event - Controller event name
+     * @param {ControllerEvent} payload - Normalized event
+     * @return {boolean} False if the event concerns no delegated item and is dropped
+     * @private
+     */
+    resolveDelegateTarget(event, payload) {
+        const pointer = payload.changedPointers[0] || payload.getPointer();
+        const key = pointer ? pointer.id : null;
+        const pressed = this.__delegateTargets.has(key) ? this.__delegateTargets.get(key) : null;
+
+        if (event === 'start') {
+            payload.delegateTarget = this.findDelegateTarget(payload.originalEvent);
+            if (payload.delegateTarget) {
+                this.__delegateTargets.set(key, payload.delegateTarget);
+            }
+        } else if (event === 'move') {
+            payload.delegateTarget = pressed || this.findDelegateTarget(payload.originalEvent);
+        } else if (event === 'end' || event === 'cancel') {
+            payload.delegateTarget = pressed;
+            this.__delegateTargets.delete(key);
+        } else {
+            return true;
+        }
+        return payload.delegateTarget !== null;
+    }
+
+    /**
+     * @brief Gets the space of the local pointer coordinates
+     * @return {CoordinateSpace|null} The coordinate space, null if none is set
+     */
+    getCoordinateSpace() {
+        return this.__coordinateSpace;
+    }
+
+    /**
+     * @brief Sets the space of the local pointer coordinates
+     * @param {CoordinateSpace|null} space - Coordinate space from coordinates.js, null to remove it
+     * @return {AbstractController} Returns this for chaining
+     *
+     * The pointers of the emitted events, including the samples of their
+     * history, get localX and localY in the space.
+     */
+    setCoordinateSpace(space) {
+        this.__coordinateSpace = space;
+        return this;
+    }
+
+    /**
+     * @brief Gets the input policy
+     * @return {{passive: boolean|Object.<string, boolean>|null, preventDefault: string|null, threshold: number,
+     *         touchAction: string|null, userSelect: string|null}} Copy of the policy, see setPolicy()
+     */
+    getPolicy() {
+        return Object.assign({}, this.__policy);
+    }
+
+    /**
+     * @brief Sets the input policy
+     * @param {Object} policy - Policy fields, the omitted ones take their default value
+     * @param {boolean|Object.<string, boolean>|null} [policy.passive=null] - Whether the DOM listeners
+     *        are passive: a boolean for all of them, or booleans by native event type. Unlisted listeners
+     *        are not passive when the default action is prevented, and keep the default of the controller
+     *        otherwise
+     * @param {string|null} [policy.preventDefault=null] - When the controller prevents the default
+     *        action of its native events:
+     *        - 'always': every native event it handles
+     *        - 'active': the events of the pressed pointers, from press to release
+     *        - 'threshold': the events of a pressed pointer once it moved further than the threshold,
+     *          so that taps keep their clicks and short touch moves can still scroll
+     *        - null: never, the handlers decide with ControllerEvent.preventDefault()
+     * @param {number} [policy.threshold=10] - Distance in CSS pixels for the 'threshold' mode
+     * @param {string|null} [policy.touchAction=null] - touch-action applied to the element while enabled,
+     *        such as 'none' or 'pan-y' to leave vertical scrolling to the browser
+     * @param {string|null} [policy.userSelect=null] - user-select applied to the element while enabled,
+     *        'none' prevents text selection when dragging
+     * @return {AbstractController} Returns this for chaining
+     * @throws {Error} If the preventDefault mode is unknown or any listener is passive
+     *         while the default action is prevented
+     *
+     * The element styles replaced by the policy are restored when the
+     * controller is disabled. The listeners added with addListener() are
+     * added again when the policy changes their passive flag.
+     */
+    setPolicy(policy) {
+        const next = Object.freeze(Object.assign({}, DEFAULT_POLICY, policy));
+        if (next.preventDefault !== null && !['always', 'active', 'threshold'].includes(next.preventDefault)) {
+            throw new Error(`Invalid preventDefault mode '${next.preventDefault}'`);
+        }
+        if (next.preventDefault !== null && (next.passive === true || (next.passive !== null
+            && typeof next.passive === 'object' && Object.values(next.passive).includes(true)))) {
+            throw new Error('Cannot prevent default action of passive listeners');
+        }
+
+        const enabled = this.getEnabled();
+        if (enabled) {
+            this.restoreStyles();
+        }
+        const listeners = this.__listeners;
+        listeners.forEach(({target, type, handler, options}) => target.removeEventListener(type, handler, options));
+        this.__listeners = [];
+        this.__policy = next;
+        listeners.forEach(({target, type, handler, baseOptions}) => this.addListener(target, type, handler, baseOptions));
+        if (enabled) {
+            this.applyStyles();
+        }
+        return this;
+    }
+
+    /**
+     * @brief Checks if the policy differs from the default one
+     * @return {boolean} True if setPolicy() changed any field
+     * @protected
+     */
+    hasPolicy() {
+        return Object.keys(DEFAULT_POLICY).some(key => this.__policy[key] !== DEFAULT_POLICY[key]);
+    }
+
+    /**
+     * @brief Adds a DOM listener with the passive flag of the policy
+     * @param {EventTarget} target - Element, document or window to listen on
+     * @param {string} type - Native event type
+     * @param {function} handler - Bound handler
+     * @param {Object} [options={}] - Listener options of the controller, overridden by the policy
+     * @protected
+     *
+     * Concrete controllers add their listeners in setup() with this method,
+     * and remove them in teardown() with removeListeners().
+     */
+    addListener(target, type, handler, options = {}) {
+        const effective = Object.assign({}, options);
+        const passive = this.__policy.passive;
+        if (passive !== null && typeof passive === 'object' && typeof passive[type] === 'boolean') {
+            effective.passive = passive[type];
+        } else if (typeof passive === 'boolean') {
+            effective.passive = passive;
+        } else if (this.__policy.preventDefault !== null) {
+            effective.passive = false;
+        }
+        target.addEventListener(type, handler, effective);
+        this.__listeners.push({target, type, handler, options: effective, baseOptions: options});
+    }
+
+    /**
+     * @brief Removes the DOM listeners added with addListener()
+     * @protected
+     *
+     * Each listener is removed with the options it was added with.
+     */
+    removeListeners() {
+        this.__listeners.forEach(({target, type, handler, options}) => target.removeEventListener(type, handler, options));
+        this.__listeners = [];
+    }
+
+    /**
+     * @brief Prevents the default action of a native event as the policy requires
+     * @param {ControllerEvent} payload - Normalized event
+     * @param {Object[]} pressed - Entries of the pressed pointers the event changes
+     * @private
+     */
+    preventDefaultByPolicy(payload, pressed) {
+        const mode = this.__policy.preventDefault;
+        if (mode === null || !this.getEnabled()) {
+            return;
+        }
+
+        let prevent;
+        if (mode === 'always') {
+            prevent = true;
+        } else if (mode === 'active') {
+            prevent = pressed.length > 0;
+        } else {
+            prevent = pressed.some(active => active.moved);
+        }
+        if (prevent && payload.originalEvent && payload.originalEvent.cancelable !== false) {
+            payload.preventDefault();
+        }
+    }
+
+    /**
+     * @brief Applies the touch-action and user-select of the policy to the element
+     * @private
+     *
+     * Several controllers may style the same element, such as a MultiController
+     * and its sub-controllers; the original styles come back once the last one
+     * restores them, whatever the order.
+     */
+    applyStyles() {
+        const element = this.getElement();
+        const {touchAction, userSelect} = this.__policy;
+        if (!element || !element.style || this.__stylesApplied || (touchAction === null && userSelect === null)) {
+            return;
+        }
+        const styles = {};
+        if (touchAction !== null) {
+            styles.touchAction = touchAction;
+        }
+        if (userSelect !== null) {
+            styles.userSelect = userSelect;
+            // Safari only supports the prefixed property
+            styles.webkitUserSelect = userSelect;
+        }
+
+        const entry = policyStyles.get(element) || {count: 0, saved: {}};
+        Object.keys(styles).forEach(property => {
+            if (!Object.prototype.hasOwnProperty.call(entry.saved, property)) {
+                entry.saved[property] = element.style[property] || '';
+            }
+            element.style[property] = styles[property];
+        });
+        entry.count++;
+        policyStyles.set(element, entry);
+        this.__stylesApplied = true;
+    }
+
+    /**
+     * @brief Releases the element styles applied by applyStyles()
+     * @private
+     */
+    restoreStyles() {
+        if (!this.__stylesApplied) {
+            return;
+        }
+        this.__stylesApplied = false;
+        const element = this.getElement();
+        const entry = policyStyles.get(element);
+        if (--entry.count === 0) {
+            Object.keys(entry.saved).forEach(property => {
+                element.style[property] = entry.saved[property];
+            });
+            policyStyles.delete(element);
+        }
+    }
+
+    /**
+     * @brief Gets how 'move' events are scheduled
+     * @return {string|number|null} 'frame', throttle interval in milliseconds, or null
+     */
+    getMoveScheduling() {
+        return this.__moveScheduling;
+    }
+
+    /**
+     * @brief Sets how 'move' events are scheduled
+     * @param {string|number|null} scheduling - 'frame' to trigger the moves once per animation frame,
+     *        an interval in milliseconds to trigger them at most once per interval,
+     *        or null to trigger every native move
+     * @return {AbstractController} Returns this for chaining
+     * @throws {Error} If the scheduling is not one of those values
+     *
+     * Scheduled moves are buffered per pointer. When the buffer is flushed,
+     * handlers receive the latest move of each pointer, whose history property
+     * lists every sample since the previous flush, oldest first, including the
+     * coalesced events of the browser where available. Any other event flushes
+     * the buffer first, so that handlers never see an 'end' before its last 'move'.
+     *
+     * @note Buffered moves are triggered after their native events were
+     *       dispatched, calling preventDefault() on them has no effect
+     */
+    setMoveScheduling(scheduling) {
+        if (scheduling !== null && scheduling !== 'frame'
+            && !(typeof scheduling === 'number' && scheduling > 0)) {
+            throw new Error(`Invalid move scheduling '${scheduling}'`);
+        }
+        this.flushMoves();
+        this.__moveScheduling = scheduling;
+        return this;
+    }
+
+    /**
+     * @brief Buffers a move event and schedules the flush
+     * @param {ControllerEvent} payload - Move event
+     * @private
+     */
+    scheduleMove(payload) {
+        const key = payload.source === 'pointer' ? payload.getPointer().id : payload.source;
+        if (!this.__pendingMoves.has(key)) {
+            this.__pendingMoves.set(key, []);
+        }
+        this.__pendingMoves.get(key).push(payload);
+        if (this.__moveTimer !== null) {
+            return;
+        }
+
+        const flush = () => {
+            this.__moveTimer = null;
+            this.flushMoves();
+        };
+        if (this.__moveScheduling === 'frame') {
+            this.__moveTimer = Environment.requestFrame(flush);
+            return;
+        }
+        const wait = this.__lastMoveFlush + this.__moveScheduling - performance.now();
+        if (wait <= 0) {
+            this.flushMoves();
+        } else {
+            this.__moveTimer = setTimeout(flush, wait);
+        }
+    }
+
+    /**
+     * @brief Triggers the buffered moves right away
+     * @return {AbstractController} Returns this for chaining
+     */
+    flushMoves() {
+        this.cancelMoveTimer();
+        if (this.__pendingMoves.size === 0) {
+            return this;
+        }
+
+        const pending = Array.from(this.__pendingMoves.values());
+        this.__pendingMoves.clear();
+        this.__lastMoveFlush = performance.now();
+        pending.forEach(events => {
+            const latest = events[events.length - 1];
+            latest.history = events.reduce((samples, e) => samples.concat(this.getMoveSamples(e)), []);
+            this.trigger('move', latest);
+        });
+        return this;
+    }
+
+    /**
+     * @brief Drops the buffered moves
+     * @private
+     */
+    cancelMoves() {
+        this.cancelMoveTimer();
+        this.__pendingMoves.clear();
+    }
+
+    /**
+     * @brief Cancels the pending flush of the buffered moves
+     * @private
+     */
+    cancelMoveTimer() {
+        if (this.__moveTimer === null) {
+            return;
+        }
+        if (this.__moveScheduling === 'frame') {
+            Environment.cancelFrame(this.__moveTimer);
+        } else {
+            clearTimeout(this.__moveTimer);
+        }
+        this.__moveTimer = null;
+    }
+
+    /**
+     * @brief Gets the samples a move event stands for
+     * @param {ControllerEvent} e - Buffered move event
+     * @return {ControllerEvent[]} Events created from the coalesced native events,
+     *         or the event itself when the browser provides none
+     * @private
+     */
+    getMoveSamples(e) {
+        const nativeEvent = e.originalEvent;
+        const coalesced = nativeEvent && typeof nativeEvent.getCoalescedEvents === 'function'
+            ? nativeEvent.getCoalescedEvents() : [];
+        if (coalesced.length === 0) {
+            return [e];
+        }
+        return coalesced.map(sample => {
+            const event = this.createEvent('move', sample);
+            if (this.__coordinateSpace !== null) {
+                this.__coordinateSpace.attach(event);
+            }
+            return event;
+        });
+    }
+}
+
+/**
+ * @class MouseController
+ * @brief Concrete controller implementation for mouse event handling
+ * @extends AbstractController
+ *
+ * The MouseController class provides mouse event handling capabilities
+ * for a specific DOM element. It translates native mouse events into
+ * controller events ('start', 'move', 'end', 'enter', 'leave') with proper activation state management.
+ */
+class MouseController extends AbstractController {
+    /**
+     * @override
+     * @brief Creates a normalized controller event from a native mouse event
+     * @param {string} event - Controller event name
+     * @param {MouseEvent} nativeEvent - The mouse event object
+     * @return {ControllerEvent} Normalized event
+     */
+    createEvent(event, nativeEvent) {
+        return ControllerEvent.fromMouseEvent(event, nativeEvent, this.getElement());
+    }
+
+    /**
+     * @brief Handles mouse down events
+     * @param {MouseEvent} e - The mouse event object
+     * @private
+     */
+    handleMouseDown(e) {
+        this.emit('start', e);
+    }
+
+    /**
+     * @brief Handles mouse move events
+     * @param {MouseEvent} e - The mouse event object
+     * @private
+     *
+     * A move without any pressed button during an interaction means the
+     * button was released outside of the window, where no mouseup is
+     * delivered: the interaction is cancelled before the move is emitted.
+     */
+    handleMouseMove(e) {
+        if (e.buttons === 0 && this.isInteracting()) {
+            this.cancelInteraction(CancelReason.RELEASED, e);
+        }
+        this.emit('move', e);
+    }
+
+    /**
+     * @brief Handles mouse up events
+     * @param {MouseEvent} e - The mouse event object
+     * @private
+     */
+    handleMouseUp(e) {
+        this.emit('end', e);
+    }
+
+    /**
+     * @brief Handles mouse enter events
+     * @param {MouseEvent} e - The mouse event object
+     * @private
+     */
+    handleMouseEnter(e) {
+        this.emit('enter', e);
+    }
+
+    /**
+     * @brief Handles mouse leave events
+     * @param {MouseEvent} e - The mouse event object
+     * @private
+     */
+    handleMouseLeave(e) {
+        this.emit('leave', e);
+    }
+
+    /**
+     * @brief Constructor for MouseController
+     * @param {HTMLElement} element - DOM element to monitor for mouse events
+     * @param {Document} [doc=document] - Document instance to register global mouse events
+     * @param {Object} [options={}] - Controller options
+     * @param {string|number|null} [options.moveScheduling=null] - How 'move' events are scheduled,
+     *        see setMoveScheduling()
+     * @param {string|null} [options.delegate=null] - Selector of the items inside of the element
+     *        to report the input on, see setDelegate()
+     * @param {Object|null} [options.policy=null] - Passive listeners, default prevention and element
+     *        styles, see setPolicy()
+     *
+     * Initializes the mouse controller for a specific element and binds
+     * event handlers. Note the controller must be initialized to begin
+     * listening to events.
+     */
+    constructor(element, doc = Environment.getDocument(), {moveScheduling = null, delegate = null, policy = null} = {}) {
+        super(element, doc);
+        this.setMoveScheduling(moveScheduling);
+        this.setDelegate(delegate);
+        if (policy !== null) {
+            this.setPolicy(policy);
+        }
+
+        /**
+         * @property {function} mouseDownHandler - Bound mouse down handler
+         * @private
+         */
+        this.mouseDownHandler = this.handleMouseDown.bind(this);
+
+        /**
+         * @property {function} mouseMoveHandler - Bound mouse move handler
+         * @private
+         */
+        this.mouseMoveHandler = this.handleMouseMove.bind(this);
+
+        /**
+         * @property {function} mouseUpHandler - Bound mouse up handler
+         * @private
+         */
+        this.mouseUpHandler = this.handleMouseUp.bind(this);
+
+        /**
+         * @property {function} mouseEnterHandler - Bound mouse enter handler
+         * @private
+         */
+        this.mouseEnterHandler = this.handleMouseEnter.bind(this);
+
+        /**
+         * @property {function} mouseLeaveHandler - Bound mouse leave handler
+         * @private
+         */
+        this.mouseLeaveHandler = this.handleMouseLeave.bind(this);
+    }
+
+    /**
+     * @override
+     * @brief Sets up the mouse controller
+     *
+     * Sets up event listeners on both the element (for mousedown, mouseenter, mouseleave)
+     * and document (for mousemove/mouseup).
+     */
+    setup() {
+        this.addListener(this.getElement(), 'mousedown', this.mouseDownHandler);
+        this.addListener(this.getDocument(), 'mousemove', this.mouseMoveHandler);
+        this.addListener(this.getDocument(), 'mouseup', this.mouseUpHandler);
+        this.addListener(this.getElement(), 'mouseenter', this.mouseEnterHandler);
+        this.addListener(this.getElement(), 'mouseleave', this.mouseLeaveHandler);
+    }
+
+    /**
+     * @override
+     * @brief Tears down the mouse controller
+     *
+     * Removes all event listeners.
+     */
+    teardown() {
+        this.removeListeners();
+    }
+}
+
+/**
+ * @class HoverIntentController
+ * @brief Mouse controller telling deliberate hovering from passing over
+ * @extends MouseController
+ *
+ * Besides the mouse events, the HoverIntentController class emits:
+ * - 'hoverstart' once the cursor inside of the element moved less than the
+ *   sensitivity during one delay, that is when it slowed down over the element
+ * - 'hoverend' when the cursor stayed out of the element for the grace timeout,
+ *   coming back in time keeps the hover going
+ *
+ * Hovering is based on 'mouseenter' and 'mouseleave', so moving over the child
+ * elements of the element neither ends nor restarts it.
+ *
+ * @code
+ * const menuCtrl = new HoverIntentController(menuItem, document, {delay: 150});
+ * menuCtrl.registerCallback('hoverstart', () => submenu.open())
+ *         .registerCallback('hoverend', () => submenu.close())
+ *         .initialize();
+ * @endcode
+ */
+class HoverIntentController extends MouseController {
+    /**
+     * @override
+     * @brief Handles mouse move events
+     * @param {MouseEvent} e - The mouse event object
+     * @private
+     */
+    handleMouseMove(e) {
+        super.handleMouseMove(e);
+        if (this.__inside && this.getEnabled()) {
+            this.__lastEvent = e;
+        }
+    }
+
+    /**
+     * @override
+     * @brief Handles mouse enter events
+     * @param {MouseEvent} e - The mouse event object
+     * @private
+     *
+     * Cancels a pending 'hoverend', or starts watching the cursor speed.
+     */
+    handleMouseEnter(e) {
+        super.handleMouseEnter(e);
+        if (this.__inside || !this.getEnabled()) {
+            return;
+        }
+        this.__inside = true;
+        this.__lastEvent = e;
+        this.clearHoverTimer();
+        if (!this.__hovering) {
+            this.__sample = e;
+            this.__hoverTimer = setTimeout(this.hoverCheckHandler, this.__options.delay);
+        }
+    }
+
+    /**
+     * @override
+     * @brief Handles mouse leave events
+     * @param {MouseEvent} e - The mouse event object
+     * @private
+     *
+     * Stops watching the cursor speed, or schedules 'hoverend' after the grace timeout.
+     * Leaving towards a descendant of the element is ignored.
+     */
+    handleMouseLeave(e) {
+        super.handleMouseLeave(e);
+        if (!this.__inside || !this.getEnabled()
+            || (e.relatedTarget && this.getElement().contains(e.relatedTarget))) {
+            return;
+        }
+        this.__inside = false;
+        this.__lastEvent = e;
+        this.clearHoverTimer();
+        if (this.__hovering) {
+            this.__hoverTimer = setTimeout(this.hoverEndHandler, this.__options.graceTimeout);
+        }
+    }
+
+    /**
+     * @brief Compares the cursor position with the one a delay ago
+     * @private
+     *
+     * Emits 'hoverstart' if the cursor moved less than the sensitivity,
+     * otherwise checks again after another delay.
+     */
+    handleHoverCheck() {
+        const e = this.__lastEvent;
+        const distance = Math.hypot(e.clientX - this.__sample.clientX, e.clientY - this.__sample.clientY);
+        if (distance < this.__options.sensitivity) {
+            this.__hoverTimer = null;
+            this.__hovering = true;
+            this.emit('hoverstart', e);
+        } else {
+            this.__sample = e;
+            this.__hoverTimer = setTimeout(this.hoverCheckHandler, this.__options.delay);
+        }
+    }
+
+    /**
+     * @brief Ends the hover once the grace timeout elapsed
+     * @private
+     */
+    handleHoverEnd() {
+        this.__hoverTimer = null;
+        this.__hovering = false;
+        this.emit('hoverend', this.__lastEvent);
+    }
+
+    /**
+     * @brief Checks if the cursor is hovering the element
+     * @return {boolean} True between 'hoverstart' and 'hoverend'
+     */
+    isHovering() {
+        return this.__hovering;
+    }
+
+    /**
+     * @brief Cancels the pending speed check or 'hoverend'
+     * @private
+     */
+    clearHoverTimer() {
+        clearTimeout(this.__hoverTimer);
+        this.__hoverTimer = null;
+    }
+
+    /**
+     * @brief Forgets the cursor and the hover state
+     * @private
+     */
+    resetHover() {
+        this.clearHoverTimer();
+        this.__inside = false;
+        this.__hovering = false;
+        this.__lastEvent = null;
+        this.__sample = null;
+    }
+
+    /**
+     * @override
+     * @brief Enables or disables the hover intent controller
+     * @param {boolean} enabled - True to enable, false to disable
+     *
+     * Disabling forgets the cursor, an ongoing hover ends with a
+     * 'hoverend' triggered before the controller is disabled.
+     * Once enabled again, hovering starts with the next 'mouseenter'.
+     */
+    setEnabled(enabled) {
+        if (!enabled) {
+            const hovering = this.__hovering;
+            const e = this.__lastEvent;
+            this.resetHover();
+            if (hovering) {
+                this.emit('hoverend', e);
+            }
+        }
+        super.setEnabled(enabled);
+    }
+
+    /**
+     * @brief Constructor for HoverIntentController
+     * @param {HTMLElement} element - DOM element to monitor for hovering
+     * @param {Document} [doc=document] - Document instance to register global mouse events
+     * @param {Object} [options={}] - Controller options, the options of MouseController included
+     * @param {number} [options.sensitivity=7] - Distance in CSS pixels the cursor may move
+     *        during one delay for the hover to start
+     * @param {number} [options.delay=100] - Interval of the cursor speed checks, in milliseconds
+     * @param {number} [options.graceTimeout=300] - Time the cursor may spend out of the element
+     *        before the hover ends, in milliseconds
+     *
+     * Initializes the hover intent controller for a specific element and binds
+     * event handlers. Note the controller must be initialized to begin
+     * listening to events.
+     */
+    constructor(element, doc = Environment.getDocument(), {
+        sensitivity = 7,
+        delay = 100,
+        graceTimeout = 300,
+        ...options
+    } = {}) {
+        super(element, doc, options);
+
+        /**
+         * @property {Object} __options - Hover intent options
+         * @private
+         */
+        this.__options = {sensitivity, delay, graceTimeout};
+
+        /**
+         * @property {boolean} __inside - Whether the cursor is inside of the element
+         * @private
+         */
+        this.__inside = false;
+
+        /**
+         * @property {boolean} __hovering - Whether the hover started and did not end yet
+         * @private
+         */
+        this.__hovering = false;
+
+        /**
+         * @property {MouseEvent|null} __lastEvent - Latest mouse event of the cursor
+         * @private
+         */
+        this.__lastEvent = null;
+
+        /**
+         * @property {MouseEvent|null} __sample - Mouse event the next speed check compares with
+         * @private
+         */
+        this.__sample = null;
+
+        /**
+         * @property {number|null} __hoverTimer - Pending speed check or 'hoverend'
+         * @private
+         */
+        this.__hoverTimer = null;
+
+        /**
+         * @property {function} hoverCheckHandler - Bound speed check handler
+         * @private
+         */
+        this.hoverCheckHandler = this.handleHoverCheck.bind(this);
+
+        /**
+         * @property {function} hoverEndHandler - Bound hover end handler
+         * @private
+         */
+        this.hoverEndHandler = this.handleHoverEnd.bind(this);
+    }
+
+    /**
+     * @override
+     * @brief Tears down the hover intent controller
+     *
+     * Removes all event listeners and forgets the hover state.
+     */
+    teardown() {
+        super.teardown();
+        this.resetHover();
+    }
+}
+
+/**
+ * @class TouchController
+ * @brief Concrete controller implementation for touch event handling
+ * @extends AbstractController
+ *
+ * The TouchController class provides touch event handling capabilities
+ * for a specific DOM element. It translates native touch events into
+ * controller events ('start', 'move', 'end', 'cancel') with proper activation state management.
+ *
+ * The touchstart and touchmove listeners are passive by default, so that
+ * scrolling never waits for the handlers: ControllerEvent.preventDefault()
+ * called from a handler does nothing then. A policy with a preventDefault
+ * mode, or with passive: false, makes them non-passive, see setPolicy().
+ */
+class TouchController extends AbstractController {
+    /**
+     * @brief Gets the maximum number of simultaneous touch points supported by the device
+     * @return {number} Maximum number of touch points or 0 if not supported
+     * @static
+     */
+    static getMaxTouchPoints() {
+        const nav = Environment.getNavigator();
+        return (nav && 'maxTouchPoints' in nav)
+            ? nav.maxTouchPoints : 0;
+    }
+
+    /**
+     * @brief Checks if touch input is supported by the device
+     * @return {boolean} True if touch is supported, false otherwise
+     * @static
+     */
+    static isTouchSupported() {
+        return TouchController.getMaxTouchPoints() > 0;
+    }
+
+    /**
+     * @brief Checks if multitouch input is supported by the device
+     * @return {boolean} True if multitouch is supported (2+ touch points), false otherwise
+     * @static
+     */
+    static isMultiTouchSupported() {
+        return TouchController.getMaxTouchPoints() >= 2;
+    }
+
+    /**
+     * @override
+     * @brief Creates a normalized controller event from a native touch event
+     * @param {string} event - Controller event name
+     * @param {TouchEvent} nativeEvent - The touch event object
+     * @return {ControllerEvent} Normalized event
+     */
+    createEvent(event, nativeEvent) {
+        return ControllerEvent.fromTouchEvent(event, nativeEvent, this.getElement());
+    }
+
+    /**
+     * @brief Handles touch start events
+     * @param {TouchEvent} e - The touch event object
+     * @private
+     */
+    handleTouchStart(e) {
+        this.emit('start', e);
+    }
+
+    /**
+     * @brief Handles touch move events
+     * @param {TouchEvent} e - The touch event object
+     * @private
+     */
+    handleTouchMove(e) {
+        this.emit('move', e);
+    }
+
+    /**
+     * @brief Handles touch end events
+     * @param {TouchEvent} e - The touch event object
+     * @private
+     */
+    handleTouchEnd(e) {
+        this.emit('end', e);
+    }
+
+    /**
+     * @brief Handles touch cancel events
+     * @param {TouchEvent} e - The touch event object
+     * @private
+     */
+    handleTouchCancel(e) {
+        this.emit('cancel', e);
+    }
+
+    /**
+     * @brief Constructor for TouchController
+     * @param {HTMLElement} element - DOM element to monitor for touch events
+     * @param {Document} [doc=document] - Document instance to register global touch events
+     * @param {Object} [options={}] - Controller options
+     * @param {string|number|null} [options.moveScheduling=null] - How 'move' events are scheduled,
+     *        see setMoveScheduling()
+     * @param {string|null} [options.delegate=null] - Selector of the items inside of the element
+     *        to report the input on, see setDelegate()
+     * @param {Object|null} [options.policy=null] - Passive listeners, default prevention and element
+     *        styles, see setPolicy()
+     *
+     * Initializes the touch controller for a specific element and binds
+     * event handlers. Note the controller must be initialized to begin
+     * listening to events.
+     */
+    constructor(element, doc = Environment.getDocument(), {moveScheduling = null, delegate = null, policy = null} = {}) {
+        super(element, doc);
+
+        // Checking for touch support before creating a controller
+        if (!TouchController.isTouchSupported()) {
+            throw new Error('Touch is not supported on this device');
+        }
+        this.setMoveScheduling(moveScheduling);
+        this.setDelegate(delegate);
+        if (policy !== null) {
+            this.setPolicy(policy);
+        }
+
+        /**
+         * @property {function} touchStartHandler - Bound touch start handler
+         * @private
+         */
+        this.touchStartHandler = this.handleTouchStart.bind(this);
+
+        /**
+         * @property {function} touchMoveHandler - Bound touch move handler
+         * @private
+         */
+        this.touchMoveHandler = this.handleTouchMove.bind(this);
+
+        /**
+         * @property {function} touchEndHandler - Bound touch end handler
+         * @private
+         */
+        this.touchEndHandler = this.handleTouchEnd.bind(this);
+
+        /**
+         * @property {function} touchCancelHandler - Bound touch cancel handler
+         * @private
+         */
+        this.touchCancelHandler = this.handleTouchCancel.bind(this);
+    }
+
+    /**
+     * @override
+     * @brief Sets up the touch controller
+     *
+     * Sets up event listeners on the element for touch events. They are
+     * passive unless the policy prevents default actions, see setPolicy().
+     */
+    setup() {
+        this.addListener(this.getElement(), 'touchstart', this.touchStartHandler, {passive: true});
+        this.addListener(this.getElement(), 'touchmove', this.touchMoveHandler, {passive: true});
+        this.addListener(this.getElement(), 'touchend', this.touchEndHandler);
+        this.addListener(this.getElement(), 'touchcancel', this.touchCancelHandler);
+    }
+
+    /**
+     * @override
+     * @brief Tears down the touch controller
+     *
+     * Removes all event listeners.
+     */
+    teardown() {
+        this.removeListeners();
+    }
+}
+
+/**
+ * @class PointerController
+ * @brief Concrete controller implementation for pointer event handling
+ * @extends AbstractController
+ *
+ * The PointerController class provides unified mouse, pen and touch handling
+ * through the Pointer Events API. It translates native pointer events into
+ * controller events ('start', 'move', 'end', 'cancel', 'enter', 'leave') and
+ * captures the pointer on press, so a drag keeps being tracked after the
+ * pointer leaves the element.
+ */
+class PointerController extends AbstractController {
+    /**
+     * @brief Checks if the Pointer Events API is supported by the environment
+     * @return {boolean} True if pointer events are supported, false otherwise
+     * @static
+     */
+    static isPointerSupported() {
+        const win = Environment.getWindow();
+        return Boolean(win && win.PointerEvent);
+    }
+
+    /**
+     * @override
+     * @brief Creates a normalized controller event from a native pointer event
+     * @param {string} event - Controller event name
+     * @param {PointerEvent} nativeEvent - The pointer event object
+     * @return {ControllerEvent} Normalized event
+     */
+    createEvent(event, nativeEvent) {
+        return ControllerEvent.fromPointerEvent(event, nativeEvent, this.getElement());
+    }
+
+    /**
+     * @brief Handles pointer down events
+     * @param {PointerEvent} e - The pointer event object
+     * @private
+     */
+    handlePointerDown(e) {
+        if (this.acceptsPointerType(e.pointerType)) {
+            this.emit('start', e);
+        }
+    }
+
+    /**
+     * @override
+     * @brief Captures the pointer of a delivered 'start' before triggering it
+     * @param {string} event - Controller event name
+     * @param {ControllerEvent} payload - Normalized event
+     * @protected
+     *
+     * Captures the pointer on the element so that subsequent move/up
+     * events are delivered to it even outside of its bounds. A 'start'
+     * dropped while disabled, outside of the delegate items or by a
+     * middleware leaves the pointer to the page.
+     */
+    deliver(event, payload) {
+        const e = payload.originalEvent;
+        if (event === 'start' && e && typeof e.pointerId === 'number') {
+            this.getElement().setPointerCapture(e.pointerId);
+        }
+        super.deliver(event, payload);
+    }
+
+    /**
+     * @brief Handles pointer move events
+     * @param {PointerEvent} e - The pointer event object
+     * @private
+     */
+    handlePointerMove(e) {
+        if (this.acceptsPointerType(e.pointerType)) {
+            this.emit('move', e);
+        }
+    }
+
+    /**
+     * @brief Handles pointer up events
+     * @param {PointerEvent} e - The pointer event object
+     * @private
+     *
+     * Releases the pointer capture acquired on pointer down.
+     */
+    handlePointerUp(e) {
+        if (this.acceptsPointerType(e.pointerType)) {
+            this.emit('end', e);
+            if (this.getElement().hasPointerCapture(e.pointerId)) {
+                this.getElement().releasePointerCapture(e.pointerId);
+            }
+        }
+    }
+
+    /**
+     * @brief Handles pointer cancel events
+     * @param {PointerEvent} e - The pointer event object
+     * @private
+     */
+    handlePointerCancel(e) {
+        if (this.acceptsPointerType(e.pointerType)) {
+            this.emit('cancel', e);
+        }
+    }
+
+    /**
+     * @brief Handles lost pointer capture events
+     * @param {PointerEvent} e - The pointer event object
+     * @private
+     *
+     * Losing the capture of a pressed pointer, for instance because the
+     * element was removed from the document, cancels its interaction.
+     */
+    handleLostPointerCapture(e) {
+        this.cancelInteraction(CancelReason.CAPTURE_LOST, e, [e.pointerId]);
+    }
+
+    /**
+     * @brief Handles pointer enter events
+     * @param {PointerEvent} e - The pointer event object
+     * @private
+     */
+    handlePointerEnter(e) {
+        if (this.acceptsPointerType(e.pointerType)) {
+            this.emit('enter', e);
+        }
+    }
+
+    /**
+     * @brief Handles pointer leave events
+     * @param {PointerEvent} e - The pointer event object
+     * @private
+     */
+    handlePointerLeave(e) {
+        if (this.acceptsPointerType(e.pointerType)) {
+            this.emit('leave', e);
+        }
+    }
+
+    /**
+     * @brief Constructor for PointerController
+     * @param {HTMLElement} element - DOM element to monitor for pointer events
+     * @param {Document} [doc=document] - Document instance to register global pointer events
+     * @param {Object} [options={}] - Controller options
+     * @param {string[]|null} [options.pointerTypes=null] - Accepted pointer types
+     *        ('mouse', 'pen', 'touch'), or null to accept all of them
+     * @param {string|number|null} [options.moveScheduling=null] - How 'move' events are scheduled,
+     *        see setMoveScheduling()
+     * @param {string|null} [options.delegate=null] - Selector of the items inside of the element
+     *        to report the input on, see setDelegate()
+     * @param {Object|null} [options.policy=null] - Passive listeners, default prevention and element
+     *        styles, see setPolicy()
+     * @throws {Error} If pointer events are not supported by the environment
+     *
+     * Initializes the pointer controller for a specific element and binds
+     * event handlers. Note the controller must be initialized to begin
+     * listening to events.
+     */
+    constructor(element, doc = Environment.getDocument(), {
+        pointerTypes = null,
+        moveScheduling = null,
+        delegate = null,
+        policy = null
+    } = {}) {
+        super(element, doc);
+
+        // Checking for pointer events support before creating a controller
+        if (!PointerController.isPointerSupported()) {
+            throw new Error('Pointer events are not supported in this environment');
+        }
+        this.setMoveScheduling(moveScheduling);
+        this.setDelegate(delegate);
+        if (policy !== null) {
+            this.setPolicy(policy);
+        }
+
+        /**
+         * @property {string[]|null} __pointerTypes - Accepted pointer types, null for any
+         * @private
+         */
+        this.__pointerTypes = pointerTypes;
+
+        /**
+         * @property {function} pointerDownHandler - Bound pointer down handler
+         * @private
+         */
+        this.pointerDownHandler = this.handlePointerDown.bind(this);
+
+        /**
+         * @property {function} pointerMoveHandler - Bound pointer move handler
+         * @private
+         */
+        this.pointerMoveHandler = this.handlePointerMove.bind(this);
+
+        /**
+         * @property {function} pointerUpHandler - Bound pointer up handler
+         * @private
+         */
+        this.pointerUpHandler = this.handlePointerUp.bind(this);
+
+        /**
+         * @property {function} pointerCancelHandler - Bound pointer cancel handler
+         * @private
+         */
+        this.pointerCancelHandler = this.handlePointerCancel.bind(this);
+
+        /**
+         * @property {function} lostPointerCaptureHandler - Bound lost pointer capture handler
+         * @private
+         */
+        this.lostPointerCaptureHandler = this.handleLostPointerCapture.bind(this);
+
+        /**
+         * @property {function} pointerEnterHandler - Bound pointer enter handler
+         * @private
+         */
+        this.pointerEnterHandler = this.handlePointerEnter.bind(this);
+
+        /**
+         * @property {function} pointerLeaveHandler - Bound pointer leave handler
+         * @private
+         */
+        this.pointerLeaveHandler = this.handlePointerLeave.bind(this);
+    }
+
+    /**
+     * @brief Gets the accepted pointer types
+     * @return {string[]|null} Accepted pointer types, or null if all types are accepted
+     */
+    getPointerTypes() {
+        return this.__pointerTypes;
+    }
+
+    /**
+     * @brief Sets the accepted pointer types
+     * @param {string[]|null} pointerTypes - Accepted pointer types ('mouse', 'pen', 'touch'),
+     *        or null to accept all of them
+     * @return {PointerController} Returns this for chaining
+     */
+    setPointerTypes(pointerTypes) {
+        this.__pointerTypes = pointerTypes;
+        return this;
+    }
+
+    /**
+     * @brief Checks if events of the given pointer type are handled by this controller
+     * @param {string} pointerType - Pointer type of the native event
+     * @return {boolean} True if the pointer type is accepted, false otherwise
+     */
+    acceptsPointerType(pointerType) {
+        return this.__pointerTypes === null || this.__pointerTypes.includes(pointerType);
+    }
+
+    /**
+     * @override
+     * @brief Sets up the pointer controller
+     *
+     * Sets up event listeners on the element for pointer events.
+     */
+    setup() {
+        this.addListener(this.getElement(), 'pointerdown', this.pointerDownHandler);
+        this.addListener(this.getElement(), 'pointermove', this.pointerMoveHandler);
+        this.addListener(this.getElement(), 'pointerup', this.pointerUpHandler);
+        this.addListener(this.getElement(), 'pointercancel', this.pointerCancelHandler);
+        this.addListener(this.getElement(), 'lostpointercapture', this.lostPointerCaptureHandler);
+        this.addListener(this.getElement(), 'pointerenter', this.pointerEnterHandler);
+        this.addListener(this.getElement(), 'pointerleave', this.pointerLeaveHandler);
+    }
+
+    /**
+     * @override
+     * @brief Tears down the pointer controller
+     *
+     * Removes all event listeners.
+     */
+    teardown() {
+        this.removeListeners();
+    }
+}
+
+/**
+ * @class KeyboardController
+ * @brief Concrete controller implementation for keyboard event handling
+ * @extends AbstractController
+ *
+ * The KeyboardController class translates native keyboard events into
+ * controller events ('keydown', 'keyup') and triggers named events for
+ * declared shortcut bindings. A binding maps a shortcut to an event name:
+ * - 'Ctrl+Z': a key combined with modifiers (Ctrl, Alt, Shift, Meta), letters
+ *   are case insensitive next to modifiers
+ * - 'G': an uppercase letter alone stands for Shift and the letter, like 'Shift+G'
+ * - '?', '!', 'Ctrl++': symbols are written as typed, the Shift needed to type
+ *   them is implied; 'Shift+1' matches the digit key whatever it types
+ * - 'Mod+S': Mod (or CmdOrCtrl) stands for Meta on Apple platforms and Ctrl elsewhere
+ * - 'g g': a sequence of combinations, typed within the sequence timeout
+ *
+ * When a binding is also the beginning of a longer one, as 'g' and 'g g',
+ * the shorter one is triggered once the sequence timeout elapses or the
+ * next key does not continue the longer one.
+ *
+ * @code
+ * const keyboardCtrl = new KeyboardController(element, document, {
+ *     bindings: {'Mod+Z': 'undo', 'Mod+Shift+Z': 'redo', 'g g': 'gotoTop'}
+ * });
+ * keyboardCtrl.registerCallback('undo', () => history.undo());
+ * keyboardCtrl.initialize();
+ * @endcode
+ */
+class KeyboardController extends AbstractController {
+    /**
+     * @brief Checks if the environment runs on an Apple platform
+     * @return {boolean} True on macOS and iOS, false otherwise
+     * @static
+     */
+    static isApplePlatform() {
+        const nav = Environment.getNavigator() || {};
+        const platform = (nav.userAgentData && nav.userAgentData.platform) || nav.platform || '';
+        return /mac|iphone|ipad|ipod/i.test(platform);
+    }
+
+    /**
+     * @brief Normalizes a key name to its lowercase canonical form
+     * @param {string} key - Key name from a binding or KeyboardEvent.key
+     * @return {string} Canonical key name
+     * @static
+     */
+    static normalizeKey(key) {
+        const aliases = {
+            ' ': 'space',
+            'esc': 'escape',
+            'up': 'arrowup',
+            'down': 'arrowdown',
+            'left': 'arrowleft',
+            'right': 'arrowright',
+            'del': 'delete',
+            'return': 'enter'
+        };
+        const lower = key.toLowerCase();
+        return aliases[lower] || lower;
+    }
+
+    /**
+     * @brief Checks if a key name is a typed character
+     * @param {string} key - Key name from a binding or KeyboardEvent.key
+     * @return {boolean} True for a single character other than the space
+     * @static
+     */
+    static isCharacterKey(key) {
+        return Array.from(key).length === 1 && key !== ' ';
+    }
+
+    /**
+     * @brief Checks if a character is a letter with an uppercase and a lowercase form
+     * @param {string} key - Single character
+     * @return {boolean} True for cased letters
+     * @static
+     */
+    static isCasedLetter(key) {
+        return key.toLowerCase() !== key.toUpperCase();
+    }
+
+    /**
+     * @brief Parses a key combination like 'Ctrl+Shift+Z' into its canonical form
+     * @param {string} combo - Key combination, see the class documentation
+     * @param {boolean} [apple=KeyboardController.isApplePlatform()] - Whether Mod maps to Meta
+     * @return {string} Canonical combination, modifiers in the order Ctrl, Alt, Shift, Meta
+     * @throws {Error} If the combination has no key besides modifiers
+     * @static
+     */
+    static parseCombo(combo, apple = KeyboardController.isApplePlatform()) {
+        const modifiers = {
+            ctrl: 'ctrl', control: 'ctrl',
+            alt: 'alt', option: 'alt',
+            shift: 'shift',
+            meta: 'meta', cmd: 'meta', command: 'meta', super: 'meta',
+            mod: apple ? 'meta' : 'ctrl', cmdorctrl: apple ? 'meta' : 'ctrl'
+        };
+        // A '+' alone or after the separator is the plus key
+        const plus = combo.trim() === '+' || combo.trim().endsWith('++');
+        const pressed = new Set();
+        let key = plus ? '+' : null;
+        (plus ? combo.trim().slice(0, -1) : combo).split('+').forEach(part => {
+            const name = part.trim();
+            if (modifiers[name.toLowerCase()]) {
+                pressed.add(modifiers[name.toLowerCase()]);
+            } else if (name && !plus) {
+                key = name;
+            }
+        });
+        if (key === null) {
+            throw new Error(`Key combination '${combo}' has no key`);
+        }
+        if (pressed.size === 0 && KeyboardController.isCharacterKey(key)
+            && KeyboardController.isCasedLetter(key) && key !== key.toLowerCase()) {
+            pressed.add('shift');
+        }
+        return ['ctrl', 'alt', 'shift', 'meta']
+            .filter(modifier => pressed.has(modifier))
+            .concat(KeyboardController.normalizeKey(key))
+            .join('+');
+    }
+
+    /**
+     * @brief Builds the canonical combinations matching a native keyboard event
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @return {string[]} Combinations built from KeyboardEvent.key and, when it differs,
+     *         from the layout independent KeyboardEvent.code
+     * @static
+     *
+     * A typed symbol already reflects Shift, so Shift is left out of its
+     * combination. Letters are compared lowercase and keep Shift.
+     */
+    static getEventCombos(e) {
+        const modifiers = shift => [
+            e.ctrlKey && 'ctrl',
+            e.altKey && 'alt',
+            shift && e.shiftKey && 'shift',
+            e.metaKey && 'meta'
+        ].filter(Boolean);
+        const key = KeyboardController.normalizeKey(e.key);
+        const symbol = KeyboardController.isCharacterKey(e.key) && !KeyboardController.isCasedLetter(e.key);
+        const combos = [modifiers(!symbol).concat(key).join('+')];
+        const code = /^(?:Key|Digit)(.)$/.exec(e.code || '');
+        if (code && code[1].toLowerCase() !== key) {
+            combos.push(modifiers(true).concat(code[1].toLowerCase()).join('+'));
+        }
+        return combos;
+    }
+
+    /**
+     * @brief Checks if a keyboard event comes from an editable element
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @return {boolean} True for inputs, text areas, selects and content editable elements
+     * @static
+     */
+    static isEditableTarget(e) {
+        const target = e.target;
+        return Boolean(target) && (target.isContentEditable
+            || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+    }
+
+    /**
+     * @brief Checks if the typed steps match the beginning of a binding
+     * @param {{sequence: string[]}} binding - Binding to check
+     * @param {string[][]} steps - Typed steps
+     * @return {boolean} True if every typed step matches the binding sequence
+     * @static
+     */
+    static startsWith(binding, steps) {
+        return steps.length <= binding.sequence.length
+            && steps.every((combos, index) => combos.includes(binding.sequence[index]));
+    }
+
+    /**
+     * @override
+     * @brief Creates a normalized controller event from a native keyboard event
+     * @param {string} event - Controller event name
+     * @param {KeyboardEvent} nativeEvent - The keyboard event object
+     * @return {ControllerEvent} Normalized event
+     */
+    createEvent(event, nativeEvent) {
+        return ControllerEvent.fromKeyboardEvent(event, nativeEvent);
+    }
+
+    /**
+     * @brief Handles key down events
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @private
+     *
+     * Triggers 'keydown' and matches the pressed
+     * combination against the declared bindings.
+     */
+    handleKeyDown(e) {
+        if (!this.getEnabled() || (this.__options.ignoreEditable && KeyboardController.isEditableTarget(e))) {
+            return;
+        }
+        this.emit('keydown', e);
+        if (!['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) {
+            this.matchBindings(e);
+        }
+    }
+
+    /**
+     * @brief Handles key up events
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @private
+     */
+    handleKeyUp(e) {
+        if (!this.getEnabled() || (this.__options.ignoreEditable && KeyboardController.isEditableTarget(e))) {
+            return;
+        }
+        this.emit('keyup', e);
+    }
+
+    /**
+     * @brief Constructor for KeyboardController
+     * @param {HTMLElement} element - DOM element to monitor for keyboard events
+     * @param {Document} [doc=document] - Document instance to register global keyboard events
+     * @param {Object} [options={}] - Controller options
+     * @param {Object.<string, string>} [options.bindings={}] - Shortcut to event name map
+     * @param {string} [options.scope='focus'] - 'focus' to handle keys only while the element
+     *        or one of its descendants has focus, 'document' to handle keys globally
+     * @param {number} [options.sequenceTimeout=1000] - Maximum delay between the combinations
+     *        of a sequence in milliseconds
+     * @param {boolean} [options.ignoreEditable=true] - Whether to ignore events from editable elements
+     * @param {boolean} [options.preventDefault=true] - Whether to prevent the default action
+     *        of keys completing a binding
+     *
+     * Initializes the keyboard controller for a specific element and binds
+     * event handlers. Note the controller must be initialized to begin
+     * listening to events.
+     */
+    constructor(element, doc = Environment.getDocument(), {
+        bindings = {},
+        scope = 'focus',
+        sequenceTimeout = 1000,
+        ignoreEditable = true,
+        preventDefault = true
+    } = {}) {
+        super(element, doc);
+
+        /**
+         * @property {Object} __options - Controller options
+         * @private
+         */
+        this.__options = {scope, sequenceTimeout, ignoreEditable, preventDefault};
+
+        /**
+         * @property {Array<{shortcut: string, sequence: string[], event: string}>} __bindings - Declared bindings
+         * @private
+         */
+        this.__bindings = [];
+
+        /**
+         * @property {string[][]} __sequence - Combinations typed so far, each step lists all matching forms
+         * @private
+         */
+        this.__sequence = [];
+
+        /**
+         * @property {number|null} __sequenceTimer - Timer resetting the typed sequence
+         * @private
+         */
+        this.__sequenceTimer = null;
+
+        /**
+         * @property {{binding: Object, event: KeyboardEvent}|null} __pendingMatch - Binding typed
+         *           completely but waiting for a longer binding starting with it
+         * @private
+         */
+        this.__pendingMatch = null;
+
+        /**
+         * @property {function} keyDownHandler - Bound key down handler
+         * @private
+         */
+        this.keyDownHandler = this.handleKeyDown.bind(this);
+
+        /**
+         * @property {function} keyUpHandler - Bound key up handler
+         * @private
+         */
+        this.keyUpHandler = this.handleKeyUp.bind(this);
+
+        Object.keys(bindings).forEach(shortcut => this.bind(shortcut, bindings[shortcut]));
+    }
+
+    /**
+     * @brief Binds a shortcut to a named event
+     * @param {string} shortcut - Key combination or space separated sequence of combinations
+     * @param {string} event - Event name triggered when the shortcut is typed
+     * @return {KeyboardController} Returns this for chaining
+     * @throws {Error} If the shortcut contains an invalid combination
+     */
+    bind(shortcut, event) {
+        this.unbind(shortcut);
+        const sequence = shortcut.trim().split(/\s+/).map(combo => KeyboardController.parseCombo(combo));
+        this.__bindings.push({shortcut, sequence, event});
+        return this;
+    }
+
+    /**
+     * @brief Removes the binding of a shortcut
+     * @param {string} shortcut - Shortcut passed to bind()
+     * @return {KeyboardController} Returns this for chaining
+     */
+    unbind(shortcut) {
+        this.__bindings = this.__bindings.filter(binding => binding.shortcut !== shortcut);
+        return this;
+    }
+
+    /**
+     * @brief Gets the declared bindings
+     * @return {Object.<string, string>} Shortcut to event name map
+     */
+    getBindings() {
+        return Object.fromEntries(this.__bindings.map(binding => [binding.shortcut, binding.event]));
+    }
+
+    /**
+     * @override
+     * @brief Enables or disables the keyboard controller
+     * @param {boolean} enabled - True to enable, false to disable
+     *
+     * Disabling forgets the typed sequence, a pending binding included.
+     */
+    setEnabled(enabled) {
+        if (!enabled) {
+            this.resetSequence();
+        }
+        super.setEnabled(enabled);
+    }
+
+    /**
+     * @brief Matches a key down event against the declared bindings
+     * @param {KeyboardEvent} e - The keyboard event object
+     * @private
+     *
+     * Appends the pressed combination to the typed sequence. A complete match
+     * triggers the bound event, a partial match waits for the next combination
+     * until the sequence timeout elapses, otherwise the oldest steps are dropped.
+     * A complete match that is also a partial one waits as well.
+     */
+    matchBindings(e) {
+        clearTimeout(this.__sequenceTimer);
+        const pending = this.__pendingMatch;
+        this.__pendingMatch = null;
+        this.__sequence.push(KeyboardController.getEventCombos(e));
+        if (pending && !this.__bindings.some(binding => KeyboardController.startsWith(binding, this.__sequence))) {
+            // The key does not continue the longer binding, the waiting one goes first
+            this.__sequence = this.__sequence.slice(-1);
+            this.triggerBinding(pending.binding, pending.event);
+        }
+
+        while (this.__sequence.length > 0) {
+            const length = this.__sequence.length;
+            const candidates = this.__bindings.filter(binding => KeyboardController.startsWith(binding, this.__sequence));
+            const match = candidates.find(binding => binding.sequence.length === length);
+            if (match && this.__options.preventDefault) {
+                e.preventDefault();
+            }
+            if (match && candidates.every(binding => binding.sequence.length === length)) {
+                this.__sequence = [];
+                this.triggerBinding(match, e);
+                return;
+            }
+            if (candidates.length > 0) {
+                this.__pendingMatch = match ? {binding: match, event: e} : null;
+                this.__sequenceTimer = setTimeout(() => this.flushSequence(), this.__options.sequenceTimeout);
+                return;
+            }
+            this.__sequence.shift();
+        }
+    }
+
+    /**
+     * @brief Ends the typed sequence once the sequence timeout elapsed
+     * @private
+     *
+     * Triggers the binding waiting for a longer one, if any.
+     */
+    flushSequence() {
+        const pending = this.__pendingMatch;
+        this.resetSequence();
+        if (pending) {
+            this.triggerBinding(pending.binding, pending.event);
+        }
+    }
+
+    /**
+     * @brief Forgets the typed sequence and the binding waiting for a longer one
+     * @private
      */
-    getEnabled() {
-        return this.__enabled;
+    resetSequence() {
+        clearTimeout(this.__sequenceTimer);
+        this.__sequenceTimer = null;
+        this.__sequence = [];
+        this.__pendingMatch = null;
     }
 
     /**
-     * @override
-     * @brief Sets the enabled state of the controller
-     * @param {boolean} enabled - Whether to enable or disable
-     * @return void
+     * @brief Emits the event of a binding, with the shortcut in its shortcut field
+     * @param {{shortcut: string, event: string}} binding - Typed binding
+     * @param {KeyboardEvent} e - Key down event completing the binding
+     * @private
      */
-    setEnabled(enabled) {
-        this.__enabled = enabled;
+    triggerBinding(binding, e) {
+        this.emit(binding.event, e, {shortcut: binding.shortcut});
     }
 
     /**
-     * @override
-     * @brief Registers a callback for a specific event
-     * @param {string} event - Event name to register handler for
-     * @param {function} callback - Callback function to register
-     * @return {AbstractController} Returns this for chaining
+     * @brief Gets the event target the keyboard listeners are registered on
+     * @return {EventTarget} The element for 'focus' scope, the document for 'document' scope
+     * @private
      */
-    registerCallback(event, callback) {
-        if (!this.__handlers[event]) {
-            this.__handlers[event] = [];
-        }
-        this.__handlers[event].push(callback);
-        return this;
+    getKeyTarget() {
+        return this.__options.scope === 'document' ? this.getDocument() : this.getElement();
     }
 
     /**
      * @override
-     * @brief Unregisters a callback for a specific event
-     * @param {string} event - Event name to unregister from
-     * @param {function} callback - Callback function to remove
-     * @return {AbstractController} Returns this for chaining
+     * @brief Sets up the keyboard controller
+     *
+     * Sets up keyboard listeners on the element or the document,
+     * depending on the scope.
      */
-    unregisterCallback(event, callback) {
-        if (this.__handlers[event]) {
-            this.__handlers[event] = this.__handlers[event].filter(handler => handler !== callback);
-        }
-        return this;
+    setup() {
+        this.addListener(this.getKeyTarget(), 'keydown', this.keyDownHandler);
+        this.addListener(this.getKeyTarget(), 'keyup', this.keyUpHandler);
     }
 
     /**
      * @override
-     * @brief Triggers registered handlers for a specific event
-     * @param {string} event - Event name to trigger
-     * @param {...*} args - Arguments to pass to handlers
-     * @return {AbstractController} Returns this for chaining
+     * @brief Tears down the keyboard controller
+     *
+     * Removes all event listeners and forgets the typed sequence.
      */
-    trigger(event, ...args) {
-        if (this.getEnabled() && this.__handlers[event]) {
-            this.__handlers[event].forEach(handler => handler(...args));
-        }
-        return this;
+    teardown() {
+        this.removeListeners();
+        this.resetSequence();
     }
 }
 
 /**
- * @class MouseController
- * @brief Concrete controller implementation for mouse event handling
+ * @class KeyboardPointerController
+ * @brief Controller emulating a pointer with the keyboard
  * @extends AbstractController
  *
- * The MouseController class provides mouse event handling capabilities
- * for a specific DOM element. It translates native mouse events into
- * controller events ('start', 'move', 'end', 'enter', 'leave') with proper activation state management.
+ * The KeyboardPointerController class turns keyboard input on the focused
+ * element into the 'start', 'move', 'end' and 'cancel' stream of the pointer
+ * controllers, which makes pointer based widgets keyboard accessible:
+ * - Space or Enter picks up at the center of the element, pressed again it drops
+ * - Arrow keys move the picked up pointer by the step, by the large step with Shift
+ * - Escape cancels, so does moving the focus out of the element
+ *
+ * Events have the 'keyboard' source and a pointer of the 'keyboard' type
+ * with the identifier -1. Keys combined with Ctrl, Alt or Meta are left to the
+ * browser. The element must be focusable, for example with tabindex="0".
+ *
+ * @code
+ * const multiCtrl = new MultiController(slider);
+ * multiCtrl.createController(MouseController)
+ *         .createController(KeyboardPointerController, {step: 5})
+ *         .registerCallback('move', (e) => slider.update(e.getPointer().x))
+ *         .initialize();
+ * @endcode
  */
-class MouseController extends AbstractController {
+class KeyboardPointerController extends AbstractController {
     /**
-     * @brief Handles mouse down events
-     * @param {MouseEvent} e - The mouse event object
-     * @private
+     * @brief Gets the unit move of an arrow key
+     * @param {string} key - Normalized key name, see KeyboardController.normalizeKey()
+     * @return {number[]|null} Horizontal and vertical unit move, null for other keys
+     * @static
      */
-    handleMouseDown(e) {
-        this.trigger('start', e);
+    static getArrowDirection(key) {
+        const directions = {
+            'arrowleft': [-1, 0],
+            'arrowright': [1, 0],
+            'arrowup': [0, -1],
+            'arrowdown': [0, 1]
+        };
+        return directions[key] || null;
     }
 
     /**
-     * @brief Handles mouse move events
-     * @param {MouseEvent} e - The mouse event object
-     * @private
+     * @override
+     * @brief Creates a normalized controller event at the position of the emulated pointer
+     * @param {string} event - Controller event name
+     * @param {KeyboardEvent} nativeEvent - The keyboard event object
+     * @return {ControllerEvent} Normalized event, the pointer is released for 'end' and 'cancel'
      */
-    handleMouseMove(e) {
-        this.trigger('move', e);
+    createEvent(event, nativeEvent) {
+        const win = Environment.getWindow();
+        const point = {
+            clientX: this.__position.x,
+            clientY: this.__position.y,
+            pageX: this.__position.x + (win && win.scrollX || 0),
+            pageY: this.__position.y + (win && win.scrollY || 0)
+        };
+        const released = event === 'end' || event === 'cancel';
+        const pointer = ControllerEvent.createPointer(-1, 'keyboard', point, released ? 0 : 0.5,
+            this.getElement().getBoundingClientRect());
+        return new ControllerEvent(event, 'keyboard', nativeEvent, {
+            pointers: released ? [] : [pointer],
+            changedPointers: [pointer],
+            buttons: released ? 0 : 1
+        });
     }
 
     /**
-     * @brief Handles mouse up events
-     * @param {MouseEvent} e - The mouse event object
-     * @private
+     * @brief Checks if the emulated pointer is picked up
+     * @return {boolean} True between pick up and drop or cancel
      */
-    handleMouseUp(e) {
-        this.trigger('end', e);
+    isActive() {
+        return this.isInteracting();
     }
 
     /**
-     * @brief Handles mouse enter events
-     * @param {MouseEvent} e - The mouse event object
+     * @brief Handles key down events
+     * @param {KeyboardEvent} e - The keyboard event object
      * @private
      */
-    handleMouseEnter(e) {
-        this.trigger('enter', e);
+    handleKeyDown(e) {
+        if (!this.getEnabled() || e.ctrlKey || e.altKey || e.metaKey
+            || (this.__options.ignoreEditable && KeyboardController.isEditableTarget(e))) {
+            return;
+        }
+
+        const key = KeyboardController.normalizeKey(e.key);
+        const direction = KeyboardPointerController.getArrowDirection(key);
+        if (key === 'space' || key === 'enter') {
+            e.preventDefault();
+            if (e.repeat) {
+                return;
+            }
+            if (this.isActive()) {
+                this.emit('end', e);
+            } else {
+                const rect = this.getElement().getBoundingClientRect();
+                this.__position = {x: rect.left + rect.width / 2, y: rect.top + rect.height / 2};
+                this.emit('start', e);
+            }
+        } else if (this.isActive() && key === 'escape') {
+            e.preventDefault();
+            this.emit('cancel', e);
+        } else if (this.isActive() && direction) {
+            e.preventDefault();
+            const step = e.shiftKey ? this.__options.largeStep : this.__options.step;
+            this.__position = {
+                x: this.__position.x + direction[0] * step,
+                y: this.__position.y + direction[1] * step
+            };
+            this.emit('move', e);
+        }
     }
 
     /**
-     * @brief Handles mouse leave events
-     * @param {MouseEvent} e - The mouse event object
+     * @brief Handles focus out events
+     * @param {FocusEvent} e - The focus event object
      * @private
+     *
+     * Cancels the interaction when the focus leaves the element.
      */
-    handleMouseLeave(e) {
-        this.trigger('leave', e);
+    handleFocusOut(e) {
+        if (this.isActive() && !(e.relatedTarget && this.getElement().contains(e.relatedTarget))) {
+            this.emit('cancel', e);
+        }
     }
 
     /**
-     * @brief Constructor for MouseController
-     * @param {HTMLElement} element - DOM element to monitor for mouse events
-     * @param {Document} [doc=document] - Document instance to register global mouse events
+     * @brief Constructor for KeyboardPointerController
+     * @param {HTMLElement} element - Focusable DOM element to monitor for keyboard events
+     * @param {Document} [doc=document] - Document instance of the element
+     * @param {Object} [options={}] - Controller options
+     * @param {number} [options.step=10] - Distance an arrow key moves the pointer, in CSS pixels
+     * @param {number} [options.largeStep=50] - Distance an arrow key moves the pointer
+     *        with Shift held, in CSS pixels
+     * @param {boolean} [options.ignoreEditable=true] - Whether to ignore events from editable elements
      *
-     * Initializes the mouse controller for a specific element and binds
-     * event handlers. Note the controller must be initialized to begin
+     * Initializes the keyboard pointer controller for a specific element and
+     * binds event handlers. Note the controller must be initialized to begin
      * listening to events.
      */
-    constructor(element, doc = document) {
+    constructor(element, doc = Environment.getDocument(), {step = 10, largeStep = 50, ignoreEditable = true} = {}) {
         super(element, doc);
 
         /**
-         * @property {function} mouseDownHandler - Bound mouse down handler
-         * @private
-         */
-        this.mouseDownHandler = this.handleMouseDown.bind(this);
-
-        /**
-         * @property {function} mouseMoveHandler - Bound mouse move handler
+         * @property {Object} __options - Controller options
          * @private
          */
-        this.mouseMoveHandler = this.handleMouseMove.bind(this);
+        this.__options = {step, largeStep, ignoreEditable};
 
         /**
-         * @property {function} mouseUpHandler - Bound mouse up handler
+         * @property {{x: number, y: number}} __position - Viewport position of the emulated pointer
          * @private
          */
-        this.mouseUpHandler = this.handleMouseUp.bind(this);
+        this.__position = {x: 0, y: 0};
 
         /**
-         * @property {function} mouseEnterHandler - Bound mouse enter handler
+         * @property {function} keyDownHandler - Bound key down handler
          * @private
          */
-        this.mouseEnterHandler = this.handleMouseEnter.bind(this);
+        this.keyDownHandler = this.handleKeyDown.bind(this);
 
         /**
-         * @property {function} mouseLeaveHandler - Bound mouse leave handler
+         * @property {function} focusOutHandler - Bound focus out handler
          * @private
          */
-        this.mouseLeaveHandler = this.handleMouseLeave.bind(this);
+        this.focusOutHandler = this.handleFocusOut.bind(this);
     }
 
     /**
      * @override
-     * @brief Initializes the mouse controller
+     * @brief Sets up the keyboard pointer controller
      *
-     * Sets up event listeners on both the element (for mousedown, mouseenter, mouseleave)
-     * and document (for mousemove/mouseup) and activates the controller.
+     * Sets up key and focus listeners on the element.
      */
-    initialize() {
-        this.getElement().addEventListener('mousedown', this.mouseDownHandler);
-        this.getDocument().addEventListener('mousemove', this.mouseMoveHandler);
-        this.getDocument().addEventListener('mouseup', this.mouseUpHandler);
-        this.getElement().addEventListener('mouseenter', this.mouseEnterHandler);
-        this.getElement().addEventListener('mouseleave', this.mouseLeaveHandler);
-        this.setEnabled(true);
+    setup() {
+        this.addListener(this.getElement(), 'keydown', this.keyDownHandler);
+        this.addListener(this.getElement(), 'focusout', this.focusOutHandler);
     }
 
     /**
      * @override
-     * @brief Cleans up the mouse controller
+     * @brief Tears down the keyboard pointer controller
      *
-     * Removes all event listeners and deactivates the controller.
-     * Should be called when the controller is no longer needed.
+     * Removes all event listeners. The emulated pointer was
+     * cancelled when the controller was disabled before.
      */
-    dispose() {
-        this.getElement().removeEventListener('mousedown', this.mouseDownHandler);
-        this.getDocument().removeEventListener('mousemove', this.mouseMoveHandler);
-        this.getDocument().removeEventListener('mouseup', this.mouseUpHandler);
-        this.getElement().removeEventListener('mouseenter', this.mouseEnterHandler);
-        this.getElement().removeEventListener('mouseleave', this.mouseLeaveHandler);
-        this.setEnabled(false);
+    teardown() {
+        this.removeListeners();
     }
 }
 
 /**
- * @class TouchController
- * @brief Concrete controller implementation for touch event handling
+ * @class WheelController
+ * @brief Concrete controller implementation for wheel and trackpad event handling
  * @extends AbstractController
  *
- * The TouchController class provides touch event handling capabilities
- * for a specific DOM element. It translates native touch events into
- * controller events ('start', 'move', 'end', 'cancel') with proper activation state management.
+ * The WheelController class converts native wheel events into controller
+ * events with deltas in pixels, whatever their deltaMode is:
+ * - 'wheel' for scrolling, with deltaX, deltaY and deltaZ in pixels
+ * - 'zoom' for Ctrl+wheel and trackpad pinch, with a multiplicative scale factor
+ * - 'wheelstart' and 'wheelend' around a burst of wheel events,
+ *   the burst ends when no wheel event arrived for idleTimeout
+ *
+ * Listeners are passive by default. A policy with preventDefault: 'always'
+ * prevents page scrolling and zooming, see setPolicy(); wheel events carry
+ * no pressed pointers, so the 'active' and 'threshold' modes never apply.
+ * The passive: false and preventDefault: true options are shorthands for it.
  */
-class TouchController extends AbstractController {
+class WheelController extends AbstractController {
     /**
-     * @brief Gets the maximum number of simultaneous touch points supported by the device
-     * @return {number} Maximum number of touch points or 0 if not supported
+     * @brief Converts the deltas of a wheel event into pixels
+     * @param {WheelEvent} e - The wheel event object
+     * @param {number} lineHeight - Height of a line in pixels
+     * @param {number} pageHeight - Height of a page in pixels
+     * @return {{deltaX: number, deltaY: number, deltaZ: number}} Deltas in pixels
      * @static
      */
-    static getMaxTouchPoints() {
-        return ('maxTouchPoints' in navigator)
-            ? navigator.maxTouchPoints : 0;
+    static normalizeDelta(e, lineHeight, pageHeight) {
+        // WheelEvent.DOM_DELTA_PIXEL, DOM_DELTA_LINE and DOM_DELTA_PAGE
+        const factor = [1, lineHeight, pageHeight][e.deltaMode || 0];
+        return {
+            deltaX: e.deltaX * factor,
+            deltaY: e.deltaY * factor,
+            deltaZ: (e.deltaZ || 0) * factor
+        };
     }
 
     /**
-     * @brief Checks if touch input is supported by the device
-     * @return {boolean} True if touch is supported, false otherwise
-     * @static
+     * @override
+     * @brief Creates a normalized controller event from a native wheel event
+     * @param {string} event - Controller event name
+     * @param {WheelEvent} nativeEvent - The wheel or gesture event object
+     * @return {ControllerEvent} Normalized event, 'wheel' and 'zoom' events carry
+     *         deltaX, deltaY and deltaZ in pixels, 'zoom' events a scale as well
      */
-    static isTouchSupported() {
-        return TouchController.getMaxTouchPoints() > 0;
+    createEvent(event, nativeEvent) {
+        const payload = ControllerEvent.fromWheelEvent(event, nativeEvent, this.getElement());
+        if (event !== 'wheel' && event !== 'zoom') {
+            return payload;
+        }
+        if (nativeEvent.type === 'gesturechange') {
+            const scale = nativeEvent.scale / this.__gestureScale;
+            return Object.assign(payload, {deltaX: 0, deltaY: 0, deltaZ: 0, scale});
+        }
+
+        const delta = WheelController.normalizeDelta(nativeEvent, this.__options.lineHeight, this.getPageHeight());
+        if (event === 'zoom') {
+            delta.scale = Math.exp(-delta.deltaY * this.__options.zoomSpeed);
+        }
+        return Object.assign(payload, delta);
     }
 
     /**
-     * @brief Checks if multitouch input is supported by the device
-     * @return {boolean} True if multitouch is supported (2+ touch points), false otherwise
-     * @static
+     * @brief Handles wheel events
+     * @param {WheelEvent} e - The wheel event object
+     * @private
+     *
+     * Ctrl+wheel, which browsers also report for trackpad pinch,
+     * is triggered as 'zoom', any other wheel event as 'wheel'.
      */
-    static isMultiTouchSupported() {
-        return TouchController.getMaxTouchPoints() >= 2;
+    handleWheel(e) {
+        if (!this.getEnabled()) {
+            return;
+        }
+        this.extendBurst(e);
+        this.emit(e.ctrlKey ? 'zoom' : 'wheel', e);
     }
 
     /**
-     * @brief Handles touch start events
-     * @param {TouchEvent} e - The touch event object
+     * @brief Handles Safari gesture start events
+     * @param {Event} e - The gesture event object
      * @private
+     *
+     * No controller event is emitted for the start of a gesture, its default
+     * action, the page zoom, is prevented here for the 'always' mode.
      */
-    handleTouchStart(e) {
-        this.trigger('start', e);
+    handleGestureStart(e) {
+        if (!this.getEnabled()) {
+            return;
+        }
+        if (this.getPolicy().preventDefault === 'always') {
+            e.preventDefault();
+        }
+        this.__gestureScale = 1;
     }
 
     /**
-     * @brief Handles touch move events
-     * @param {TouchEvent} e - The touch event object
+     * @brief Handles Safari gesture change events
+     * @param {Event} e - The gesture event object
      * @private
+     *
+     * Safari reports trackpad pinch through gesture events with a cumulative
+     * scale, which is converted into the same relative 'zoom' event.
      */
-    handleTouchMove(e) {
-        this.trigger('move', e);
+    handleGestureChange(e) {
+        if (!this.getEnabled()) {
+            return;
+        }
+        this.extendBurst(e);
+        this.emit('zoom', e);
+        this.__gestureScale = e.scale;
     }
 
     /**
-     * @brief Handles touch end events
-     * @param {TouchEvent} e - The touch event object
+     * @brief Constructor for WheelController
+     * @param {HTMLElement} element - DOM element to monitor for wheel events
+     * @param {Document} [doc=document] - Document instance to register global events
+     * @param {Object} [options={}] - Controller options
+     * @param {boolean} [options.passive=true] - Whether the listeners are passive,
+     *        false is a shorthand for the policy {passive: false}
+     * @param {boolean} [options.preventDefault=false] - Whether to prevent the default action
+     *        of every wheel event, a shorthand for the policy {preventDefault: 'always'};
+     *        requires passive: false
+     * @param {number} [options.idleTimeout=150] - Delay without wheel events ending a burst, in milliseconds
+     * @param {number} [options.lineHeight=16] - Pixels per line for DOM_DELTA_LINE events
+     * @param {number|null} [options.pageHeight=null] - Pixels per page for DOM_DELTA_PAGE events,
+     *        null for the element height
+     * @param {number} [options.zoomSpeed=0.01] - Zoom sensitivity, scale = exp(-deltaY * zoomSpeed)
+     * @param {Object|null} [options.policy=null] - Passive listeners and default prevention,
+     *        see setPolicy(); its fields take precedence over the passive and preventDefault options
+     * @throws {Error} If preventDefault is requested with passive listeners
+     *
+     * Initializes the wheel controller for a specific element and binds
+     * event handlers. Note the controller must be initialized to begin
+     * listening to events.
+     */
+    constructor(element, doc = Environment.getDocument(), {
+        passive = true,
+        preventDefault = false,
+        idleTimeout = 150,
+        lineHeight = 16,
+        pageHeight = null,
+        zoomSpeed = 0.01,
+        policy = null
+    } = {}) {
+        super(element, doc);
+
+        if (passive && preventDefault) {
+            throw new Error('Cannot prevent default action of passive wheel listeners');
+        }
+
+        /**
+         * @property {Object} __options - Controller options
+         * @private
+         */
+        this.__options = {idleTimeout, lineHeight, pageHeight, zoomSpeed};
+
+        const shorthand = {};
+        if (!passive) {
+            shorthand.passive = false;
+        }
+        if (preventDefault) {
+            shorthand.preventDefault = 'always';
+        }
+        if (policy !== null || Object.keys(shorthand).length > 0) {
+            this.setPolicy(Object.assign(shorthand, policy));
+        }
+
+        /**
+         * @property {number|null} __idleTimer - Timer ending the current burst, null outside of a burst
+         * @private
+         */
+        this.__idleTimer = null;
+
+        /**
+         * @property {Event|null} __burstEvent - Last native event of the current burst
+         * @private
+         */
+        this.__burstEvent = null;
+
+        /**
+         * @property {number} __gestureScale - Last cumulative scale of a Safari gesture
+         * @private
+         */
+        this.__gestureScale = 1;
+
+        /**
+         * @property {function} wheelHandler - Bound wheel handler
+         * @private
+         */
+        this.wheelHandler = this.handleWheel.bind(this);
+
+        /**
+         * @property {function} gestureStartHandler - Bound gesture start handler
+         * @private
+         */
+        this.gestureStartHandler = this.handleGestureStart.bind(this);
+
+        /**
+         * @property {function} gestureChangeHandler - Bound gesture change handler
+         * @private
+         */
+        this.gestureChangeHandler = this.handleGestureChange.bind(this);
+    }
+
+    /**
+     * @brief Gets the height of a page for DOM_DELTA_PAGE events
+     * @return {number} Page height in pixels
      * @private
      */
-    handleTouchEnd(e) {
-        this.trigger('end', e);
+    getPageHeight() {
+        return this.__options.pageHeight !== null
+            ? this.__options.pageHeight : this.getElement().clientHeight;
     }
 
     /**
-     * @brief Handles touch cancel events
-     * @param {TouchEvent} e - The touch event object
+     * @brief Starts or extends the current wheel burst
+     * @param {Event} e - Native event of the burst
      * @private
+     *
+     * Triggers 'wheelstart' on the first event of a burst and
+     * 'wheelend' once no event arrived for the idle timeout.
      */
-    handleTouchCancel(e) {
-        this.trigger('cancel', e);
+    extendBurst(e) {
+        if (this.__idleTimer === null) {
+            this.emit('wheelstart', e);
+        } else {
+            clearTimeout(this.__idleTimer);
+        }
+        this.__burstEvent = e;
+        this.__idleTimer = setTimeout(() => this.endBurst(), this.__options.idleTimeout);
     }
 
     /**
-     * @brief Constructor for TouchController
-     * @param {HTMLElement} element - DOM element to monitor for touch events
-     * @param {Document} [doc=document] - Document instance to register global touch events
+     * @brief Ends the current wheel burst, if any
+     * @private
      *
-     * Initializes the touch controller for a specific element and binds
-     * event handlers. Note the controller must be initialized to begin
-     * listening to events.
+     * Triggers 'wheelend' with the last native event of the burst.
      */
-    constructor(element, doc = document) {
-        super(element, doc);
+    endBurst() {
+        if (this.__idleTimer === null) {
+            return;
+        }
+        const e = this.__burstEvent;
+        clearTimeout(this.__idleTimer);
+        this.__idleTimer = null;
+        this.__burstEvent = null;
+        this.emit('wheelend', e);
+    }
 
-        // Checking for touch support before creating a controller
-        if (!TouchController.isTouchSupported()) {
-            throw new Error('Touch is not supported on this device');
+    /**
+     * @override
+     * @brief Enables or disables the wheel controller
+     * @param {boolean} enabled - True to enable, false to disable
+     *
+     * Disabling ends the current burst, its 'wheelend' is
+     * triggered before the controller is disabled.
+     */
+    setEnabled(enabled) {
+        if (!enabled) {
+            this.endBurst();
         }
+        super.setEnabled(enabled);
+    }
+
+    /**
+     * @override
+     * @brief Sets up the wheel controller
+     *
+     * Sets up wheel and gesture listeners on the element, they are
+     * passive unless the policy prevents default actions, see setPolicy().
+     */
+    setup() {
+        const options = {passive: true};
+        this.addListener(this.getElement(), 'wheel', this.wheelHandler, options);
+        this.addListener(this.getElement(), 'gesturestart', this.gestureStartHandler, options);
+        this.addListener(this.getElement(), 'gesturechange', this.gestureChangeHandler, options);
+    }
+
+    /**
+     * @override
+     * @brief Tears down the wheel controller
+     *
+     * Removes all event listeners and drops the current burst.
+     */
+    teardown() {
+        this.removeListeners();
+        clearTimeout(this.__idleTimer);
+        this.__idleTimer = null;
+        this.__burstEvent = null;
+    }
+}
+
+/**
+ * @class MultiController
+ * @brief Composite controller that manages multiple sub-controllers
+ * @extends AbstractController
+ *
+ * The MultiController class provides functionality
+ * to manage multiple Controller instances as a single unit.
+ *
+ * It propagates lifecycle methods (enable/disable/initialize/dispose)
+ * and events to all registered sub-controllers.
+ */
+class MultiController extends AbstractController {
+    /**
+     * @brief Constructor for MultiController
+     * @param {HTMLElement} element - DOM element associated with this controller
+     * @param {Document} [doc=document] - Document instance for event registration
+     * @param {Object} [options={}] - Controller options
+     * @param {boolean} [options.deduplicate=true] - Whether to drop the compatibility mouse
+     *        events browsers emit after touch input
+     * @param {number} [options.dedupTimeout=2500] - Time after a touch during which
+     *        nearby mouse events are considered emulated, in milliseconds
+     * @param {number} [options.dedupDistance=25] - Distance from a touch within which
+     *        mouse events are considered emulated, in CSS pixels
+     * @param {Object|null} [options.policy=null] - Input policy of this controller and
+     *        its sub-controllers, see setPolicy()
+     *
+     * Initializes the multi-controller
+     * with an empty list of sub-controllers.
+     */
+    constructor(element, doc = Environment.getDocument(), {
+        deduplicate = true,
+        dedupTimeout = 2500,
+        dedupDistance = 25,
+        policy = null
+    } = {}) {
+        super(element, doc);
 
         /**
-         * @property {function} touchStartHandler - Bound touch start handler
+         * @property {Array<ControllerInterface>} __controllers - Registered sub-controllers
          * @private
          */
-        this.touchStartHandler = this.handleTouchStart.bind(this);
+        this.__controllers = [];
 
         /**
-         * @property {function} touchMoveHandler - Bound touch move handler
+         * @property {Object} __dedup - Deduplication options
          * @private
          */
-        this.touchMoveHandler = this.handleTouchMove.bind(this);
+        this.__dedup = {enabled: deduplicate, timeout: dedupTimeout, distance: dedupDistance};
 
         /**
-         * @property {function} touchEndHandler - Bound touch end handler
+         * @property {Set<number>} __activeTouches - Identifiers of the touches currently down
          * @private
          */
-        this.touchEndHandler = this.handleTouchEnd.bind(this);
+        this.__activeTouches = new Set();
 
         /**
-         * @property {function} touchCancelHandler - Bound touch cancel handler
+         * @property {Array<{clientX: number, clientY: number, time: number}>} __recentTouches - Recent touch positions
          * @private
          */
-        this.touchCancelHandler = this.handleTouchCancel.bind(this);
+        this.__recentTouches = [];
+
+        /**
+         * @property {string|null} __activeInput - Pointer type of the last accepted input
+         * @private
+         */
+        this.__activeInput = null;
+
+        if (policy !== null) {
+            this.setPolicy(policy);
+        }
     }
 
     /**
-     * @override
-     * @brief Initializes the touch controller
+     * @brief Gets the input type currently in use
+     * @return {string|null} 'mouse', 'pen', 'touch' or 'keyboard', null before any input
+     */
+    getActiveInput() {
+        return this.__activeInput;
+    }
+
+    /**
+     * @brief Records touch input and checks mouse input for emulation
+     * @param {ControllerEvent} e - Event bubbling up from a sub-controller
+     * @return {boolean} True if the event is genuine input, false if it is
+     *         a compatibility mouse event emulated after touch input
+     * @private
      *
-     * Sets up event listeners on the element for touch events
-     * and activates the controller.
+     * Mouse events are considered emulated while a touch is down, and within
+     * the deduplication time and distance windows after a touch. Accepted
+     * input updates the active input type and triggers 'inputchange'.
      */
-    initialize() {
-        this.getElement().addEventListener('touchstart', this.touchStartHandler, {passive: false});
-        this.getElement().addEventListener('touchmove', this.touchMoveHandler, {passive: false});
-        this.getElement().addEventListener('touchend', this.touchEndHandler);
-        this.getElement().addEventListener('touchcancel', this.touchCancelHandler);
-        this.setEnabled(true);
+    acceptsInput(e) {
+        const changed = e.changedPointers;
+        const pointerType = changed.length > 0 ? changed[0].pointerType : null;
+
+        if (pointerType === 'touch') {
+            const time = e.timeStamp;
+            changed.forEach(pointer => {
+                if (e.type === 'end' || e.type === 'cancel') {
+                    this.__activeTouches.delete(pointer.id);
+                } else if (e.type === 'start') {
+                    this.__activeTouches.add(pointer.id);
+                }
+                this.__recentTouches.push({clientX: pointer.clientX, clientY: pointer.clientY, time});
+            });
+            this.__recentTouches = this.__recentTouches.filter(touch => time - touch.time <= this.__dedup.timeout);
+        } else if (e.source === 'mouse' && this.__dedup.enabled) {
+            if (this.__activeTouches.size > 0) {
+                return false;
+            }
+            const pointer = e.getPointer();
+            const emulated = pointer && this.__recentTouches.some(touch => e.timeStamp - touch.time <= this.__dedup.timeout
+                && Math.hypot(touch.clientX - pointer.clientX, touch.clientY - pointer.clientY) <= this.__dedup.distance);
+            if (emulated) {
+                return false;
+            }
+        }
+
+        if (pointerType !== null && pointerType !== this.__activeInput) {
+            const previousInput = this.__activeInput;
+            this.__activeInput = pointerType;
+            this.trigger('inputchange', Object.assign(new ControllerEvent('inputchange', e.source, e.originalEvent), {
+                input: pointerType,
+                previousInput
+            }));
+        }
+        return true;
     }
 
     /**
      * @override
-     * @brief Cleans up the touch controller
+     * @brief Calls the handlers registered on this controller only
+     * @param {string} event - Event name to dispatch
+     * @param {Array} args - Arguments to pass to handlers
+     * @return void
      *
-     * Removes all event listeners and deactivates the controller.
-     * Should be called when the controller is no longer needed.
+     * Input bubbling up from sub-controllers goes through deduplication first,
+     * a dropped event does not reach the handlers nor the parent controllers.
+     * An accepted one goes to handleInput() before the handlers.
      */
-    dispose() {
-        this.getElement().removeEventListener('touchstart', this.touchStartHandler);
-        this.getElement().removeEventListener('touchmove', this.touchMoveHandler);
-        this.getElement().removeEventListener('touchend', this.touchEndHandler);
-        this.getElement().removeEventListener('touchcancel', this.touchCancelHandler);
-        this.setEnabled(false);
+    dispatch(event, args) {
+        const payload = args[0];
+        const isInput = payload instanceof ControllerEvent && payload.controller !== this && this.getEnabled();
+        if (isInput && payload.source !== 'wheel' && payload.pointers.concat(payload.changedPointers).length > 0
+            && !this.acceptsInput(payload)) {
+            payload.stopBubbling();
+            return;
+        }
+        if (isInput) {
+            this.handleInput(event, payload);
+        }
+        super.dispatch(event, args);
     }
-}
 
-/**
- * @class MultiController
- * @brief Composite controller that manages multiple sub-controllers
- * @extends AbstractController
- *
- * The MultiController class provides functionality
- * to manage multiple Controller instances as a single unit.
- *
- * It propagates lifecycle methods (enable/disable/initialize/dispose)
- * and events to all registered sub-controllers.
- */
-class MultiController extends AbstractController {
     /**
-     * @brief Constructor for MultiController
-     * @param {HTMLElement} element - DOM element associated with this controller
-     * @param {Document} [doc=document] - Document instance for event registration
+     * @brief Handles an event bubbling up from the sub-controllers before the handlers
+     * @param {string} event - Event name
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
      *
-     * Initializes the multi-controller
-     * with an empty list of sub-controllers.
+     * Does nothing. Composite controllers built on the input of their
+     * sub-controllers override it, so that their logic does not depend
+     * on callbacks the public API could unregister.
      */
-    constructor(element, doc = document) {
-        super(element, doc);
-
-        /**
-         * @property {Array<ControllerInterface>} __controllers - Registered sub-controllers
-         * @private
-         */
-        this.__controllers = [];
+    handleInput(event, e) {
     }
 
     /**
@@ -614,14 +4254,31 @@ class MultiController extends AbstractController {
      * @return {MultiController} Returns this instance for method chaining
      * @throws {Error} Throws an error if parameter is not a Controller instance
      *
-     * Adds the specified controller to the collection
-     * and initializes it if this multi-controller is currently enabled.
+     * Adds the specified controller to the collection, makes this
+     * multi-controller its parent so that its events bubble up here,
+     * passes on its move scheduling, delegate selector, policy and
+     * coordinate space, and initializes it if this multi-controller
+     * is initialized, taking over its enabled state.
      */
     addController(controller) {
         if (controller instanceof ControllerInterface) {
             this.__controllers.push(controller);
-            if (this.getEnabled()) {
+            controller.setParent(this);
+            if (this.getMoveScheduling() !== null && typeof controller.setMoveScheduling === 'function') {
+                controller.setMoveScheduling(this.getMoveScheduling());
+            }
+            if (this.getDelegate() !== null && typeof controller.setDelegate === 'function') {
+                controller.setDelegate(this.getDelegate());
+            }
+            if (this.hasPolicy() && typeof controller.setPolicy === 'function') {
+                controller.setPolicy(this.getPolicy());
+            }
+            if (this.getCoordinateSpace() !== null && typeof controller.setCoordinateSpace === 'function') {
+                controller.setCoordinateSpace(this.getCoordinateSpace());
+            }
+            if (this.isInitialized()) {
                 controller.initialize();
+                controller.setEnabled(this.getEnabled());
             }
             return this;
         }
@@ -644,20 +4301,29 @@ class MultiController extends AbstractController {
         return this.addController(new controllerClass(this.getElement(), this.getDocument(), ...args));
     }
 
+    /**
+     * @brief Gets the managed controllers
+     * @return {Array<ControllerInterface>} Copy of the sub-controller list
+     */
+    getControllers() {
+        return this.__controllers.slice();
+    }
+
     /**
      * @brief Removes a controller from the managed collection
      * @param {ControllerInterface} controller - Controller instance to remove
      * @return {MultiController} Returns this instance for method chaining
      *
      * Removes the specified controller from the collection
-     * and disposes it if the controller is currently enabled.
+     * and disposes it if the controller is initialized.
      */
     removeController(controller) {
         const index = this.__controllers.indexOf(controller);
         if (index !== -1) {
-            if (controller.getEnabled()) {
+            if (controller.isInitialized()) {
                 controller.dispose();
             }
+            controller.setParent(null);
             this.__controllers.splice(index, 1);
         }
         return this;
@@ -669,24 +4335,136 @@ class MultiController extends AbstractController {
      * @param {boolean} enabled - Whether to enable or disable the controllers
      *
      * Sets the enabled state of this controller and propagates
-     * it to all registered sub-controllers.
+     * it to all initialized sub-controllers. When disabling, the
+     * sub-controllers are disabled first.
      */
     setEnabled(enabled) {
-        super.setEnabled(enabled);
+        if (enabled) {
+            super.setEnabled(enabled);
+        }
+        this.__controllers.forEach(controller => {
+            if (controller.isInitialized()) {
+                controller.setEnabled(enabled);
+            }
+        });
+        if (!enabled) {
+            // The 'cancel' events of the sub-controllers bubble up while this one is still enabled
+            super.setEnabled(enabled);
+        }
+    }
+
+    /**
+     * @override
+     * @brief Checks if an interaction is in progress on this controller or a sub-controller
+     * @return {boolean} True while a pointer is pressed
+     */
+    isInteracting() {
+        return super.isInteracting() || this.__controllers.some(controller =>
+            typeof controller.isInteracting === 'function' && controller.isInteracting());
+    }
+
+    /**
+     * @override
+     * @brief Ends the interactions in progress on the sub-controllers and this controller
+     * @param {string} reason - Why the interaction is cancelled, see AbstractController.cancelInteraction()
+     * @param {Event|null} [nativeEvent=null] - Native event causing the cancellation
+     * @param {number[]|null} [pointerIds=null] - Identifiers of the pointers to cancel, null for all of them
+     * @return {boolean} True if a 'cancel' was triggered
+     */
+    cancelInteraction(reason, nativeEvent = null, pointerIds = null) {
+        let cancelled = false;
+        this.__controllers.forEach(controller => {
+            if (typeof controller.cancelInteraction === 'function'
+                && controller.cancelInteraction(reason, nativeEvent, pointerIds)) {
+                cancelled = true;
+            }
+        });
+        return super.cancelInteraction(reason, nativeEvent, pointerIds) || cancelled;
+    }
+
+    /**
+     * @override
+     * @brief Sets how 'move' events are scheduled, for this controller and its sub-controllers
+     * @param {string|number|null} scheduling - 'frame', throttle interval in milliseconds,
+     *        or null, see AbstractController.setMoveScheduling()
+     * @return {MultiController} Returns this for chaining
+     *
+     * Sub-controllers added later take over a scheduling other than null.
+     */
+    setMoveScheduling(scheduling) {
+        super.setMoveScheduling(scheduling);
+        this.__controllers.forEach(controller => {
+            if (typeof controller.setMoveScheduling === 'function') {
+                controller.setMoveScheduling(scheduling);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * @override
+     * @brief Sets the selector of the delegated items, for this controller and its sub-controllers
+     * @param {string|null} selector - CSS selector, null to disable delegation,
+     *        see AbstractController.setDelegate()
+     * @return {MultiController} Returns this for chaining
+     *
+     * Sub-controllers added later take over a selector other than null.
+     */
+    setDelegate(selector) {
+        super.setDelegate(selector);
+        this.__controllers.forEach(controller => {
+            if (typeof controller.setDelegate === 'function') {
+                controller.setDelegate(selector);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * @override
+     * @brief Sets the space of the local pointer coordinates, for this controller and its sub-controllers
+     * @param {CoordinateSpace|null} space - Coordinate space, null to remove it,
+     *        see AbstractController.setCoordinateSpace()
+     * @return {MultiController} Returns this for chaining
+     *
+     * Sub-controllers added later take over a space other than null.
+     */
+    setCoordinateSpace(space) {
+        super.setCoordinateSpace(space);
+        this.__controllers.forEach(controller => {
+            if (typeof controller.setCoordinateSpace === 'function') {
+                controller.setCoordinateSpace(space);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * @override
+     * @brief Sets the input policy, for this controller and its sub-controllers
+     * @param {Object} policy - Policy fields, see AbstractController.setPolicy()
+     * @return {MultiController} Returns this for chaining
+     *
+     * Sub-controllers added later take over a policy other than the default one.
+     */
+    setPolicy(policy) {
+        super.setPolicy(policy);
         this.__controllers.forEach(controller => {
-            controller.setEnabled(enabled);
+            if (typeof controller.setPolicy === 'function') {
+                controller.setPolicy(policy);
+            }
         });
+        return this;
     }
 
     /**
      * @override
      * @brief Initializes all managed controllers
      *
-     * Initializes this controller and propagates
-     * the initialize call to all registered sub-controllers.
+     * Propagates the initialize call to all registered sub-controllers;
+     * the ones already initialized are left untouched.
      */
-    initialize() {
-        this.setEnabled(true);
+    setup() {
         this.__controllers.forEach(controller => {
             controller.initialize();
         });
@@ -696,11 +4474,9 @@ class MultiController extends AbstractController {
      * @override
      * @brief Disposes all managed controllers
      *
-     * Disposes this controller and propagates
-     * the dispose call to all registered sub-controllers.
+     * Propagates the dispose call to all registered sub-controllers.
      */
-    dispose() {
-        this.setEnabled(false);
+    teardown() {
         this.__controllers.forEach(controller => {
             controller.dispose();
         });
@@ -710,33 +4486,430 @@ class MultiController extends AbstractController {
      * @brief Clears all managed controllers and resets the collection
      *
      * Disposes all controllers and clears the internal collection,
-     * effectively resetting the multi-controller to its initial state.
+     * the multi-controller itself keeps its lifecycle state.
      */
     clear() {
-        this.dispose();
+        this.__controllers.forEach(controller => {
+            controller.dispose();
+            controller.setParent(null);
+        });
         this.__controllers = [];
     }
 
     /**
      * @override
-     * @brief Triggers an event on all managed controllers
+     * @brief Notifies this controller and all managed controllers
      *
-     * @param {string} event - Event name to trigger
-     * @param {...*} args - Arguments to pass to event handlers
-     * @return {MultiController} Returns the multi-controller instance for chaining
+     * @param {string} event - Event name to notify
+     * @param {Array} args - Arguments to pass to event handlers
+     * @return void
      *
-     * Triggers the specified event on this controller
-     * and propagates it to all registered sub-controllers.
+     * Calls the handlers of this controller and propagates the event down
+     * to all registered sub-controllers, which do not bubble it back up.
+     * Called by trigger() on this multi-controller.
      */
-    trigger(event, ...args) {
-        super.trigger(event, ...args);
+    notify(event, args) {
+        super.notify(event, args);
         if (this.getEnabled()) {
             this.__controllers.forEach(controller => {
-                controller.trigger(event, ...args);
+                controller.notify(event, args);
             });
         }
-        return this;
     }
 }
 
-export {AbstractController, MouseController, TouchController, MultiController};
\ No newline at end of file
+/**
+ * @class DragController
+ * @brief Composite controller turning press-move-release interactions into drag events
+ * @extends MultiController
+ *
+ * The DragController class composes input controllers (PointerController when
+ * available, otherwise MouseController and TouchController), listens to the
+ * input events bubbling up from them and emits
+ * 'dragstart', 'drag' and 'dragend' events. Every drag event carries the
+ * accumulated deltaX/deltaY since the drag started, after applying the
+ * threshold, axis lock, grid snapping and bounds clamping options.
+ *
+ * With inertia enabled, the drag continues after release with decaying
+ * velocity over animation frames; those 'drag' events have inertia set
+ * to true and 'dragend' is emitted once the movement stops.
+ */
+class DragController extends MultiController {
+    /**
+     * @brief Gets the default input controller classes
+     * @return {function[]} Controller classes to compose
+     * @static
+     */
+    static getDefaultControllers() {
+        if (PointerController.isPointerSupported()) {
+            return [PointerController];
+        }
+        return TouchController.isTouchSupported()
+            ? [MouseController, TouchController] : [MouseController];
+    }
+
+    /**
+     * @brief Constructor for DragController
+     * @param {HTMLElement} element - DOM element to drag
+     * @param {Document} [doc=document] - Document instance for event registration
+     * @param {Object} [options={}] - Drag options
+     * @param {function[]} [options.controllers] - Input controller classes to compose,
+     *        see DragController.getDefaultControllers()
+     * @param {number} [options.threshold=0] - Minimum distance in CSS pixels before the drag starts
+     * @param {string|null} [options.axis=null] - Axis to lock the drag to ('x' or 'y'), null for both
+     * @param {DOMRect|HTMLElement|string|null} [options.bounds=null] - Rect or element the dragged
+     *        element is kept inside of, 'parent' for the parent element, null for no bounds
+     * @param {number|number[]|null} [options.grid=null] - Grid cell size, or [width, height], null for no snapping
+     * @param {boolean|Object} [options.inertia=false] - Whether to continue moving after release,
+     *        or inertia options
+     * @param {number} [options.inertia.friction=0.95] - Velocity multiplier per 16ms frame
+     * @param {number} [options.inertia.minVelocity=0.02] - Velocity in px/ms below which inertia stops
+     * @param {Object|null} [options.policy=null] - Input policy of the composed controllers, see setPolicy(),
+     *        for instance {touchAction: 'none', userSelect: 'none', preventDefault: 'active'}
+     */
+    constructor(element, doc = Environment.getDocument(), {
+        controllers = DragController.getDefaultControllers(),
+        threshold = 0,
+        axis = null,
+        bounds = null,
+        grid = null,
+        inertia = false,
+        policy = null
+    } = {}) {
+        super(element, doc, {policy});
+
+        /**
+         * @property {Object} __options - Drag options
+         * @private
+         */
+        this.__options = {
+            threshold,
+            axis,
+            bounds,
+            grid: Array.isArray(grid) || grid === null ? grid : [grid, grid],
+            inertia: inertia && Object.assign({friction: 0.95, minVelocity: 0.02}, inertia)
+        };
+
+        /**
+         * @property {Object|null} __drag - State of the current interaction, null when idle
+         * @private
+         */
+        this.__drag = null;
+
+        /**
+         * @property {number|null} __frame - Pending inertia animation frame
+         * @private
+         */
+        this.__frame = null;
+
+        controllers.forEach(controllerClass => this.createController(controllerClass));
+    }
+
+    /**
+     * @brief Checks if a drag is in progress, including inertia
+     * @return {boolean} True while dragging
+     */
+    isDragging() {
+        return this.__drag !== null && this.__drag.started;
+    }
+
+    /**
+     * @brief Resolves the bounds option to a rect
+     * @return {DOMRect|null} Bounding rect, or null when the drag is unbounded
+     * @private
+     */
+    getBoundsRect() {
+        const bounds = this.__options.bounds === 'parent'
+            ? this.getElement().parentElement : this.__options.bounds;
+        if (bounds && typeof bounds.getBoundingClientRect === 'function') {
+            return bounds.getBoundingClientRect();
+        }
+        return bounds;
+    }
+
+    /**
+     * @brief Clamps a delta so that the dragged element stays inside of the bounds
+     * @param {number} x - Horizontal delta
+     * @param {number} y - Vertical delta
+     * @return {{x: number, y: number}} Clamped delta
+     * @private
+     */
+    clamp(x, y) {
+        const {rect, bounds} = this.__drag;
+        if (bounds) {
+            x = Math.min(Math.max(x, bounds.left - rect.left), bounds.right - rect.right);
+            y = Math.min(Math.max(y, bounds.top - rect.top), bounds.bottom - rect.bottom);
+        }
+        return {x, y};
+    }
+
+    /**
+     * @brief Applies axis lock, grid snapping and bounds clamping to a raw delta
+     * @param {number} rawX - Horizontal pointer displacement since the press
+     * @param {number} rawY - Vertical pointer displacement since the press
+     * @return {{x: number, y: number}} Constrained delta
+     * @private
+     */
+    constrain(rawX, rawY) {
+        const {axis, grid} = this.__options;
+        let x = axis === 'y' ? 0 : rawX;
+        let y = axis === 'x' ? 0 : rawY;
+
+        if (grid) {
+            x = Math.round(x / grid[0]) * grid[0];
+            y = Math.round(y / grid[1]) * grid[1];
+        }
+        return this.clamp(x, y);
+    }
+
+    /**
+     * @brief Triggers a drag event derived from an input event
+     * @param {string} event - Drag event name
+     * @param {ControllerEvent|null} e - Input event, null for inertia frames
+     * @param {boolean} [inertia=false] - Whether the event comes from inertia
+     * @private
+     */
+    emitDrag(event, e, inertia = false) {
+        const drag = new ControllerEvent(event, e ? e.source : this.__drag.source, e ? e.originalEvent : null, {
+            pointers: e ? e.pointers : [],
+            changedPointers: e ? e.changedPointers : [],
+            buttons: e ? e.buttons : 0
+        });
+        this.trigger(event, Object.assign(drag, {
+            deltaX: this.__drag.delta.x,
+            deltaY: this.__drag.delta.y,
+            inertia
+        }));
+    }
+
+    /**
+     * @override
+     * @brief Drives the drag with the input of the composed controllers
+     * @param {string} event - Event name
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleInput(event, e) {
+        if (event === 'start') {
+            this.handleDragStart(e);
+        } else if (event === 'move') {
+            this.handleDragMove(e);
+        } else if (event === 'end') {
+            this.handleDragEnd(e);
+        } else if (event === 'cancel') {
+            this.handleDragCancel(e);
+        }
+    }
+
+    /**
+     * @brief Handles input start events
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     *
+     * Stops a running inertia and starts tracking the pressed pointer.
+     */
+    handleDragStart(e) {
+        if (this.__drag && !this.__drag.released) {
+            return;
+        }
+        if (this.__drag) {
+            this.stopInertia();
+        }
+
+        const pointer = e.getPointer();
+        this.__drag = {
+            id: pointer.id,
+            source: e.source,
+            origin: pointer,
+            rect: this.getElement().getBoundingClientRect(),
+            bounds: this.getBoundsRect(),
+            delta: {x: 0, y: 0},
+            samples: [{x: pointer.clientX, y: pointer.clientY, time: e.timeStamp}],
+            started: false,
+            released: false
+        };
+    }
+
+    /**
+     * @brief Handles input move events
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     *
+     * Starts the drag once the threshold is exceeded
+     * and emits the constrained accumulated delta.
+     */
+    handleDragMove(e) {
+        const drag = this.__drag;
+        const pointer = drag && !drag.released && e.pointers.find(p => p.id === drag.id);
+        if (!pointer) {
+            return;
+        }
+
+        const rawX = pointer.clientX - drag.origin.clientX;
+        const rawY = pointer.clientY - drag.origin.clientY;
+        drag.samples.push({x: pointer.clientX, y: pointer.clientY, time: e.timeStamp});
+        drag.samples = drag.samples.filter(sample => e.timeStamp - sample.time <= 100);
+
+        if (!drag.started) {
+            if (Math.hypot(rawX, rawY) < this.__options.threshold) {
+                return;
+            }
+            drag.started = true;
+            this.emitDrag('dragstart', e);
+        }
+        drag.delta = this.constrain(rawX, rawY);
+        this.emitDrag('drag', e);
+    }
+
+    /**
+     * @brief Handles input end events
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     *
+     * Ends the drag, or hands it over to inertia when enabled
+     * and the pointer was released fast enough.
+     */
+    handleDragEnd(e) {
+        const drag = this.__drag;
+        if (!drag || drag.released || !e.changedPointers.some(p => p.id === drag.id)) {
+            return;
+        }
+        if (!drag.started) {
+            this.__drag = null;
+            return;
+        }
+
+        drag.released = true;
+        drag.samples = drag.samples.filter(sample => e.timeStamp - sample.time <= 100);
+        const inertia = this.__options.inertia;
+        const first = drag.samples[0];
+        const last = drag.samples[drag.samples.length - 1];
+        const duration = last.time - first.time;
+        if (inertia && drag.samples.length > 1 && duration > 0) {
+            const velocity = {
+                x: this.__options.axis === 'y' ? 0 : (last.x - first.x) / duration,
+                y: this.__options.axis === 'x' ? 0 : (last.y - first.y) / duration
+            };
+            if (Math.hypot(velocity.x, velocity.y) >= inertia.minVelocity) {
+                this.startInertia(velocity);
+                return;
+            }
+        }
+        this.emitDrag('dragend', e);
+        this.__drag = null;
+    }
+
+    /**
+     * @brief Handles input cancel events
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     *
+     * Ends the drag without inertia.
+     */
+    handleDragCancel(e) {
+        if (this.__drag && !this.__drag.released) {
+            if (this.__drag.started) {
+                this.emitDrag('dragend', e);
+            }
+            this.__drag = null;
+        }
+    }
+
+    /**
+     * @brief Continues the released drag with decaying velocity
+     * @param {{x: number, y: number}} velocity - Release velocity in px/ms
+     * @private
+     *
+     * The first animation frame only records the frame time,
+     * movement starts from the second one.
+     */
+    startInertia(velocity) {
+        const {friction, minVelocity} = this.__options.inertia;
+        const drag = this.__drag;
+        const sample = drag.samples[drag.samples.length - 1];
+        let raw = this.clamp(sample.x - drag.origin.clientX, sample.y - drag.origin.clientY);
+        let last = null;
+
+        const step = now => {
+            const elapsed = last === null ? 0 : now - last;
+            last = now;
+            const decay = Math.pow(friction, elapsed / 16);
+            velocity = {x: velocity.x * decay, y: velocity.y * decay};
+
+            // Clamping the raw position stops the inertia at the bounds
+            const next = this.clamp(raw.x + velocity.x * elapsed, raw.y + velocity.y * elapsed);
+            const moved = next.x !== raw.x || next.y !== raw.y;
+            raw = next;
+
+            const previous = drag.delta;
+            drag.delta = this.constrain(raw.x, raw.y);
+            if (drag.delta.x !== previous.x || drag.delta.y !== previous.y) {
+                this.emitDrag('drag', null, true);
+            }
+            if ((moved || elapsed === 0) && Math.hypot(velocity.x, velocity.y) >= minVelocity) {
+                this.__frame = Environment.requestFrame(step);
+            } else {
+                this.__frame = null;
+                this.emitDrag('dragend', null, true);
+                this.__drag = null;
+            }
+        };
+        this.__frame = Environment.requestFrame(step);
+    }
+
+    /**
+     * @brief Stops a running inertia and ends the current drag
+     * @private
+     */
+    stopInertia() {
+        if (this.__frame !== null) {
+            Environment.cancelFrame(this.__frame);
+            this.__frame = null;
+        }
+        if (this.__drag && this.__drag.started) {
+            this.emitDrag('dragend', null, this.__drag.released);
+        }
+        this.__drag = null;
+    }
+
+    /**
+     * @override
+     * @brief Enables or disables the drag controller and its input controllers
+     * @param {boolean} enabled - True to enable, false to disable
+     *
+     * Disabling stops a running inertia, whose 'dragend' is triggered
+     * before the controller is disabled.
+     */
+    setEnabled(enabled) {
+        if (!enabled) {
+            this.stopInertia();
+        }
+        super.setEnabled(enabled);
+    }
+
+    /**
+     * @override
+     * @brief Stops a running drag and disposes the input controllers
+     */
+    dispose() {
+        this.stopInertia();
+        super.dispose();
+    }
+}
+
+export {
+    Environment,
+    ControllerState,
+    CancelReason,
+    ControllerEvent,
+    AbstractController,
+    MouseController,
+    HoverIntentController,
+    TouchController,
+    PointerController,
+    KeyboardController,
+    KeyboardPointerController,
+    WheelController,
+    MultiController,
+    DragController
+};
\ No newline at end of file
@@ -0,0 +1,427 @@
+/**
+ * @file coordinates.js
+ * @brief Mapping of viewport coordinates into element, canvas and SVG coordinates
+ *
+ * @details
+ * Pointer events carry viewport coordinates, and the x/y of ControllerEvent
+ * pointers are only offsets from the bounding rect of the element, which is
+ * wrong as soon as the element or one of its ancestors is rotated or scaled.
+ * CoordinateSpace maps viewport points into the local coordinates of an
+ * element instead:
+ * - 'element': CSS pixels from the top left corner of the border box, before
+ *   the CSS transforms of the element and its ancestors, scroll offsets included
+ * - 'canvas': pixels of the canvas backing store, from the top left corner of
+ *   its content box; a backing store sized to the CSS size times devicePixelRatio
+ *   gives device pixels
+ * - 'svg': user units of an SVG element, through its screen CTM
+ *
+ * The geometry is cached while the space observes the element, and refreshed
+ * when the element or the window is resized or anything scrolls.
+ *
+ * @section usage Basic Usage Example
+ * @code
+ * const space = new CoordinateSpace(canvas, {type: 'canvas'}).observe();
+ * pointerCtrl.setCoordinateSpace(space);
+ * pointerCtrl.registerCallback('move', (e) => paint(e.getPointer().localX, e.getPointer().localY));
+ * @endcode
+ *
+ * @note Transforms are reduced to their 2D part, perspective is ignored
+ * @note Changing a transform or a layout without any resize or scroll
+ *       requires a call to invalidate()
+ *
+ * @see CoordinateSpace
+ *
+ * @license MIT
+ */
+
+import {Environment} from './controllers.js';
+
+/**
+ * @brief Affine transform leaving points unchanged, as [a, b, c, d, e, f] like DOMMatrix
+ * @type {number[]}
+ * @private
+ */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * @brief Composes two affine transforms
+ * @param {number[]} m - Transform applied second
+ * @param {number[]} n - Transform applied first
+ * @return {number[]} The transform m·n
+ * @private
+ */
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+/**
+ * @brief Inverts an affine transform
+ * @param {number[]} m - Transform to invert
+ * @return {number[]|null} The inverse, null for a singular transform such as scale(0)
+ * @private
+ */
+function invert(m) {
+    const determinant = m[0] * m[3] - m[1] * m[2];
+    if (!determinant) {
+        return null;
+    }
+    return [
+        m[3] / determinant,
+        -m[1] / determinant,
+        -m[2] / determinant,
+        m[0] / determinant,
+        (m[2] * m[5] - m[3] * m[4]) / determinant,
+        (m[1] * m[4] - m[0] * m[5]) / determinant
+    ];
+}
+
+/**
+ * @brief Creates a translation
+ * @param {number} x - Horizontal offset
+ * @param {number} y - Vertical offset
+ * @return {number[]} Affine transform
+ * @private
+ */
+function translation(x, y) {
+    return [1, 0, 0, 1, x, y];
+}
+
+/**
+ * @brief Parses a computed transform
+ * @param {string} value - 'none', 'matrix(...)' or 'matrix3d(...)' as returned by getComputedStyle()
+ * @return {number[]} Affine transform, the 2D part of a 3D one
+ * @private
+ */
+function parseTransform(value) {
+    const match = /^matrix(3d)?\(([^)]*)\)$/.exec(value || '');
+    if (!match) {
+        return IDENTITY;
+    }
+    const values = match[2].split(',').map(parseFloat);
+    return match[1] ? [values[0], values[1], values[4], values[5], values[12], values[13]] : values;
+}
+
+/**
+ * @brief Tells whether a computed style has a CSS transform
+ * @param {CSSStyleDeclaration|null} style - Computed style
+ * @return {boolean} True if the style transforms the element
+ * @private
+ */
+function isTransformed(style) {
+    return Boolean(style && style.transform && style.transform !== 'none');
+}
+
+/**
+ * @brief Gets the computed style of an element
+ * @param {Element} element - The element
+ * @return {CSSStyleDeclaration|null} Computed style, null without getComputedStyle()
+ * @private
+ */
+function getStyle(element) {
+    const win = Environment.getWindow();
+    return win && typeof win.getComputedStyle === 'function' ? win.getComputedStyle(element) : null;
+}
+
+/**
+ * @class CoordinateSpace
+ * @brief Maps viewport coordinates into the local coordinates of an element
+ *
+ * Controllers given a space with setCoordinateSpace() set the localX and
+ * localY fields of the pointers of their events. See the file documentation
+ * for the available types.
+ */
+class CoordinateSpace {
+    /**
+     * @brief Gets the transform from the border box of an element to the viewport
+     * @param {Element} element - The element
+     * @return {number[]} Affine transform as [a, b, c, d, e, f]
+     * @static
+     *
+     * Composes the offsets, scroll positions and CSS transforms along the
+     * offset parents. A transformed ancestor that is not an offset parent is
+     * applied at the position of the element relative to it. Elements without layout information, such as the
+     * headless stand-ins, are placed at their bounding rect.
+     */
+    static getElementTransform(element) {
+        if (typeof element.offsetLeft !== 'number') {
+            const rect = element.getBoundingClientRect();
+            return translation(rect.left, rect.top);
+        }
+
+        const doc = element.ownerDocument;
+        let matrix = IDENTITY;
+        let fixed = false;
+        for (let node = element; node;) {
+            const style = getStyle(node);
+            if (isTransformed(style)) {
+                const [originX, originY] = (style.transformOrigin || '0 0').split(' ').map(parseFloat);
+                matrix = multiply(translation(originX, originY),
+                    multiply(parseTransform(style.transform), multiply(translation(-originX, -originY), matrix)));
+            }
+
+            const parent = node.offsetParent;
+            let x = node.offsetLeft;
+            let y = node.offsetTop;
+            let next = parent;
+            // Scroll positions between the node and its offset parent, the document scroll comes last
+            for (let ancestor = node.parentElement; ancestor && ancestor !== doc.body
+                && ancestor !== doc.documentElement; ancestor = ancestor.parentElement) {
+                x -= ancestor.scrollLeft;
+                y -= ancestor.scrollTop;
+                if (ancestor === parent) {
+                    break;
+                }
+                if (ancestor.offsetParent === parent && isTransformed(getStyle(ancestor))) {
+                    // Both offsets start at the offset parent, the ancestor comes next with its transform
+                    x -= ancestor.offsetLeft;
+                    y -= ancestor.offsetTop;
+                    next = ancestor;
+                    break;
+                }
+            }
+            if (next === parent && parent && parent !== doc.body) {
+                // Offsets start at the padding edge of the offset parent
+                x += parent.clientLeft;
+                y += parent.clientTop;
+            }
+            matrix = multiply(translation(x, y), matrix);
+
+            if (!next) {
+                fixed = Boolean(style) && style.position === 'fixed';
+            }
+            node = next;
+        }
+
+        const win = Environment.getWindow();
+        return fixed || !win ? matrix : multiply(translation(-(win.scrollX || 0), -(win.scrollY || 0)), matrix);
+    }
+
+    /**
+     * @brief Constructor for CoordinateSpace
+     * @param {Element} element - Element whose local coordinates are mapped into
+     * @param {Object} [options={}] - Space options
+     * @param {string} [options.type='element'] - 'element', 'canvas' or 'svg'
+     * @throws {Error} If the type is unknown or does not suit the element
+     */
+    constructor(element, {type = 'element'} = {}) {
+        if (!['element', 'canvas', 'svg'].includes(type)) {
+            throw new Error(`Invalid coordinate space type '${type}'`);
+        }
+        if (type === 'canvas' && typeof element.width !== 'number') {
+            throw new Error("Coordinate space type 'canvas' requires a canvas element");
+        }
+        if (type === 'svg' && typeof element.getScreenCTM !== 'function') {
+            throw new Error("Coordinate space type 'svg' requires an SVG graphics element");
+        }
+
+        /**
+         * @property {Element} __element - Element whose local coordinates are mapped into
+         * @private
+         */
+        this.__element = element;
+
+        /**
+         * @property {string} __type - Type of the local coordinates
+         * @private
+         */
+        this.__type = type;
+
+        /**
+         * @property {number[]|null|undefined} __transform - Cached viewport to local transform,
+         *           undefined when not computed yet
+         * @private
+         */
+        this.__transform = undefined;
+
+        /**
+         * @property {boolean} __observing - Whether the geometry is cached and observed
+         * @private
+         */
+        this.__observing = false;
+
+        /**
+         * @property {ResizeObserver|null} __resizeObserver - Observer of the element size
+         * @private
+         */
+        this.__resizeObserver = null;
+
+        /**
+         * @property {function} invalidateHandler - Bound invalidation handler
+         * @private
+         */
+        this.invalidateHandler = this.invalidate.bind(this);
+    }
+
+    /**
+     * @brief Gets the element whose local coordinates are mapped into
+     * @return {Element} The element
+     */
+    getElement() {
+        return this.__element;
+    }
+
+    /**
+     * @brief Gets the type of the local coordinates
+     * @return {string} 'element', 'canvas' or 'svg'
+     */
+    getType() {
+        return this.__type;
+    }
+
+    /**
+     * @brief Checks if the space caches and observes the geometry
+     * @return {boolean} True while observing
+     */
+    isObserving() {
+        return this.__observing;
+    }
+
+    /**
+     * @brief Starts caching the geometry, refreshed on resize and scroll
+     * @return {CoordinateSpace} Returns this for chaining
+     * @throws {Error} If the space is already observing
+     *
+     * Without observing, every mapping measures the element again.
+     */
+    observe() {
+        if (this.__observing) {
+            throw new Error('Coordinate space is already observing');
+        }
+        const win = Environment.getWindow();
+        if (win) {
+            win.addEventListener('resize', this.invalidateHandler);
+            // Scrolling does not bubble, capturing sees the scroll of any container
+            win.addEventListener('scroll', this.invalidateHandler, {capture: true, passive: true});
+            if (typeof win.ResizeObserver === 'function') {
+                this.__resizeObserver = new win.ResizeObserver(this.invalidateHandler);
+                this.__resizeObserver.observe(this.__element);
+            }
+        }
+        this.__observing = true;
+        this.invalidate();
+        return this;
+    }
+
+    /**
+     * @brief Stops caching and observing the geometry
+     * @return {CoordinateSpace} Returns this for chaining
+     */
+    disconnect() {
+        const win = Environment.getWindow();
+        if (this.__observing && win) {
+            win.removeEventListener('resize', this.invalidateHandler);
+            win.removeEventListener('scroll', this.invalidateHandler, {capture: true, passive: true});
+        }
+        if (this.__resizeObserver) {
+            this.__resizeObserver.disconnect();
+            this.__resizeObserver = null;
+        }
+        this.__observing = false;
+        this.invalidate();
+        return this;
+    }
+
+    /**
+     * @brief Drops the cached geometry
+     * @return {CoordinateSpace} Returns this for chaining
+     */
+    invalidate() {
+        this.__transform = undefined;
+        return this;
+    }
+
+    /**
+     * @brief Gets the transform from viewport to local coordinates
+     * @return {number[]|null} Affine transform as [a, b, c, d, e, f], null if the element
+     *         is not rendered or collapsed to nothing
+     */
+    getTransform() {
+        if (this.__transform === undefined || !this.__observing) {
+            this.__transform = this.measure();
+        }
+        return this.__transform;
+    }
+
+    /**
+     * @brief Measures the transform from viewport to local coordinates
+     * @return {number[]|null} Affine transform, null if it cannot be computed
+     * @private
+     */
+    measure() {
+        const element = this.__element;
+        if (this.__type === 'svg') {
+            const ctm = element.getScreenCTM();
+            return ctm ? invert([ctm.a, ctm.b, ctm.c, ctm.d, ctm.e, ctm.f]) : null;
+        }
+
+        const toElement = invert(CoordinateSpace.getElementTransform(element));
+        if (this.__type === 'element' || toElement === null) {
+            return toElement;
+        }
+
+        const style = getStyle(element);
+        const padding = ['paddingLeft', 'paddingTop', 'paddingRight', 'paddingBottom']
+            .map(property => (style && parseFloat(style[property])) || 0);
+        const border = [element.clientLeft || 0, element.clientTop || 0];
+        const rect = element.getBoundingClientRect();
+        const boxWidth = typeof element.clientWidth === 'number' ? element.clientWidth : rect.width;
+        const boxHeight = typeof element.clientHeight === 'number' ? element.clientHeight : rect.height;
+        const contentWidth = boxWidth - padding[0] - padding[2];
+        const contentHeight = boxHeight - padding[1] - padding[3];
+        if (contentWidth <= 0 || contentHeight <= 0) {
+            return null;
+        }
+        const scaleX = element.width / contentWidth;
+        const scaleY = element.height / contentHeight;
+        return multiply([scaleX, 0, 0, scaleY, -(border[0] + padding[0]) * scaleX, -(border[1] + padding[1]) * scaleY],
+            toElement);
+    }
+
+    /**
+     * @brief Maps a viewport point into local coordinates
+     * @param {number} clientX - Horizontal viewport coordinate
+     * @param {number} clientY - Vertical viewport coordinate
+     * @return {{x: number, y: number}|null} Local point, null if the transform cannot be computed
+     */
+    toLocal(clientX, clientY) {
+        const m = this.getTransform();
+        return m ? {x: m[0] * clientX + m[2] * clientY + m[4], y: m[1] * clientX + m[3] * clientY + m[5]} : null;
+    }
+
+    /**
+     * @brief Maps a local point back into viewport coordinates
+     * @param {number} x - Horizontal local coordinate
+     * @param {number} y - Vertical local coordinate
+     * @return {{x: number, y: number}|null} Viewport point, null if the transform cannot be computed
+     */
+    toClient(x, y) {
+        const m = this.getTransform() && invert(this.getTransform());
+        return m ? {x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5]} : null;
+    }
+
+    /**
+     * @brief Sets the local coordinates on the pointers of an event
+     * @param {ControllerEvent} e - The controller event object
+     *
+     * Sets localX and localY on every pointer of pointers and changedPointers;
+     * leaves them unset if the transform cannot be computed.
+     */
+    attach(e) {
+        e.pointers.concat(e.changedPointers).forEach(pointer => {
+            const local = this.toLocal(pointer.clientX, pointer.clientY);
+            if (local) {
+                pointer.localX = local.x;
+                pointer.localY = local.y;
+            }
+        });
+    }
+}
+
+export {CoordinateSpace};
@@ -0,0 +1,1323 @@
+/**
+ * @file gestures.js
+ * @brief Gesture recognizers built on top of controllers
+ *
+ * @details
+ * Recognizers wrap any AbstractController and turn its normalized
+ * 'start', 'move', 'end' and 'cancel' stream into higher level gestures.
+ * Every recognizer is a controller itself, so gesture callbacks are registered
+ * the same way as for input controllers.
+ *
+ * @section recognizers Available Recognizers
+ * - TapRecognizer: Emits 'tap' after a configurable number of quick presses
+ * - DoubleTapRecognizer: TapRecognizer preset emitting 'doubletap'
+ * - LongPressRecognizer: Emits 'longpress' when a press is held still long enough
+ * - PanRecognizer: Emits 'panstart', 'panmove' and 'panend' for a dragged pointer
+ * - MultiTouchRecognizer: Emits pinch, rotate and two-finger pan gestures
+ *
+ * Recognizers sharing the same input compete in a GestureArena, which
+ * delivers the gesture events of the winner only.
+ *
+ * @section usage Basic Usage Example
+ * @code
+ * const mouseCtrl = new MouseController(element);
+ * const longPress = new LongPressRecognizer(mouseCtrl, {duration: 600});
+ * longPress.registerCallback('longpress', (e) => openContextMenu(e.getPointer()));
+ * mouseCtrl.initialize();
+ * longPress.initialize();
+ * @endcode
+ *
+ * @note Recognizers do not initialize the wrapped controller
+ *
+ * @see GestureRecognizer
+ * @see TapRecognizer
+ * @see DoubleTapRecognizer
+ * @see LongPressRecognizer
+ * @see PanRecognizer
+ * @see MultiTouchRecognizer
+ * @see GestureArena
+ *
+ * @license MIT
+ */
+
+import {AbstractController, ControllerEvent} from './controllers.js';
+
+/**
+ * @abstract GestureRecognizer
+ * @brief Abstract base class for gesture recognizers
+ * @extends AbstractController
+ *
+ * The GestureRecognizer class subscribes to the input events of a wrapped
+ * controller and forwards them to the start/move/end/cancel hooks
+ * of concrete recognizers. It keeps track of the recognition state
+ * ('possible', 'recognized' or 'failed') and the recognizer timers.
+ *
+ * @warning This class is abstract and cannot be instantiated directly.
+ */
+class GestureRecognizer extends AbstractController {
+    /**
+     * @brief Computes the distance between two pointers
+     * @param {{clientX: number, clientY: number}} a - First pointer
+     * @param {{clientX: number, clientY: number}} b - Second pointer
+     * @return {number} Distance in CSS pixels
+     * @static
+     */
+    static distance(a, b) {
+        return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+    }
+
+    /**
+     * @brief Constructor for the abstract GestureRecognizer class
+     * @param {AbstractController} controller - Controller providing the input events
+     * @throws {Error} If instantiated directly (without inheritance)
+     */
+    constructor(controller) {
+        super(controller.getElement(), controller.getDocument());
+        if (new.target === GestureRecognizer) {
+            throw new Error("Cannot instantiate abstract class 'GestureRecognizer' directly");
+        }
+
+        /**
+         * @property {AbstractController} __controller - Controller providing the input events
+         * @private
+         */
+        this.__controller = controller;
+
+        /**
+         * @property {string} __state - Recognition state ('possible', 'recognized', 'failed')
+         * @private
+         */
+        this.__state = 'possible';
+
+        /**
+         * @property {number|null} __timer - Pending recognizer timer
+         * @private
+         */
+        this.__timer = null;
+
+        /**
+         * @property {GestureArena|null} __arena - Arena the recognizer competes in
+         * @private
+         */
+        this.__arena = null;
+
+        /**
+         * @property {function} startHandler - Bound start handler
+         * @private
+         */
+        this.startHandler = this.handleStart.bind(this);
+
+        /**
+         * @property {function} moveHandler - Bound move handler
+         * @private
+         */
+        this.moveHandler = this.handleMove.bind(this);
+
+        /**
+         * @property {function} endHandler - Bound end handler
+         * @private
+         */
+        this.endHandler = this.handleEnd.bind(this);
+
+        /**
+         * @property {function} cancelHandler - Bound cancel handler
+         * @private
+         */
+        this.cancelHandler = this.handleCancel.bind(this);
+    }
+
+    /**
+     * @brief Gets the controller providing the input events
+     * @return {AbstractController} The wrapped controller
+     */
+    getController() {
+        return this.__controller;
+    }
+
+    /**
+     * @brief Gets the recognition state
+     * @return {string} 'possible', 'recognized' or 'failed'
+     */
+    getState() {
+        return this.__state;
+    }
+
+    /**
+     * @brief Gets the arena the recognizer competes in
+     * @return {GestureArena|null} The arena, null if the recognizer competes in none
+     */
+    getArena() {
+        return this.__arena;
+    }
+
+    /**
+     * @brief Sets the arena the recognizer competes in
+     * @param {GestureArena|null} arena - The arena, null to leave it
+     * @return void
+     *
+     * Called by GestureArena.add() and GestureArena.remove().
+     */
+    setArena(arena) {
+        this.__arena = arena;
+    }
+
+    /**
+     * @brief Handles start events of the wrapped controller
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleStart(e) {
+    }
+
+    /**
+     * @brief Handles move events of the wrapped controller
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleMove(e) {
+    }
+
+    /**
+     * @brief Handles end events of the wrapped controller
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleEnd(e) {
+    }
+
+    /**
+     * @brief Handles cancel events of the wrapped controller
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleCancel(e) {
+        this.reset();
+    }
+
+    /**
+     * @brief Starts the recognizer timer, replacing a pending one
+     * @param {function} callback - Function to call when the timer elapses
+     * @param {number} delay - Delay in milliseconds
+     * @protected
+     */
+    startTimer(callback, delay) {
+        this.clearTimer();
+        this.__timer = setTimeout(() => {
+            this.__timer = null;
+            callback();
+        }, delay);
+    }
+
+    /**
+     * @brief Clears the pending recognizer timer
+     * @protected
+     */
+    clearTimer() {
+        if (this.__timer !== null) {
+            clearTimeout(this.__timer);
+            this.__timer = null;
+        }
+    }
+
+    /**
+     * @brief Marks the gesture as recognized and triggers the gesture event
+     * @param {string} event - Gesture event name
+     * @param {ControllerEvent} e - Input event that completed the gesture
+     * @param {Object} [details={}] - Additional gesture fields copied onto the event
+     * @protected
+     */
+    recognize(event, e, details = {}) {
+        this.__state = 'recognized';
+        this.emitGesture(event, e, details);
+    }
+
+    /**
+     * @brief Triggers a gesture event without changing the recognition state
+     * @param {string} event - Gesture event name
+     * @param {ControllerEvent} e - Input event the gesture event is derived from
+     * @param {Object} [details={}] - Additional gesture fields copied onto the event
+     * @protected
+     *
+     * Used by continuous gestures that emit several events per interaction.
+     */
+    emitGesture(event, e, details = {}) {
+        const gesture = Object.assign(new ControllerEvent(event, e.source, e.originalEvent, {
+            pointers: e.pointers,
+            changedPointers: e.changedPointers,
+            buttons: e.buttons
+        }), details);
+        if (this.__arena) {
+            this.__arena.deliver(this, event, gesture);
+        } else {
+            this.trigger(event, gesture);
+        }
+    }
+
+    /**
+     * @brief Claims the input in the arena of the recognizer
+     * @return {boolean} True if the recognizer owns the input, always true outside of an arena
+     * @protected
+     *
+     * Emitting a gesture event claims the input as well. Recognizers call
+     * this method to win the arena before their first gesture event.
+     */
+    claim() {
+        return this.__arena ? this.__arena.claim(this) : true;
+    }
+
+    /**
+     * @brief Marks the gesture as failed until the recognizer is reset
+     * @protected
+     *
+     * Rejects the input in the arena of the recognizer, which lets
+     * the recognizers waiting for this one to fail go ahead.
+     */
+    fail() {
+        this.clearTimer();
+        this.__state = 'failed';
+        if (this.__arena) {
+            this.__arena.reject(this);
+        }
+    }
+
+    /**
+     * @brief Stops the recognizer because another one won its arena
+     * @param {ControllerEvent|null} [e=null] - Gesture event of the winner
+     * @param {GestureRecognizer|null} [winner=null] - Recognizer that won the arena
+     *
+     * Resets the recognizer and triggers 'cancel' with the winner in its winner field.
+     */
+    cancel(e = null, winner = null) {
+        this.reset();
+        const cancel = e
+            ? new ControllerEvent('cancel', e.source, e.originalEvent, {
+                pointers: e.pointers,
+                changedPointers: e.changedPointers,
+                buttons: e.buttons
+            })
+            : new ControllerEvent('cancel', 'gesture', null);
+        this.trigger('cancel', Object.assign(cancel, {winner}));
+    }
+
+    /**
+     * @brief Resets the recognizer to the 'possible' state
+     *
+     * Clears pending timers. Concrete recognizers extend this
+     * method to clear their tracking data.
+     */
+    reset() {
+        this.clearTimer();
+        this.__state = 'possible';
+    }
+
+    /**
+     * @override
+     * @brief Sets up the recognizer
+     *
+     * Subscribes to the input events of the wrapped controller.
+     */
+    setup() {
+        this.__controller.registerCallback('start', this.startHandler, {internal: true});
+        this.__controller.registerCallback('move', this.moveHandler, {internal: true});
+        this.__controller.registerCallback('end', this.endHandler, {internal: true});
+        this.__controller.registerCallback('cancel', this.cancelHandler, {internal: true});
+    }
+
+    /**
+     * @override
+     * @brief Tears down the recognizer
+     *
+     * Unsubscribes from the wrapped controller
+     * and resets the recognition state.
+     */
+    teardown() {
+        this.__controller.unregisterCallback('start', this.startHandler);
+        this.__controller.unregisterCallback('move', this.moveHandler);
+        this.__controller.unregisterCallback('end', this.endHandler);
+        this.__controller.unregisterCallback('cancel', this.cancelHandler);
+        this.reset();
+    }
+}
+
+/**
+ * @class TapRecognizer
+ * @brief Recognizes one or more quick presses at the same position
+ * @extends GestureRecognizer
+ *
+ * A tap is a press released within maxDuration without moving further than
+ * tolerance. When taps is greater than one, every following tap must start
+ * within interval after the previous one and near the first tap.
+ * The recognized event carries the number of taps in its count field.
+ */
+class TapRecognizer extends GestureRecognizer {
+    /**
+     * @brief Constructor for TapRecognizer
+     * @param {AbstractController} controller - Controller providing the input events
+     * @param {Object} [options={}] - Recognizer options
+     * @param {string} [options.event='tap'] - Name of the emitted gesture event
+     * @param {number} [options.taps=1] - Number of taps required
+     * @param {number} [options.tolerance=10] - Maximum movement in CSS pixels
+     * @param {number} [options.maxDuration=250] - Maximum press duration in milliseconds
+     * @param {number} [options.interval=300] - Maximum delay between taps in milliseconds
+     */
+    constructor(controller, {event = 'tap', taps = 1, tolerance = 10, maxDuration = 250, interval = 300} = {}) {
+        super(controller);
+
+        /**
+         * @property {Object} __options - Recognizer options
+         * @private
+         */
+        this.__options = {event, taps, tolerance, maxDuration, interval};
+
+        /**
+         * @property {number} __count - Number of taps recognized so far
+         * @private
+         */
+        this.__count = 0;
+
+        /**
+         * @property {Object|null} __origin - Pointer of the first tap
+         * @private
+         */
+        this.__origin = null;
+
+        /**
+         * @property {Object|null} __press - Pointer of the current press, null when not pressed
+         * @private
+         */
+        this.__press = null;
+    }
+
+    /**
+     * @override
+     * @brief Starts tracking a press
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleStart(e) {
+        if (this.getState() !== 'possible') {
+            this.reset();
+        }
+        if (e.pointers.length > 1) {
+            this.fail();
+            return;
+        }
+
+        const pointer = e.getPointer();
+        if (this.__origin && GestureRecognizer.distance(this.__origin, pointer) > this.__options.tolerance) {
+            this.reset();
+        }
+        if (!this.__origin) {
+            this.__origin = pointer;
+        }
+        this.__press = pointer;
+        this.startTimer(() => this.fail(), this.__options.maxDuration);
+    }
+
+    /**
+     * @override
+     * @brief Fails the tap when the press moves too far
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleMove(e) {
+        if (this.__press && this.getState() === 'possible'
+            && GestureRecognizer.distance(this.__press, e.getPointer()) > this.__options.tolerance) {
+            this.fail();
+        }
+    }
+
+    /**
+     * @override
+     * @brief Counts the tap on release and recognizes the gesture when complete
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleEnd(e) {
+        if (!this.__press) {
+            return;
+        }
+        this.__press = null;
+        if (this.getState() !== 'possible') {
+            return;
+        }
+
+        this.__count++;
+        if (this.__count >= this.__options.taps) {
+            this.recognize(this.__options.event, e, {count: this.__count});
+            this.clearTimer();
+        } else {
+            this.startTimer(() => this.fail(), this.__options.interval);
+        }
+    }
+
+    /**
+     * @override
+     * @brief Resets the tap count and tracking data
+     */
+    reset() {
+        super.reset();
+        this.__count = 0;
+        this.__origin = null;
+        this.__press = null;
+    }
+}
+
+/**
+ * @class DoubleTapRecognizer
+ * @brief Recognizes two quick taps at the same position
+ * @extends TapRecognizer
+ *
+ * Preset of TapRecognizer emitting 'doubletap' after two taps.
+ */
+class DoubleTapRecognizer extends TapRecognizer {
+    /**
+     * @brief Constructor for DoubleTapRecognizer
+     * @param {AbstractController} controller - Controller providing the input events
+     * @param {Object} [options={}] - Recognizer options, see TapRecognizer
+     */
+    constructor(controller, options = {}) {
+        super(controller, Object.assign({event: 'doubletap', taps: 2}, options));
+    }
+}
+
+/**
+ * @class LongPressRecognizer
+ * @brief Recognizes a press held still for a configured duration
+ * @extends GestureRecognizer
+ *
+ * The gesture is recognized while the press is still held, as soon as
+ * the duration elapses. Moving further than tolerance or releasing
+ * earlier fails the gesture.
+ */
+class LongPressRecognizer extends GestureRecognizer {
+    /**
+     * @brief Constructor for LongPressRecognizer
+     * @param {AbstractController} controller - Controller providing the input events
+     * @param {Object} [options={}] - Recognizer options
+     * @param {string} [options.event='longpress'] - Name of the emitted gesture event
+     * @param {number} [options.duration=500] - Required press duration in milliseconds
+     * @param {number} [options.tolerance=10] - Maximum movement in CSS pixels
+     */
+    constructor(controller, {event = 'longpress', duration = 500, tolerance = 10} = {}) {
+        super(controller);
+
+        /**
+         * @property {Object} __options - Recognizer options
+         * @private
+         */
+        this.__options = {event, duration, tolerance};
+
+        /**
+         * @property {ControllerEvent|null} __press - Event that started the press, null when not pressed
+         * @private
+         */
+        this.__press = null;
+    }
+
+    /**
+     * @override
+     * @brief Starts the press timer
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleStart(e) {
+        this.reset();
+        if (e.pointers.length > 1) {
+            this.fail();
+            return;
+        }
+
+        this.__press = e;
+        this.startTimer(() => this.recognize(this.__options.event, this.__press), this.__options.duration);
+    }
+
+    /**
+     * @override
+     * @brief Fails the long press when the press moves too far
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleMove(e) {
+        if (this.__press && this.getState() === 'possible'
+            && GestureRecognizer.distance(this.__press.getPointer(), e.getPointer()) > this.__options.tolerance) {
+            this.fail();
+        }
+    }
+
+    /**
+     * @override
+     * @brief Fails the long press when released too early
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleEnd(e) {
+        if (this.__press && this.getState() === 'possible') {
+            this.fail();
+        }
+        this.__press = null;
+    }
+
+    /**
+     * @override
+     * @brief Resets the press tracking data
+     */
+    reset() {
+        super.reset();
+        this.__press = null;
+    }
+}
+
+/**
+ * @class MultiTouchRecognizer
+ * @brief Recognizes pinch, rotate and pan gestures of two or more pointers
+ * @extends GestureRecognizer
+ *
+ * Pointers are tracked by identifier, so the recognizer works with both
+ * TouchController (all touches per event) and PointerController (one pointer
+ * per event). The gesture starts when a second pointer goes down and ends
+ * when fewer than two pointers remain. The following events are emitted:
+ * - 'pinchstart', 'pinch', 'pinchend' with the cumulative scale
+ * - 'rotate' with the rotation delta and the cumulative rotation in degrees
+ * - 'pan' with the centroid delta and the cumulative translation
+ *
+ * Pointers joining or leaving during the gesture rebase the measurements
+ * on the new set of pointers, so the reported values do not jump.
+ */
+class MultiTouchRecognizer extends GestureRecognizer {
+    /**
+     * @brief Measures the centroid, spread and angles of a set of pointers
+     * @param {Object[]} pointers - Pointers to measure
+     * @return {{center: {clientX: number, clientY: number}, spread: number, angles: Map<number, number>}}
+     *         Centroid, mean distance to the centroid and angle of every pointer around the centroid
+     * @static
+     */
+    static measure(pointers) {
+        const center = {
+            clientX: pointers.reduce((sum, p) => sum + p.clientX, 0) / pointers.length,
+            clientY: pointers.reduce((sum, p) => sum + p.clientY, 0) / pointers.length
+        };
+        const spread = pointers.reduce((sum, p) => sum + GestureRecognizer.distance(p, center), 0) / pointers.length;
+        const angles = new Map(pointers.map(p => [p.id, Math.atan2(p.clientY - center.clientY, p.clientX - center.clientX)]));
+        return {center, spread, angles};
+    }
+
+    /**
+     * @brief Constructor for MultiTouchRecognizer
+     * @param {AbstractController} controller - Controller providing the input events
+     */
+    constructor(controller) {
+        super(controller);
+
+        /**
+         * @property {Map<number, Object>} __pointers - Active pointers by identifier
+         * @private
+         */
+        this.__pointers = new Map();
+
+        /**
+         * @property {Object|null} __basis - Measurement of the previous update, null outside of a gesture
+         * @private
+         */
+        this.__basis = null;
+
+        /**
+         * @property {number} __scale - Cumulative scale of the gesture
+         * @private
+         */
+        this.__scale = 1;
+
+        /**
+         * @property {number} __rotation - Cumulative rotation of the gesture in degrees
+         * @private
+         */
+        this.__rotation = 0;
+
+        /**
+         * @property {{x: number, y: number}} __translation - Cumulative translation of the gesture
+         * @private
+         */
+        this.__translation = {x: 0, y: 0};
+    }
+
+    /**
+     * @override
+     * @brief Tracks new pointers and starts the gesture on the second pointer
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleStart(e) {
+        e.pointers.forEach(pointer => this.__pointers.set(pointer.id, pointer));
+        if (this.__pointers.size < 2) {
+            return;
+        }
+
+        if (this.__basis) {
+            this.rebase();
+            return;
+        }
+        this.__scale = 1;
+        this.__rotation = 0;
+        this.__translation = {x: 0, y: 0};
+        this.rebase();
+        this.recognize('pinchstart', e, this.getDetails(this.__basis.center));
+    }
+
+    /**
+     * @override
+     * @brief Updates the tracked pointers and emits the gesture changes
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleMove(e) {
+        e.pointers
+            .filter(pointer => this.__pointers.has(pointer.id))
+            .forEach(pointer => this.__pointers.set(pointer.id, pointer));
+        if (!this.__basis) {
+            return;
+        }
+
+        const previous = this.__basis;
+        const current = MultiTouchRecognizer.measure(Array.from(this.__pointers.values()));
+
+        let rotationDelta = 0;
+        current.angles.forEach((angle, id) => {
+            let delta = angle - previous.angles.get(id);
+            if (delta > Math.PI) {
+                delta -= 2 * Math.PI;
+            } else if (delta < -Math.PI) {
+                delta += 2 * Math.PI;
+            }
+            rotationDelta += delta;
+        });
+        rotationDelta = rotationDelta / current.angles.size * 180 / Math.PI;
+
+        const deltaX = current.center.clientX - previous.center.clientX;
+        const deltaY = current.center.clientY - previous.center.clientY;
+
+        if (previous.spread > 0) {
+            this.__scale *= current.spread / previous.spread;
+        }
+        this.__rotation += rotationDelta;
+        this.__translation = {x: this.__translation.x + deltaX, y: this.__translation.y + deltaY};
+        this.__basis = current;
+
+        const details = this.getDetails(current.center);
+        this.emitGesture('pinch', e, details);
+        this.emitGesture('rotate', e, Object.assign({rotationDelta}, details));
+        this.emitGesture('pan', e, Object.assign({deltaX, deltaY}, details));
+    }
+
+    /**
+     * @override
+     * @brief Stops tracking released pointers and ends the gesture below two pointers
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleEnd(e) {
+        e.changedPointers.forEach(pointer => this.__pointers.delete(pointer.id));
+        if (!this.__basis) {
+            return;
+        }
+
+        if (this.__pointers.size >= 2) {
+            this.rebase();
+        } else {
+            const details = this.getDetails(this.__basis.center);
+            this.__basis = null;
+            this.emitGesture('pinchend', e, details);
+            super.reset();
+        }
+    }
+
+    /**
+     * @override
+     * @brief Handles cancelled pointers the same way as released ones
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleCancel(e) {
+        this.handleEnd(e);
+    }
+
+    /**
+     * @brief Re-measures the tracked pointers as the basis for the next update
+     * @protected
+     */
+    rebase() {
+        this.__basis = MultiTouchRecognizer.measure(Array.from(this.__pointers.values()));
+    }
+
+    /**
+     * @brief Collects the cumulative gesture values
+     * @param {{clientX: number, clientY: number}} center - Current centroid of the pointers
+     * @return {Object} Gesture fields copied onto the emitted events
+     * @protected
+     */
+    getDetails(center) {
+        return {
+            center,
+            scale: this.__scale,
+            rotation: this.__rotation,
+            translationX: this.__translation.x,
+            translationY: this.__translation.y
+        };
+    }
+
+    /**
+     * @override
+     * @brief Stops tracking all pointers and resets the gesture values
+     */
+    reset() {
+        super.reset();
+        this.__pointers.clear();
+        this.__basis = null;
+        this.__scale = 1;
+        this.__rotation = 0;
+        this.__translation = {x: 0, y: 0};
+    }
+}
+
+/**
+ * @class PanRecognizer
+ * @brief Recognizes a single pointer dragged further than a threshold
+ * @extends GestureRecognizer
+ *
+ * Follows the first pointer pressed and emits:
+ * - 'panstart' once it moved further than the threshold
+ * - 'panmove' for every following move, with the move delta and the cumulative translation
+ * - 'panend' when it is released or cancelled
+ */
+class PanRecognizer extends GestureRecognizer {
+    /**
+     * @brief Constructor for PanRecognizer
+     * @param {AbstractController} controller - Controller providing the input events
+     * @param {Object} [options={}] - Recognizer options
+     * @param {number} [options.threshold=10] - Distance in CSS pixels the pointer moves before the pan starts
+     */
+    constructor(controller, {threshold = 10} = {}) {
+        super(controller);
+
+        /**
+         * @property {Object} __options - Recognizer options
+         * @private
+         */
+        this.__options = {threshold};
+
+        /**
+         * @property {Object|null} __origin - Pointer at press, null when not pressed
+         * @private
+         */
+        this.__origin = null;
+
+        /**
+         * @property {Object|null} __last - Pointer at the previous move
+         * @private
+         */
+        this.__last = null;
+    }
+
+    /**
+     * @brief Finds the followed pointer in an event
+     * @param {ControllerEvent} e - The controller event object
+     * @return {Object|null} The followed pointer, null if the event does not carry it
+     * @private
+     */
+    findPointer(e) {
+        return e.changedPointers.concat(e.pointers).find(pointer => pointer.id === this.__origin.id) || null;
+    }
+
+    /**
+     * @override
+     * @brief Starts following the first pressed pointer
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleStart(e) {
+        if (this.__origin) {
+            return;
+        }
+        this.reset();
+        this.__origin = e.changedPointers[0] || e.getPointer();
+        this.__last = this.__origin;
+    }
+
+    /**
+     * @override
+     * @brief Starts the pan past the threshold and emits the moves
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleMove(e) {
+        const pointer = this.__origin && this.findPointer(e);
+        if (!pointer || this.getState() === 'failed') {
+            return;
+        }
+
+        if (this.getState() === 'possible') {
+            if (GestureRecognizer.distance(this.__origin, pointer) <= this.__options.threshold) {
+                return;
+            }
+            this.recognize('panstart', e, this.getDetails(pointer));
+        }
+        this.emitGesture('panmove', e, this.getDetails(pointer));
+        this.__last = pointer;
+    }
+
+    /**
+     * @override
+     * @brief Ends the pan when the followed pointer is released
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleEnd(e) {
+        const pointer = this.__origin && this.findPointer(e);
+        if (!pointer) {
+            return;
+        }
+        if (this.getState() === 'recognized') {
+            this.emitGesture('panend', e, this.getDetails(pointer));
+        }
+        this.reset();
+    }
+
+    /**
+     * @override
+     * @brief Handles a cancelled pointer the same way as a released one
+     * @param {ControllerEvent} e - The controller event object
+     * @protected
+     */
+    handleCancel(e) {
+        this.handleEnd(e);
+    }
+
+    /**
+     * @brief Collects the pan values
+     * @param {Object} pointer - Current position of the followed pointer
+     * @return {Object} Gesture fields copied onto the emitted events
+     * @protected
+     */
+    getDetails(pointer) {
+        return {
+            deltaX: pointer.clientX - this.__last.clientX,
+            deltaY: pointer.clientY - this.__last.clientY,
+            translationX: pointer.clientX - this.__origin.clientX,
+            translationY: pointer.clientY - this.__origin.clientY
+        };
+    }
+
+    /**
+     * @override
+     * @brief Stops following the pointer
+     */
+    reset() {
+        super.reset();
+        this.__origin = null;
+        this.__last = null;
+    }
+}
+
+/**
+ * @class GestureArena
+ * @brief Resolves the competition of several recognizers for the same input
+ * @extends AbstractController
+ *
+ * Recognizers added to an arena claim the input with their first gesture
+ * event and reject it when they fail. The first claim wins: the winner gets
+ * its gesture events delivered, every other recognizer is cancelled and
+ * receives 'cancel' unless it failed already, its gesture events are dropped
+ * until the input is over.
+ * Two kinds of relationships refine this:
+ * - requireFailure(a, b): the gesture events of a are held back until b fails,
+ *   they are dropped if b wins instead
+ * - allowSimultaneous(a, b): a and b may both win, neither cancels the other
+ *
+ * The input is over once all pointers are released and no recognizer waits
+ * for another one to fail; the next press starts a new competition.
+ *
+ * @code
+ * const tap = new TapRecognizer(touchCtrl);
+ * const doubleTap = new DoubleTapRecognizer(touchCtrl);
+ * const pan = new PanRecognizer(touchCtrl);
+ * const pinch = new MultiTouchRecognizer(touchCtrl);
+ * const arena = new GestureArena(touchCtrl).add(tap).add(doubleTap).add(pan).add(pinch)
+ *     .requireFailure(tap, doubleTap)
+ *     .allowSimultaneous(pinch, pan);
+ * [tap, doubleTap, pan, pinch, arena].forEach(ctrl => ctrl.initialize());
+ * @endcode
+ *
+ * @note The arena watches the presses and releases of the controller
+ *       the recognizers wrap, it must be initialized as well
+ */
+class GestureArena extends AbstractController {
+    /**
+     * @brief Constructor for GestureArena
+     * @param {AbstractController} controller - Controller providing the input events of the recognizers
+     */
+    constructor(controller) {
+        super(controller.getElement(), controller.getDocument());
+
+        /**
+         * @property {AbstractController} __controller - Controller providing the input events
+         * @private
+         */
+        this.__controller = controller;
+
+        /**
+         * @property {GestureRecognizer[]} __recognizers - Competing recognizers
+         * @private
+         */
+        this.__recognizers = [];
+
+        /**
+         * @property {Map<GestureRecognizer, Set<GestureRecognizer>>} __failureRequirements - Recognizers
+         *           each recognizer waits for to fail
+         * @private
+         */
+        this.__failureRequirements = new Map();
+
+        /**
+         * @property {Map<GestureRecognizer, Set<GestureRecognizer>>} __simultaneous - Recognizers
+         *           each recognizer may win together with
+         * @private
+         */
+        this.__simultaneous = new Map();
+
+        /**
+         * @property {Set<number>} __pointers - Identifiers of the pointers currently down
+         * @private
+         */
+        this.__pointers = new Set();
+
+        /**
+         * @property {Set<GestureRecognizer>} __winners - Recognizers owning the current input
+         * @private
+         */
+        this.__winners = new Set();
+
+        /**
+         * @property {Set<GestureRecognizer>} __losers - Recognizers cancelled for the current input
+         * @private
+         */
+        this.__losers = new Set();
+
+        /**
+         * @property {Set<GestureRecognizer>} __rejected - Recognizers that failed on the current input
+         * @private
+         */
+        this.__rejected = new Set();
+
+        /**
+         * @property {Map<GestureRecognizer, Array<{event: string, gesture: ControllerEvent}>>} __pending -
+         *           Gesture events held back until the required failures
+         * @private
+         */
+        this.__pending = new Map();
+
+        /**
+         * @property {function} startHandler - Bound start handler
+         * @private
+         */
+        this.startHandler = this.handleStart.bind(this);
+
+        /**
+         * @property {function} endHandler - Bound end and cancel handler
+         * @private
+         */
+        this.endHandler = this.handleEnd.bind(this);
+    }
+
+    /**
+     * @brief Adds a recognizer to the arena
+     * @param {GestureRecognizer} recognizer - Recognizer to add
+     * @return {GestureArena} Returns this for chaining
+     * @throws {Error} If the recognizer competes in another arena
+     */
+    add(recognizer) {
+        if (!(recognizer instanceof GestureRecognizer)) {
+            throw new Error('Parameter must be an instance of GestureRecognizer');
+        }
+        if (recognizer.getArena() !== null && recognizer.getArena() !== this) {
+            throw new Error('Recognizer already competes in another arena');
+        }
+        if (!this.__recognizers.includes(recognizer)) {
+            this.__recognizers.push(recognizer);
+            recognizer.setArena(this);
+        }
+        return this;
+    }
+
+    /**
+     * @brief Removes a recognizer and its relationships from the arena
+     * @param {GestureRecognizer} recognizer - Recognizer to remove
+     * @return {GestureArena} Returns this for chaining
+     */
+    remove(recognizer) {
+        if (!this.__recognizers.includes(recognizer)) {
+            return this;
+        }
+        this.__recognizers = this.__recognizers.filter(member => member !== recognizer);
+        recognizer.setArena(null);
+        [this.__failureRequirements, this.__simultaneous].forEach(relationships => {
+            relationships.delete(recognizer);
+            relationships.forEach(others => others.delete(recognizer));
+        });
+        [this.__winners, this.__losers, this.__rejected].forEach(set => set.delete(recognizer));
+        this.__pending.delete(recognizer);
+        this.resolvePending();
+        return this;
+    }
+
+    /**
+     * @brief Gets the competing recognizers
+     * @return {GestureRecognizer[]} Recognizers in the order they were added
+     */
+    getRecognizers() {
+        return this.__recognizers.slice();
+    }
+
+    /**
+     * @brief Holds back a recognizer until another one fails
+     * @param {GestureRecognizer} recognizer - Recognizer to hold back, such as a tap
+     * @param {GestureRecognizer} other - Recognizer that must fail first, such as a double tap
+     * @return {GestureArena} Returns this for chaining
+     * @throws {Error} If a recognizer was not added to the arena
+     */
+    requireFailure(recognizer, other) {
+        this.checkMembers(recognizer, other);
+        if (!this.__failureRequirements.has(recognizer)) {
+            this.__failureRequirements.set(recognizer, new Set());
+        }
+        this.__failureRequirements.get(recognizer).add(other);
+        return this;
+    }
+
+    /**
+     * @brief Lets two recognizers win together
+     * @param {GestureRecognizer} recognizer - First recognizer, such as a pinch
+     * @param {GestureRecognizer} other - Second recognizer, such as a pan
+     * @return {GestureArena} Returns this for chaining
+     * @throws {Error} If a recognizer was not added to the arena
+     */
+    allowSimultaneous(recognizer, other) {
+        this.checkMembers(recognizer, other);
+        [[recognizer, other], [other, recognizer]].forEach(([a, b]) => {
+            if (!this.__simultaneous.has(a)) {
+                this.__simultaneous.set(a, new Set());
+            }
+            this.__simultaneous.get(a).add(b);
+        });
+        return this;
+    }
+
+    /**
+     * @brief Checks that recognizers were added to the arena
+     * @param {...GestureRecognizer} recognizers - Recognizers to check
+     * @throws {Error} If a recognizer was not added to the arena
+     * @private
+     */
+    checkMembers(...recognizers) {
+        if (recognizers.some(recognizer => !this.__recognizers.includes(recognizer))) {
+            throw new Error('Recognizers must be added to the arena first');
+        }
+    }
+
+    /**
+     * @brief Checks if two recognizers may win together
+     * @param {GestureRecognizer} recognizer - First recognizer
+     * @param {GestureRecognizer} other - Second recognizer
+     * @return {boolean} True if allowSimultaneous() was declared for them
+     */
+    canRunTogether(recognizer, other) {
+        return this.__simultaneous.has(recognizer) && this.__simultaneous.get(recognizer).has(other);
+    }
+
+    /**
+     * @brief Checks if a recognizer waits for another one to fail
+     * @param {GestureRecognizer} recognizer - Recognizer to check
+     * @return {boolean} True if a required failure is still outstanding
+     * @private
+     */
+    isBlocked(recognizer) {
+        const others = this.__failureRequirements.get(recognizer) || new Set();
+        return Array.from(others).some(other => !this.__rejected.has(other) && !this.__losers.has(other));
+    }
+
+    /**
+     * @brief Handles the claim of a recognizer
+     * @param {GestureRecognizer} recognizer - Claiming recognizer
+     * @param {ControllerEvent|null} [gesture=null] - Gesture event the claim comes with
+     * @return {boolean} True if the recognizer owns the input
+     *
+     * The claim wins unless a winner cannot run together with the recognizer,
+     * which cancels it, or the recognizer waits for a required failure,
+     * which holds it back.
+     */
+    claim(recognizer, gesture = null) {
+        if (this.__winners.has(recognizer)) {
+            return true;
+        }
+        if (this.__losers.has(recognizer) || !this.__recognizers.includes(recognizer)) {
+            return false;
+        }
+        this.__rejected.delete(recognizer);
+
+        const winner = Array.from(this.__winners).find(other => !this.canRunTogether(other, recognizer));
+        if (winner) {
+            this.lose(recognizer, gesture, winner);
+            return false;
+        }
+        if (this.isBlocked(recognizer)) {
+            if (!this.__pending.has(recognizer)) {
+                this.__pending.set(recognizer, []);
+            }
+            return false;
+        }
+        this.win(recognizer, gesture);
+        return true;
+    }
+
+    /**
+     * @brief Delivers, holds back or drops a gesture event of a recognizer
+     * @param {GestureRecognizer} recognizer - Recognizer emitting the event
+     * @param {string} event - Gesture event name
+     * @param {ControllerEvent} gesture - Gesture event
+     */
+    deliver(recognizer, event, gesture) {
+        if (this.claim(recognizer, gesture)) {
+            recognizer.trigger(event, gesture);
+        } else if (this.__pending.has(recognizer)) {
+            this.__pending.get(recognizer).push({event, gesture});
+        }
+    }
+
+    /**
+     * @brief Handles the rejection of a recognizer
+     * @param {GestureRecognizer} recognizer - Failed recognizer
+     *
+     * Drops its held back events and lets the recognizers
+     * waiting for its failure go ahead.
+     */
+    reject(recognizer) {
+        if (!this.__recognizers.includes(recognizer)) {
+            return;
+        }
+        this.__rejected.add(recognizer);
+        this.__winners.delete(recognizer);
+        this.__pending.delete(recognizer);
+        this.resolvePending();
+    }
+
+    /**
+     * @brief Makes a recognizer own the input and cancels its competitors
+     * @param {GestureRecognizer} recognizer - Winning recognizer
+     * @param {ControllerEvent|null} gesture - Gesture event the win comes with
+     * @private
+     */
+    win(recognizer, gesture) {
+        const queue = this.__pending.get(recognizer) || [];
+        this.__pending.delete(recognizer);
+        this.__winners.add(recognizer);
+        this.__recognizers
+            .filter(other => other !== recognizer && !this.__winners.has(other) && !this.__losers.has(other)
+                && !this.__rejected.has(other) && !this.canRunTogether(recognizer, other))
+            .forEach(other => this.lose(other, gesture, recognizer));
+        queue.forEach(({event, gesture: held}) => recognizer.trigger(event, held));
+        this.resolvePending();
+    }
+
+    /**
+     * @brief Cancels a recognizer for the current input
+     * @param {GestureRecognizer} recognizer - Losing recognizer
+     * @param {ControllerEvent|null} gesture - Gesture event of the winner
+     * @param {GestureRecognizer} winner - Winning recognizer
+     * @private
+     */
+    lose(recognizer, gesture, winner) {
+        this.__losers.add(recognizer);
+        this.__pending.delete(recognizer);
+        this.__rejected.delete(recognizer);
+        recognizer.cancel(gesture, winner);
+    }
+
+    /**
+     * @brief Lets the held back recognizers whose required failures happened go ahead
+     * @private
+     */
+    resolvePending() {
+        Array.from(this.__pending.keys()).forEach(recognizer => {
+            if (this.__pending.has(recognizer) && !this.isBlocked(recognizer)) {
+                const queue = this.__pending.get(recognizer);
+                const gesture = queue.length > 0 ? queue[queue.length - 1].gesture : null;
+                const winner = Array.from(this.__winners).find(other => !this.canRunTogether(other, recognizer));
+                if (winner) {
+                    this.lose(recognizer, gesture, winner);
+                } else {
+                    this.win(recognizer, gesture);
+                }
+            }
+        });
+    }
+
+    /**
+     * @brief Starts a new competition on the first press after the previous input is over
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     */
+    handleStart(e) {
+        if (this.__pointers.size === 0 && this.__pending.size === 0) {
+            this.__winners.clear();
+            this.__losers.clear();
+            this.__rejected.clear();
+        }
+        e.changedPointers.forEach(pointer => this.__pointers.add(pointer.id));
+    }
+
+    /**
+     * @brief Forgets the released pointers
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     */
+    handleEnd(e) {
+        e.changedPointers.forEach(pointer => this.__pointers.delete(pointer.id));
+    }
+
+    /**
+     * @override
+     * @brief Sets up the arena
+     *
+     * Watches the presses before and the releases after the recognizers.
+     */
+    setup() {
+        this.__controller.registerCallback('start', this.startHandler, {priority: 1000, internal: true});
+        this.__controller.registerCallback('end', this.endHandler, {priority: -1000, internal: true});
+        this.__controller.registerCallback('cancel', this.endHandler, {priority: -1000, internal: true});
+    }
+
+    /**
+     * @override
+     * @brief Tears down the arena
+     *
+     * Stops watching the controller and forgets the current competition.
+     */
+    teardown() {
+        this.__controller.unregisterCallback('start', this.startHandler);
+        this.__controller.unregisterCallback('end', this.endHandler);
+        this.__controller.unregisterCallback('cancel', this.endHandler);
+        this.__pointers.clear();
+        this.__winners.clear();
+        this.__losers.clear();
+        this.__rejected.clear();
+        this.__pending.clear();
+    }
+}
+
+export {
+    GestureRecognizer,
+    TapRecognizer,
+    DoubleTapRecognizer,
+    LongPressRecognizer,
+    PanRecognizer,
+    MultiTouchRecognizer,
+    GestureArena
+};
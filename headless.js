@@ -0,0 +1,1042 @@
+/**
+ * @file headless.js
+ * @brief Minimal DOM stand-ins and a synthetic input driver for running controllers in Node
+ *
+ * @details
+ * Provides EventTarget based replacements for the window, document and
+ * elements used by controllers, plus an InputDriver that dispatches
+ * synthetic mouse, pointer, touch, keyboard and wheel events. Together
+ * with Environment.configure() they allow testing the whole controller
+ * layer without a browser or jsdom.
+ *
+ * @section usage Basic Usage Example
+ * @code
+ * const win = new HeadlessWindow({maxTouchPoints: 2});
+ * Environment.configure({window: win});
+ *
+ * const element = win.document.createElement('div', {left: 0, top: 0, width: 100, height: 100});
+ * const touchCtrl = new TouchController(element);
+ * touchCtrl.initialize();
+ *
+ * new InputDriver(element)
+ *     .touchStart([[10, 10], [50, 50]])
+ *     .advance(16)
+ *     .touchMove([[0, 0], [60, 60]])
+ *     .touchEnd();
+ * @endcode
+ *
+ * @note Events bubble from elements through their parents up to the document
+ *       and the window; event.target stays the element the event was dispatched on
+ * @note Passive listeners cannot prevent the default action, as in browsers
+ *
+ * @see HeadlessWindow
+ * @see HeadlessDocument
+ * @see HeadlessElement
+ * @see InputDriver
+ *
+ * @license MIT
+ */
+
+/**
+ * @brief Dispatches an event and lets it bubble up the headless tree
+ * @param {EventTarget} node - Node the event is dispatched on
+ * @param {function(Event): boolean} dispatch - Dispatches the event on the node itself
+ * @param {Event} event - Event to dispatch
+ * @return {boolean} False if the default action was prevented, true otherwise
+ * @private
+ */
+function dispatchWithBubbling(node, dispatch, event) {
+    if (!Object.prototype.hasOwnProperty.call(event, 'target')) {
+        // Keeps the original target while the event is re-dispatched on the ancestors
+        Object.defineProperty(event, 'target', {value: node});
+    }
+    dispatch(event);
+    if (event.bubbles && !event.cancelBubble && node.parentNode) {
+        node.parentNode.dispatchEvent(event);
+    }
+    return !event.defaultPrevented;
+}
+
+/**
+ * @brief Wrappers of the passive listeners by node, listener and type/capture key
+ * @type {WeakMap<EventTarget, Map<function|Object, Map<string, function>>>}
+ * @private
+ */
+const passiveWrappers = new WeakMap();
+
+/**
+ * @brief Gets the key of a listener registration
+ * @param {string} type - Event type
+ * @param {boolean|Object} [options] - Listener options
+ * @return {string} Key telling the registrations of a listener apart, like EventTarget does
+ * @private
+ */
+function getListenerKey(type, options) {
+    const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+    return `${type}:${capture}`;
+}
+
+/**
+ * @brief Adds a listener, ignoring its preventDefault() calls when it is passive
+ * @param {EventTarget} node - Node the listener is added to
+ * @param {function(string, *, *): void} add - Adds a listener on the node itself
+ * @param {string} type - Event type
+ * @param {function|Object} listener - Listener function or object
+ * @param {boolean|Object} [options] - Listener options
+ * @private
+ *
+ * Node's EventTarget lets passive listeners prevent the default action,
+ * browsers do not: the listener is called through a wrapper that turns
+ * preventDefault() into a no-op for the duration of the call.
+ */
+function addHeadlessListener(node, add, type, listener, options) {
+    if (!listener || !options || typeof options !== 'object' || options.passive !== true) {
+        add(type, listener, options);
+        return;
+    }
+    if (!passiveWrappers.has(node)) {
+        passiveWrappers.set(node, new Map());
+    }
+    const byListener = passiveWrappers.get(node);
+    if (!byListener.has(listener)) {
+        byListener.set(listener, new Map());
+    }
+    const wrappers = byListener.get(listener);
+    const key = getListenerKey(type, options);
+    if (wrappers.has(key)) {
+        return;
+    }
+
+    const wrapper = function (event) {
+        if (options.once) {
+            wrappers.delete(key);
+        }
+        event.preventDefault = () => {};
+        try {
+            return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+        } finally {
+            delete event.preventDefault;
+        }
+    };
+    wrappers.set(key, wrapper);
+    add(type, wrapper, options);
+}
+
+/**
+ * @brief Removes a listener added with addHeadlessListener()
+ * @param {EventTarget} node - Node the listener is removed from
+ * @param {function(string, *, *): void} remove - Removes a listener from the node itself
+ * @param {string} type - Event type
+ * @param {function|Object} listener - Listener function or object
+ * @param {boolean|Object} [options] - Listener options
+ * @private
+ */
+function removeHeadlessListener(node, remove, type, listener, options) {
+    remove(type, listener, options);
+    const wrappers = passiveWrappers.has(node) && passiveWrappers.get(node).get(listener);
+    const key = getListenerKey(type, options);
+    if (wrappers && wrappers.has(key)) {
+        remove(type, wrappers.get(key), options);
+        wrappers.delete(key);
+    }
+}
+
+/**
+ * @brief Leading part of a compound selector: tag name, universal selector, #id, .class or attribute
+ * @type {RegExp}
+ * @private
+ */
+const SELECTOR_PART = /^(?:([a-zA-Z][\w-]*)|\*|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([\w-]+)))?\])/;
+
+/**
+ * @class HeadlessElement
+ * @brief EventTarget based stand-in for an HTMLElement
+ *
+ * Supports the parts of the element API used by controllers: bounding rect,
+ * pointer capture, a parent/children tree, attributes, inline style and
+ * matching of simple selectors.
+ */
+class HeadlessElement extends EventTarget {
+    /**
+     * @brief Constructor for HeadlessElement
+     * @param {HeadlessDocument|null} ownerDocument - Document the element belongs to
+     * @param {string} [tagName='div'] - Tag name of the element
+     * @param {Object} [rect={}] - Viewport geometry of the element
+     * @param {number} [rect.left=0] - Left edge in CSS pixels
+     * @param {number} [rect.top=0] - Top edge in CSS pixels
+     * @param {number} [rect.width=0] - Width in CSS pixels
+     * @param {number} [rect.height=0] - Height in CSS pixels
+     */
+    constructor(ownerDocument, tagName = 'div', {left = 0, top = 0, width = 0, height = 0} = {}) {
+        super();
+
+        /**
+         * @property {HeadlessDocument|null} ownerDocument - Document the element belongs to
+         */
+        this.ownerDocument = ownerDocument;
+
+        /**
+         * @property {string} tagName - Upper case tag name
+         */
+        this.tagName = tagName.toUpperCase();
+
+        /**
+         * @property {EventTarget|null} parentNode - Parent element or document
+         */
+        this.parentNode = null;
+
+        /**
+         * @property {HeadlessElement[]} children - Child elements
+         */
+        this.children = [];
+
+        /**
+         * @property {Object.<string, string>} style - Inline style declarations
+         */
+        this.style = {};
+
+        /**
+         * @property {boolean} isContentEditable - Whether the element is editable
+         */
+        this.isContentEditable = false;
+
+        /**
+         * @property {Map<string, string>} __attributes - Element attributes
+         * @private
+         */
+        this.__attributes = new Map();
+
+        /**
+         * @property {{left: number, top: number, width: number, height: number}} __rect - Viewport geometry
+         * @private
+         */
+        this.__rect = {left, top, width, height};
+
+        /**
+         * @property {Set<number>} __captures - Identifiers of the captured pointers
+         * @private
+         */
+        this.__captures = new Set();
+    }
+
+    /**
+     * @brief Gets the parent element
+     * @return {HeadlessElement|null} Parent element, null for the root or a detached element
+     */
+    get parentElement() {
+        return this.parentNode instanceof HeadlessElement ? this.parentNode : null;
+    }
+
+    /**
+     * @brief Gets the inner width of the element
+     * @return {number} Width in CSS pixels
+     */
+    get clientWidth() {
+        return this.__rect.width;
+    }
+
+    /**
+     * @brief Gets the inner height of the element
+     * @return {number} Height in CSS pixels
+     */
+    get clientHeight() {
+        return this.__rect.height;
+    }
+
+    /**
+     * @brief Gets the id attribute
+     * @return {string} Element id, empty when not set
+     */
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    /**
+     * @brief Gets the class attribute
+     * @return {string} Space separated class names, empty when not set
+     */
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    /**
+     * @brief Updates the viewport geometry of the element
+     * @param {{left: number, top: number, width: number, height: number}} rect - New geometry,
+     *        missing fields keep their value
+     * @return {HeadlessElement} Returns this for chaining
+     */
+    setRect(rect) {
+        Object.assign(this.__rect, rect);
+        return this;
+    }
+
+    /**
+     * @brief Gets the viewport geometry of the element
+     * @return {{left: number, top: number, right: number, bottom: number, width: number, height: number,
+     *         x: number, y: number}} DOMRect-like object
+     */
+    getBoundingClientRect() {
+        const {left, top, width, height} = this.__rect;
+        return {left, top, right: left + width, bottom: top + height, width, height, x: left, y: top};
+    }
+
+    /**
+     * @brief Gets an attribute value
+     * @param {string} name - Attribute name
+     * @return {string|null} Attribute value, null when not set
+     */
+    getAttribute(name) {
+        return this.__attributes.has(name) ? this.__attributes.get(name) : null;
+    }
+
+    /**
+     * @brief Sets an attribute value
+     * @param {string} name - Attribute name
+     * @param {string} value - Attribute value
+     */
+    setAttribute(name, value) {
+        this.__attributes.set(name, String(value));
+    }
+
+    /**
+     * @brief Removes an attribute
+     * @param {string} name - Attribute name
+     */
+    removeAttribute(name) {
+        this.__attributes.delete(name);
+    }
+
+    /**
+     * @brief Appends a child element, detaching it from its previous parent
+     * @param {HeadlessElement} child - Element to append
+     * @return {HeadlessElement} The appended child
+     */
+    appendChild(child) {
+        if (child.parentNode) {
+            child.parentNode.removeChild(child);
+        }
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    /**
+     * @brief Removes a child element
+     * @param {HeadlessElement} child - Element to remove
+     * @return {HeadlessElement} The removed child
+     */
+    removeChild(child) {
+        this.children = this.children.filter(node => node !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    /**
+     * @brief Checks if a node is this element or one of its descendants
+     * @param {EventTarget|null} node - Node to check
+     * @return {boolean} True if the node is inside of this element
+     */
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @brief Checks if the element matches a selector
+     * @param {string} selector - Comma separated list of compound selectors made of a tag name,
+     *        #id, .class, [attribute] and [attribute="value"] parts; combinators are not supported
+     * @return {boolean} True if the element matches one of the selectors
+     * @throws {Error} If the selector is not supported
+     */
+    matches(selector) {
+        return selector.split(',').some(compound => {
+            let rest = compound.trim();
+            if (!rest) {
+                throw new Error(`Unsupported selector '${selector}'`);
+            }
+            let matched = true;
+            while (rest) {
+                const match = SELECTOR_PART.exec(rest);
+                if (!match) {
+                    throw new Error(`Unsupported selector '${selector}'`);
+                }
+                const [token, tag, id, className, attribute, ...values] = match;
+                const value = values.find(candidate => candidate !== undefined);
+                if (tag !== undefined) {
+                    matched = matched && this.tagName === tag.toUpperCase();
+                } else if (id !== undefined) {
+                    matched = matched && this.id === id;
+                } else if (className !== undefined) {
+                    matched = matched && this.className.split(/\s+/).includes(className);
+                } else if (attribute !== undefined) {
+                    matched = matched && this.getAttribute(attribute) !== null
+                        && (value === undefined || this.getAttribute(attribute) === value);
+                }
+                rest = rest.slice(token.length);
+            }
+            return matched;
+        });
+    }
+
+    /**
+     * @brief Finds the closest element matching a selector, starting with this element
+     * @param {string} selector - Selector, see matches()
+     * @return {HeadlessElement|null} This element or its nearest matching ancestor, null if none
+     */
+    closest(selector) {
+        for (let current = this; current instanceof HeadlessElement; current = current.parentNode) {
+            if (current.matches(selector)) {
+                return current;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @brief Moves the focus to this element
+     */
+    focus() {
+        if (this.ownerDocument) {
+            this.ownerDocument.activeElement = this;
+        }
+    }
+
+    /**
+     * @brief Captures a pointer on this element
+     * @param {number} pointerId - Pointer identifier
+     */
+    setPointerCapture(pointerId) {
+        this.__captures.add(pointerId);
+    }
+
+    /**
+     * @brief Releases a captured pointer and dispatches 'lostpointercapture'
+     * @param {number} pointerId - Pointer identifier
+     */
+    releasePointerCapture(pointerId) {
+        if (this.__captures.delete(pointerId)) {
+            const event = new Event('lostpointercapture', {bubbles: true});
+            this.dispatchEvent(Object.defineProperty(event, 'pointerId', {value: pointerId, enumerable: true}));
+        }
+    }
+
+    /**
+     * @brief Checks if a pointer is captured on this element
+     * @param {number} pointerId - Pointer identifier
+     * @return {boolean} True if the pointer is captured
+     */
+    hasPointerCapture(pointerId) {
+        return this.__captures.has(pointerId);
+    }
+
+    /**
+     * @override
+     * @brief Adds a listener, a passive one cannot prevent the default action
+     * @param {string} type - Event type
+     * @param {function|Object} listener - Listener function or object
+     * @param {boolean|Object} [options] - Listener options
+     */
+    addEventListener(type, listener, options) {
+        addHeadlessListener(this, (...args) => super.addEventListener(...args), type, listener, options);
+    }
+
+    /**
+     * @override
+     * @brief Removes a listener
+     * @param {string} type - Event type
+     * @param {function|Object} listener - Listener function or object
+     * @param {boolean|Object} [options] - Listener options
+     */
+    removeEventListener(type, listener, options) {
+        removeHeadlessListener(this, (...args) => super.removeEventListener(...args), type, listener, options);
+    }
+
+    /**
+     * @override
+     * @brief Dispatches an event on the element and bubbles it up to the ancestors
+     * @param {Event} event - Event to dispatch
+     * @return {boolean} False if the default action was prevented, true otherwise
+     */
+    dispatchEvent(event) {
+        return dispatchWithBubbling(this, e => super.dispatchEvent(e), event);
+    }
+}
+
+/**
+ * @class HeadlessDocument
+ * @brief EventTarget based stand-in for a Document
+ *
+ * Creates headless elements, tracks the focused element and
+ * the visibility state, and bubbles events up to its window.
+ */
+class HeadlessDocument extends EventTarget {
+    /**
+     * @brief Constructor for HeadlessDocument
+     * @param {HeadlessWindow|null} [defaultView=null] - Window the document belongs to
+     */
+    constructor(defaultView = null) {
+        super();
+
+        /**
+         * @property {HeadlessWindow|null} defaultView - Window the document belongs to
+         */
+        this.defaultView = defaultView;
+
+        /**
+         * @property {HeadlessElement} body - Root element of the document
+         */
+        this.body = new HeadlessElement(this, 'body');
+        this.body.parentNode = this;
+
+        /**
+         * @property {HeadlessElement|null} activeElement - Focused element
+         */
+        this.activeElement = this.body;
+
+        /**
+         * @property {string} visibilityState - 'visible' or 'hidden'
+         */
+        this.visibilityState = 'visible';
+    }
+
+    /**
+     * @brief Gets the parent node in the event path
+     * @return {HeadlessWindow|null} The window of the document
+     */
+    get parentNode() {
+        return this.defaultView;
+    }
+
+    /**
+     * @brief Checks if the document is hidden
+     * @return {boolean} True if the visibility state is 'hidden'
+     */
+    get hidden() {
+        return this.visibilityState === 'hidden';
+    }
+
+    /**
+     * @brief Creates an element appended to the body
+     * @param {string} [tagName='div'] - Tag name of the element
+     * @param {Object} [rect] - Viewport geometry, see HeadlessElement
+     * @return {HeadlessElement} The created element
+     */
+    createElement(tagName = 'div', rect) {
+        return this.body.appendChild(new HeadlessElement(this, tagName, rect));
+    }
+
+    /**
+     * @brief Changes the visibility state and dispatches 'visibilitychange'
+     * @param {string} visibilityState - 'visible' or 'hidden'
+     */
+    setVisibilityState(visibilityState) {
+        this.visibilityState = visibilityState;
+        this.dispatchEvent(new Event('visibilitychange', {bubbles: true}));
+    }
+
+    /**
+     * @override
+     * @brief Adds a listener, a passive one cannot prevent the default action
+     * @param {string} type - Event type
+     * @param {function|Object} listener - Listener function or object
+     * @param {boolean|Object} [options] - Listener options
+     */
+    addEventListener(type, listener, options) {
+        addHeadlessListener(this, (...args) => super.addEventListener(...args), type, listener, options);
+    }
+
+    /**
+     * @override
+     * @brief Removes a listener
+     * @param {string} type - Event type
+     * @param {function|Object} listener - Listener function or object
+     * @param {boolean|Object} [options] - Listener options
+     */
+    removeEventListener(type, listener, options) {
+        removeHeadlessListener(this, (...args) => super.removeEventListener(...args), type, listener, options);
+    }
+
+    /**
+     * @override
+     * @brief Dispatches an event on the document and bubbles it up to the window
+     * @param {Event} event - Event to dispatch
+     * @return {boolean} False if the default action was prevented, true otherwise
+     */
+    dispatchEvent(event) {
+        return dispatchWithBubbling(this, e => super.dispatchEvent(e), event);
+    }
+}
+
+/**
+ * @class HeadlessWindow
+ * @brief EventTarget based stand-in for a Window
+ *
+ * Owns a HeadlessDocument and a navigator describing the emulated
+ * device capabilities. Pass it to Environment.configure({window})
+ * to make controllers use it.
+ */
+class HeadlessWindow extends EventTarget {
+    /**
+     * @brief Constructor for HeadlessWindow
+     * @param {Object} [options={}] - Emulated device capabilities
+     * @param {number} [options.maxTouchPoints=0] - Number of supported touch points
+     * @param {string} [options.platform=''] - Navigator platform, e.g. 'MacIntel'
+     * @param {boolean} [options.pointerEvents=true] - Whether the Pointer Events API is available
+     * @param {number} [options.devicePixelRatio=1] - Device pixel ratio
+     * @param {number} [options.innerWidth=1024] - Viewport width
+     * @param {number} [options.innerHeight=768] - Viewport height
+     */
+    constructor({
+        maxTouchPoints = 0,
+        platform = '',
+        pointerEvents = true,
+        devicePixelRatio = 1,
+        innerWidth = 1024,
+        innerHeight = 768
+    } = {}) {
+        super();
+
+        /**
+         * @property {{maxTouchPoints: number, platform: string, userAgent: string}} navigator - Emulated navigator
+         */
+        this.navigator = {maxTouchPoints, platform, userAgent: 'headless'};
+
+        /**
+         * @property {function|undefined} PointerEvent - Pointer event constructor when pointer events are available
+         */
+        this.PointerEvent = pointerEvents ? class PointerEvent extends Event {} : undefined;
+
+        /**
+         * @property {number} devicePixelRatio - Device pixel ratio
+         */
+        this.devicePixelRatio = devicePixelRatio;
+
+        /**
+         * @property {number} innerWidth - Viewport width
+         */
+        this.innerWidth = innerWidth;
+
+        /**
+         * @property {number} innerHeight - Viewport height
+         */
+        this.innerHeight = innerHeight;
+
+        /**
+         * @property {HeadlessDocument} document - Document of the window
+         */
+        this.document = new HeadlessDocument(this);
+    }
+
+    /**
+     * @override
+     * @brief Adds a listener, a passive one cannot prevent the default action
+     * @param {string} type - Event type
+     * @param {function|Object} listener - Listener function or object
+     * @param {boolean|Object} [options] - Listener options
+     */
+    addEventListener(type, listener, options) {
+        addHeadlessListener(this, (...args) => super.addEventListener(...args), type, listener, options);
+    }
+
+    /**
+     * @override
+     * @brief Removes a listener
+     * @param {string} type - Event type
+     * @param {function|Object} listener - Listener function or object
+     * @param {boolean|Object} [options] - Listener options
+     */
+    removeEventListener(type, listener, options) {
+        removeHeadlessListener(this, (...args) => super.removeEventListener(...args), type, listener, options);
+    }
+
+    /**
+     * @brief Emulates the window losing focus and dispatches 'blur'
+     */
+    blur() {
+        this.dispatchEvent(new Event('blur'));
+    }
+
+    /**
+     * @brief Schedules a callback on a 16ms timer
+     * @param {function(number)} callback - Callback receiving the frame timestamp
+     * @return {number} Timer identifier
+     */
+    requestAnimationFrame(callback) {
+        return setTimeout(() => callback(performance.now()), 16);
+    }
+
+    /**
+     * @brief Cancels a callback scheduled with requestAnimationFrame()
+     * @param {number} id - Timer identifier
+     */
+    cancelAnimationFrame(id) {
+        clearTimeout(id);
+    }
+}
+
+/**
+ * @class InputDriver
+ * @brief Dispatches synthetic input events on an element
+ *
+ * Emulates a mouse (mouse or pointer events), touches, a keyboard and a wheel.
+ * Coordinates are viewport coordinates. Every dispatched event gets the
+ * driver clock as timeStamp; advance() moves the clock forward without
+ * waiting, so timing sensitive controllers behave deterministically.
+ * All methods return the driver for chaining.
+ */
+class InputDriver {
+    /**
+     * @brief Constructor for InputDriver
+     * @param {EventTarget} element - Element to dispatch the events on
+     * @param {Object} [options={}] - Driver options
+     * @param {string} [options.events='mouse'] - 'mouse' to dispatch mouse events for
+     *        press/move/release, 'pointer' to dispatch pointer events
+     * @param {string} [options.pointerType='mouse'] - Pointer type of pointer events
+     * @param {number} [options.time=0] - Initial clock value in milliseconds
+     */
+    constructor(element, {events = 'mouse', pointerType = 'mouse', time = 0} = {}) {
+        /**
+         * @property {EventTarget} __element - Element the events are dispatched on
+         * @private
+         */
+        this.__element = element;
+
+        /**
+         * @property {Object} __options - Driver options
+         * @private
+         */
+        this.__options = {events, pointerType};
+
+        /**
+         * @property {number} __time - Driver clock in milliseconds
+         * @private
+         */
+        this.__time = time;
+
+        /**
+         * @property {number} __buttons - Pressed mouse buttons bitmask
+         * @private
+         */
+        this.__buttons = 0;
+
+        /**
+         * @property {Map<number, Object>} __touches - Active touches by identifier
+         * @private
+         */
+        this.__touches = new Map();
+
+        /**
+         * @property {number} __nextTouchId - Identifier of the next new touch
+         * @private
+         */
+        this.__nextTouchId = 0;
+    }
+
+    /**
+     * @brief Gets the driver clock
+     * @return {number} Current time in milliseconds
+     */
+    getTime() {
+        return this.__time;
+    }
+
+    /**
+     * @brief Moves the driver clock forward
+     * @param {number} ms - Milliseconds to add
+     * @return {InputDriver} Returns this for chaining
+     */
+    advance(ms) {
+        this.__time += ms;
+        return this;
+    }
+
+    /**
+     * @brief Creates a synthetic event
+     * @param {string} type - Native event type
+     * @param {Object} fields - Event fields such as clientX or touches
+     * @param {boolean} [bubbles=true] - Whether the event bubbles
+     * @return {Event} Synthetic event
+     * @private
+     */
+    createEvent(type, fields, bubbles = true) {
+        const event = new Event(type, {bubbles, cancelable: true});
+        const properties = {timeStamp: {value: this.__time}};
+        Object.keys(fields).forEach(key => {
+            properties[key] = {value: fields[key], enumerable: true};
+        });
+        return Object.defineProperties(event, properties);
+    }
+
+    /**
+     * @brief Dispatches a mouse or pointer event
+     * @param {string} action - Event suffix ('down', 'move', 'up', 'enter', 'leave')
+     * @param {number} x - Horizontal viewport coordinate
+     * @param {number} y - Vertical viewport coordinate
+     * @param {Object} modifiers - Modifier keys (altKey, ctrlKey, metaKey, shiftKey) and button
+     * @private
+     */
+    dispatchPointer(action, x, y, modifiers) {
+        const {button = 0, altKey = false, ctrlKey = false, metaKey = false, shiftKey = false} = modifiers;
+        const pointer = this.__options.events === 'pointer';
+        const fields = {
+            clientX: x,
+            clientY: y,
+            pageX: x,
+            pageY: y,
+            button,
+            buttons: this.__buttons,
+            altKey,
+            ctrlKey,
+            metaKey,
+            shiftKey
+        };
+        if (pointer) {
+            Object.assign(fields, {
+                pointerId: 1,
+                pointerType: this.__options.pointerType,
+                pressure: this.__buttons ? 0.5 : 0,
+                isPrimary: true
+            });
+        }
+        const bubbles = action !== 'enter' && action !== 'leave';
+        this.__element.dispatchEvent(this.createEvent((pointer ? 'pointer' : 'mouse') + action, fields, bubbles));
+    }
+
+    /**
+     * @brief Presses the mouse button at a position
+     * @param {number} x - Horizontal viewport coordinate
+     * @param {number} y - Vertical viewport coordinate
+     * @param {Object} [modifiers={}] - Modifier keys and pressed button (0 primary, 1 middle, 2 secondary)
+     * @return {InputDriver} Returns this for chaining
+     */
+    press(x, y, modifiers = {}) {
+        this.__buttons |= 1 << [0, 2, 1][modifiers.button || 0];
+        this.dispatchPointer('down', x, y, modifiers);
+        return this;
+    }
+
+    /**
+     * @brief Moves the mouse to a position
+     * @param {number} x - Horizontal viewport coordinate
+     * @param {number} y - Vertical viewport coordinate
+     * @param {Object} [modifiers={}] - Modifier keys
+     * @return {InputDriver} Returns this for chaining
+     */
+    move(x, y, modifiers = {}) {
+        this.dispatchPointer('move', x, y, modifiers);
+        return this;
+    }
+
+    /**
+     * @brief Releases the mouse button at a position
+     * @param {number} x - Horizontal viewport coordinate
+     * @param {number} y - Vertical viewport coordinate
+     * @param {Object} [modifiers={}] - Modifier keys and released button
+     * @return {InputDriver} Returns this for chaining
+     */
+    release(x, y, modifiers = {}) {
+        this.__buttons &= ~(1 << [0, 2, 1][modifiers.button || 0]);
+        this.dispatchPointer('up', x, y, modifiers);
+        return this;
+    }
+
+    /**
+     * @brief Releases the mouse button outside of the window
+     * @param {Object} [modifiers={}] - Released button
+     * @return {InputDriver} Returns this for chaining
+     *
+     * Like a browser, dispatches no event: the next move reports the button as released.
+     */
+    releaseOutside(modifiers = {}) {
+        this.__buttons &= ~(1 << [0, 2, 1][modifiers.button || 0]);
+        return this;
+    }
+
+    /**
+     * @brief Moves the mouse into the element
+     * @param {number} x - Horizontal viewport coordinate
+     * @param {number} y - Vertical viewport coordinate
+     * @return {InputDriver} Returns this for chaining
+     */
+    enter(x, y) {
+        this.dispatchPointer('enter', x, y, {});
+        return this;
+    }
+
+    /**
+     * @brief Moves the mouse out of the element
+     * @param {number} x - Horizontal viewport coordinate
+     * @param {number} y - Vertical viewport coordinate
+     * @return {InputDriver} Returns this for chaining
+     */
+    leave(x, y) {
+        this.dispatchPointer('leave', x, y, {});
+        return this;
+    }
+
+    /**
+     * @brief Dispatches a touch event
+     * @param {string} type - Native event type
+     * @param {Object[]} changed - Touches that caused the event
+     * @private
+     */
+    dispatchTouch(type, changed) {
+        const touches = Array.from(this.__touches.values());
+        this.__element.dispatchEvent(this.createEvent(type, {
+            touches,
+            targetTouches: touches,
+            changedTouches: changed,
+            altKey: false,
+            ctrlKey: false,
+            metaKey: false,
+            shiftKey: false
+        }));
+    }
+
+    /**
+     * @brief Creates a touch point
+     * @param {number} identifier - Touch identifier
+     * @param {number} x - Horizontal viewport coordinate
+     * @param {number} y - Vertical viewport coordinate
+     * @return {Object} Touch-like object
+     * @private
+     */
+    createTouch(identifier, x, y) {
+        return {identifier, clientX: x, clientY: y, pageX: x, pageY: y, force: 0.5, target: this.__element};
+    }
+
+    /**
+     * @brief Puts new fingers down
+     * @param {Array<number[]|{id: number, x: number, y: number}>} points - Positions as [x, y],
+     *        or objects with an explicit touch identifier
+     * @return {InputDriver} Returns this for chaining
+     */
+    touchStart(points) {
+        const changed = points.map(point => {
+            const {id = this.__nextTouchId, x, y} = Array.isArray(point) ? {x: point[0], y: point[1]} : point;
+            this.__nextTouchId = Math.max(this.__nextTouchId, id + 1);
+            const touch = this.createTouch(id, x, y);
+            this.__touches.set(id, touch);
+            return touch;
+        });
+        this.dispatchTouch('touchstart', changed);
+        return this;
+    }
+
+    /**
+     * @brief Moves fingers that are down
+     * @param {Array<number[]|{id: number, x: number, y: number}>} points - Positions as [x, y]
+     *        applied to the active touches in the order they went down, or objects with a touch identifier
+     * @return {InputDriver} Returns this for chaining
+     */
+    touchMove(points) {
+        const ids = Array.from(this.__touches.keys());
+        const changed = points.map((point, index) => {
+            const {id = ids[index], x, y} = Array.isArray(point) ? {x: point[0], y: point[1]} : point;
+            const touch = this.createTouch(id, x, y);
+            this.__touches.set(id, touch);
+            return touch;
+        });
+        this.dispatchTouch('touchmove', changed);
+        return this;
+    }
+
+    /**
+     * @brief Lifts fingers
+     * @param {number[]} [ids] - Identifiers of the touches to lift, all touches when omitted
+     * @return {InputDriver} Returns this for chaining
+     */
+    touchEnd(ids = Array.from(this.__touches.keys())) {
+        return this.removeTouches('touchend', ids);
+    }
+
+    /**
+     * @brief Cancels touches
+     * @param {number[]} [ids] - Identifiers of the touches to cancel, all touches when omitted
+     * @return {InputDriver} Returns this for chaining
+     */
+    touchCancel(ids = Array.from(this.__touches.keys())) {
+        return this.removeTouches('touchcancel', ids);
+    }
+
+    /**
+     * @brief Removes touches and dispatches the corresponding event
+     * @param {string} type - Native event type
+     * @param {number[]} ids - Identifiers of the touches to remove
+     * @return {InputDriver} Returns this for chaining
+     * @private
+     */
+    removeTouches(type, ids) {
+        const changed = ids.filter(id => this.__touches.has(id)).map(id => this.__touches.get(id));
+        changed.forEach(touch => this.__touches.delete(touch.identifier));
+        this.dispatchTouch(type, changed);
+        return this;
+    }
+
+    /**
+     * @brief Presses a key
+     * @param {string} key - KeyboardEvent.key value
+     * @param {Object} [options={}] - code, repeat and modifier keys
+     * @return {InputDriver} Returns this for chaining
+     */
+    keyDown(key, options = {}) {
+        this.__element.dispatchEvent(this.createEvent('keydown', InputDriver.keyFields(key, options)));
+        return this;
+    }
+
+    /**
+     * @brief Releases a key
+     * @param {string} key - KeyboardEvent.key value
+     * @param {Object} [options={}] - code and modifier keys
+     * @return {InputDriver} Returns this for chaining
+     */
+    keyUp(key, options = {}) {
+        this.__element.dispatchEvent(this.createEvent('keyup', InputDriver.keyFields(key, options)));
+        return this;
+    }
+
+    /**
+     * @brief Builds the fields of a synthetic keyboard event
+     * @param {string} key - KeyboardEvent.key value
+     * @param {Object} options - code, repeat and modifier keys
+     * @return {Object} Keyboard event fields
+     * @static
+     * @private
+     */
+    static keyFields(key, {code = '', repeat = false, altKey = false, ctrlKey = false, metaKey = false, shiftKey = false}) {
+        return {key, code, repeat, altKey, ctrlKey, metaKey, shiftKey};
+    }
+
+    /**
+     * @brief Scrolls the wheel at a position
+     * @param {number} x - Horizontal viewport coordinate
+     * @param {number} y - Vertical viewport coordinate
+     * @param {Object} [options={}] - deltaX, deltaY, deltaZ, deltaMode and modifier keys
+     * @return {InputDriver} Returns this for chaining
+     */
+    wheel(x, y, {deltaX = 0, deltaY = 0, deltaZ = 0, deltaMode = 0, altKey = false, ctrlKey = false,
+        metaKey = false, shiftKey = false} = {}) {
+        this.__element.dispatchEvent(this.createEvent('wheel', {
+            clientX: x,
+            clientY: y,
+            pageX: x,
+            pageY: y,
+            buttons: this.__buttons,
+            deltaX,
+            deltaY,
+            deltaZ,
+            deltaMode,
+            altKey,
+            ctrlKey,
+            metaKey,
+            shiftKey
+        }));
+        return this;
+    }
+}
+
+export {HeadlessElement, HeadlessDocument, HeadlessWindow, InputDriver};
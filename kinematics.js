@@ -0,0 +1,333 @@
+/**
+ * @file kinematics.js
+ * @brief Velocity and kinematics tracking for active interactions
+ *
+ * @details
+ * KinematicsTracker follows the pointers of any controller from 'start'
+ * to 'end' and keeps a rolling time window of position samples for each of
+ * them. Every 'move' and 'end' event gets a kinematics property before the
+ * other handlers run, and a 'swipe' event is triggered on the controller
+ * when a pointer is released fast and far enough.
+ *
+ * @section kinematics Kinematics Fields
+ * - velocityX, velocityY, speed: Instantaneous velocity since the previous sample, in px/ms
+ * - smoothedVelocityX, smoothedVelocityY, smoothedSpeed: Velocity over the sample window, in px/ms
+ * - accelerationX, accelerationY: Change of the smoothed velocity, in px/ms²
+ * - direction: 'left', 'right', 'up' or 'down' along the dominant axis of the smoothed velocity,
+ *   null when not moving; angle: Direction of the smoothed velocity in degrees
+ * - distance: Length of the path travelled since 'start'; displacementX, displacementY: Offset
+ *   from the start position; duration: Time since 'start', in milliseconds
+ *
+ * @section usage Basic Usage Example
+ * @code
+ * const tracker = new KinematicsTracker(pointerCtrl, {minVelocity: 0.5});
+ * tracker.start();
+ * pointerCtrl.registerCallback('move', (e) => meter.update(e.kinematics.smoothedSpeed));
+ * pointerCtrl.registerCallback('swipe', (e) => carousel.go(e.direction));
+ * @endcode
+ *
+ * @note The moves coalesced by AbstractController.setMoveScheduling()
+ *       are sampled one by one from their history
+ *
+ * @see KinematicsTracker
+ *
+ * @license MIT
+ */
+
+import {ControllerEvent} from './controllers.js';
+
+/**
+ * @class KinematicsTracker
+ * @brief Attaches velocity, acceleration, direction and distance to the events of a controller
+ *
+ * The tracker registers its callbacks on the given controller with a high
+ * priority, so that the callbacks registered on the same controller see the
+ * kinematics. Events carry the kinematics of their first changed pointer,
+ * getKinematics() gives access to the other ones. Only pointers that went
+ * through a 'start' event are tracked.
+ */
+class KinematicsTracker {
+    /**
+     * @brief Gets the dominant direction of a vector
+     * @param {number} x - Horizontal component
+     * @param {number} y - Vertical component
+     * @return {string|null} 'left', 'right', 'up' or 'down', null for a zero vector
+     * @static
+     */
+    static getDirection(x, y) {
+        if (x === 0 && y === 0) {
+            return null;
+        }
+        if (Math.abs(x) >= Math.abs(y)) {
+            return x < 0 ? 'left' : 'right';
+        }
+        return y < 0 ? 'up' : 'down';
+    }
+
+    /**
+     * @brief Constructor for KinematicsTracker
+     * @param {AbstractController} controller - Controller whose pointers are tracked
+     * @param {Object} [options={}] - Tracker options
+     * @param {number} [options.sampleWindow=100] - Time window of the samples the smoothed
+     *        velocity is computed over, in milliseconds
+     * @param {number} [options.minVelocity=0.3] - Smoothed speed at release above which
+     *        a 'swipe' is triggered, in px/ms
+     * @param {number} [options.minDistance=30] - Distance from the start position above which
+     *        a 'swipe' is triggered, in CSS pixels
+     * @param {number} [options.priority=1000] - Priority of the tracker callbacks
+     */
+    constructor(controller, {sampleWindow = 100, minVelocity = 0.3, minDistance = 30, priority = 1000} = {}) {
+        /**
+         * @property {AbstractController} __controller - Controller whose pointers are tracked
+         * @private
+         */
+        this.__controller = controller;
+
+        /**
+         * @property {Object} __options - Tracker options
+         * @private
+         */
+        this.__options = {sampleWindow, minVelocity, minDistance, priority};
+
+        /**
+         * @property {Map<number, Object>} __tracks - State of the tracked pointers by identifier
+         * @private
+         */
+        this.__tracks = new Map();
+
+        /**
+         * @property {function[]} __subscriptions - Disposers of the registered callbacks
+         * @private
+         */
+        this.__subscriptions = [];
+    }
+
+    /**
+     * @brief Checks if the tracker is currently tracking
+     * @return {boolean} True while tracking
+     */
+    isTracking() {
+        return this.__subscriptions.length > 0;
+    }
+
+    /**
+     * @brief Starts tracking the pointers of the controller
+     * @return {KinematicsTracker} Returns this for chaining
+     * @throws {Error} If the tracker is already tracking
+     */
+    start() {
+        if (this.isTracking()) {
+            throw new Error('Tracker is already tracking');
+        }
+        const controller = this.__controller;
+        const priority = this.__options.priority;
+        this.__subscriptions = [
+            controller.subscribe('start', e => this.handleStart(e), {priority, internal: true}),
+            controller.subscribe('move', e => this.handleMove(e), {priority, internal: true}),
+            controller.subscribe('end', e => this.handleEnd(e), {priority, internal: true}),
+            // Swipes follow the 'end' handlers of the controller
+            controller.subscribe('end', e => this.handleRelease(e), {priority: -priority, internal: true}),
+            controller.subscribe('cancel', e => this.handleCancel(e), {priority, internal: true})
+        ];
+        return this;
+    }
+
+    /**
+     * @brief Stops tracking and forgets the tracked pointers
+     * @return {KinematicsTracker} Returns this for chaining
+     */
+    stop() {
+        this.__subscriptions.forEach(dispose => dispose());
+        this.__subscriptions = [];
+        this.__tracks.clear();
+        return this;
+    }
+
+    /**
+     * @brief Gets the latest kinematics of a tracked pointer
+     * @param {number} pointerId - Pointer identifier
+     * @return {Object|null} Kinematics, see the file documentation, null if the pointer is not tracked
+     */
+    getKinematics(pointerId) {
+        const track = this.__tracks.get(pointerId);
+        return track ? track.kinematics : null;
+    }
+
+    /**
+     * @brief Starts tracking the pressed pointers
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     */
+    handleStart(e) {
+        e.changedPointers.forEach(pointer => {
+            const sample = {x: pointer.clientX, y: pointer.clientY, time: e.timeStamp};
+            const track = {
+                origin: sample,
+                samples: [Object.assign({}, sample)],
+                distance: 0,
+                velocityX: 0,
+                velocityY: 0,
+                smoothedVelocityX: 0,
+                smoothedVelocityY: 0,
+                kinematics: null
+            };
+            track.kinematics = this.measure(pointer.id, track, 0, 0);
+            this.__tracks.set(pointer.id, track);
+        });
+        this.attach(e);
+    }
+
+    /**
+     * @brief Samples the moved pointers, including the coalesced samples
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     */
+    handleMove(e) {
+        (e.history || [e]).forEach(sample => this.sample(sample));
+        this.attach(e);
+    }
+
+    /**
+     * @brief Samples the released pointers
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     */
+    handleEnd(e) {
+        this.sample(e);
+        this.attach(e);
+    }
+
+    /**
+     * @brief Triggers the swipes of the released pointers and stops tracking them
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     */
+    handleRelease(e) {
+        const {minVelocity, minDistance} = this.__options;
+        e.changedPointers.forEach(pointer => {
+            const track = this.__tracks.get(pointer.id);
+            if (!track) {
+                return;
+            }
+            this.__tracks.delete(pointer.id);
+
+            const kinematics = track.kinematics;
+            if (kinematics.smoothedSpeed < minVelocity || kinematics.direction === null
+                || Math.hypot(kinematics.displacementX, kinematics.displacementY) < minDistance) {
+                return;
+            }
+            const swipe = new ControllerEvent('swipe', e.source, e.originalEvent, {
+                pointers: e.pointers,
+                changedPointers: [pointer],
+                buttons: e.buttons
+            });
+            this.__controller.trigger('swipe', Object.assign(swipe, {
+                direction: kinematics.direction,
+                velocityX: kinematics.smoothedVelocityX,
+                velocityY: kinematics.smoothedVelocityY,
+                speed: kinematics.smoothedSpeed,
+                distance: kinematics.distance,
+                kinematics
+            }));
+        });
+    }
+
+    /**
+     * @brief Stops tracking the cancelled pointers
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     */
+    handleCancel(e) {
+        e.changedPointers.forEach(pointer => this.__tracks.delete(pointer.id));
+    }
+
+    /**
+     * @brief Adds the changed pointers of an event to their tracks
+     * @param {ControllerEvent} e - Event or coalesced sample
+     * @private
+     */
+    sample(e) {
+        e.changedPointers.forEach(pointer => {
+            const track = this.__tracks.get(pointer.id);
+            if (!track) {
+                return;
+            }
+            const samples = track.samples;
+            const last = samples[samples.length - 1];
+            const x = pointer.clientX;
+            const y = pointer.clientY;
+            const elapsed = e.timeStamp - last.time;
+            track.distance += Math.hypot(x - last.x, y - last.y);
+            if (elapsed <= 0) {
+                // Same instant as the previous sample, only the position changes
+                last.x = x;
+                last.y = y;
+                track.kinematics = this.measure(pointer.id, track, 0, 0);
+                return;
+            }
+
+            track.velocityX = (x - last.x) / elapsed;
+            track.velocityY = (y - last.y) / elapsed;
+            samples.push({x, y, time: e.timeStamp});
+            while (samples.length > 2 && e.timeStamp - samples[0].time > this.__options.sampleWindow) {
+                samples.shift();
+            }
+
+            const first = samples[0];
+            const span = e.timeStamp - first.time;
+            const smoothedVelocityX = (x - first.x) / span;
+            const smoothedVelocityY = (y - first.y) / span;
+            const accelerationX = (smoothedVelocityX - track.smoothedVelocityX) / elapsed;
+            const accelerationY = (smoothedVelocityY - track.smoothedVelocityY) / elapsed;
+            track.smoothedVelocityX = smoothedVelocityX;
+            track.smoothedVelocityY = smoothedVelocityY;
+            track.kinematics = this.measure(pointer.id, track, accelerationX, accelerationY);
+        });
+    }
+
+    /**
+     * @brief Builds the kinematics of a track
+     * @param {number} pointerId - Pointer identifier
+     * @param {Object} track - Pointer track
+     * @param {number} accelerationX - Horizontal acceleration in px/ms²
+     * @param {number} accelerationY - Vertical acceleration in px/ms²
+     * @return {Object} Kinematics, see the file documentation
+     * @private
+     */
+    measure(pointerId, track, accelerationX, accelerationY) {
+        const last = track.samples[track.samples.length - 1];
+        const {smoothedVelocityX, smoothedVelocityY} = track;
+        return {
+            pointerId,
+            velocityX: track.velocityX,
+            velocityY: track.velocityY,
+            speed: Math.hypot(track.velocityX, track.velocityY),
+            smoothedVelocityX,
+            smoothedVelocityY,
+            smoothedSpeed: Math.hypot(smoothedVelocityX, smoothedVelocityY),
+            accelerationX,
+            accelerationY,
+            direction: KinematicsTracker.getDirection(smoothedVelocityX, smoothedVelocityY),
+            angle: Math.atan2(smoothedVelocityY, smoothedVelocityX) * 180 / Math.PI,
+            distance: track.distance,
+            displacementX: last.x - track.origin.x,
+            displacementY: last.y - track.origin.y,
+            duration: last.time - track.origin.time
+        };
+    }
+
+    /**
+     * @brief Sets the kinematics of the first changed pointer on an event
+     * @param {ControllerEvent} e - The controller event object
+     * @private
+     */
+    attach(e) {
+        const pointer = e.changedPointers[0];
+        const kinematics = pointer ? this.getKinematics(pointer.id) : null;
+        if (kinematics) {
+            e.kinematics = kinematics;
+        }
+    }
+}
+
+export {KinematicsTracker};
@@ -0,0 +1,211 @@
+/**
+ * @file middleware.js
+ * @brief Built-in middleware for the event pipeline of the controllers
+ *
+ * @details
+ * Middleware sit between the native events and the handlers of a
+ * controller, see AbstractController.use(). The factories of this file
+ * create the common ones:
+ * - filterButtons(): Keeps the interactions started with some buttons only
+ * - filterModifiers(): Keeps the interactions started with some modifier keys only
+ * - deadZone(): Holds back the moves of a pressed pointer until it leaves a radius
+ * - smooth(): Smooths the pointer positions of the moves
+ *
+ * Filters decide on 'start' and apply their decision to the 'move', 'end'
+ * and 'cancel' events of the same pointers, so that handlers never see a
+ * partial interaction. Every middleware keeps its state per emitting
+ * controller, a single instance can be used on a MultiController.
+ *
+ * @section usage Basic Usage Example
+ * @code
+ * pointerCtrl.use(filterButtons([0])).use(deadZone(4)).use(smooth(0.4));
+ * multiCtrl.use(filterModifiers({shiftKey: true}));
+ * @endcode
+ *
+ * @note smooth() changes the pointers of the events only, the coalesced
+ *       samples in the history of scheduled moves keep their raw positions
+ *
+ * @see AbstractController.use
+ *
+ * @license MIT
+ */
+
+/**
+ * @brief Pointer events following a 'start'
+ * @type {string[]}
+ * @private
+ */
+const SEQUENCE_EVENTS = ['move', 'end', 'cancel'];
+
+/**
+ * @brief Gets the state a middleware keeps for a controller
+ * @param {WeakMap<AbstractController, Map>} states - States of the middleware by controller
+ * @param {AbstractController} controller - Emitting controller
+ * @return {Map<number, *>} State by pointer identifier
+ * @private
+ */
+function getState(states, controller) {
+    if (!states.has(controller)) {
+        states.set(controller, new Map());
+    }
+    return states.get(controller);
+}
+
+/**
+ * @brief Creates a middleware keeping the interactions whose 'start' is accepted
+ * @param {function(ControllerEvent): boolean} accepts - Decides on the 'start' events
+ * @param {boolean} checkOthers - Whether the events other than pointer events are checked too
+ * @return {function} Middleware
+ * @private
+ *
+ * The pointers of a dropped 'start' are remembered until their 'end' or
+ * 'cancel', and the events changing only such pointers are dropped too.
+ */
+function createGate(accepts, checkOthers) {
+    const states = new WeakMap();
+    return (event, e, next, controller) => {
+        const dropped = getState(states, controller);
+        if (event === 'start') {
+            if (accepts(e)) {
+                e.changedPointers.forEach(pointer => dropped.delete(pointer.id));
+                next();
+            } else {
+                e.changedPointers.forEach(pointer => dropped.set(pointer.id, true));
+            }
+            return;
+        }
+        if (SEQUENCE_EVENTS.includes(event)) {
+            const pointers = e.changedPointers;
+            const isDropped = pointers.length > 0 && pointers.every(pointer => dropped.has(pointer.id));
+            if (event !== 'move') {
+                pointers.forEach(pointer => dropped.delete(pointer.id));
+            }
+            if (!isDropped) {
+                next();
+            }
+            return;
+        }
+        if (!checkOthers || accepts(e)) {
+            next();
+        }
+    };
+}
+
+/**
+ * @brief Creates a middleware keeping the interactions started with some buttons
+ * @param {number[]} [buttons=[0]] - Accepted values of the button of the native event,
+ *        0 being the main button; touches count as 0
+ * @return {function} Middleware for AbstractController.use()
+ *
+ * Events other than 'start', 'move', 'end' and 'cancel' pass through.
+ */
+function filterButtons(buttons = [0]) {
+    return createGate(e => {
+        const button = e.originalEvent && typeof e.originalEvent.button === 'number' ? e.originalEvent.button : 0;
+        return buttons.includes(button);
+    }, false);
+}
+
+/**
+ * @brief Creates a middleware keeping the events with some modifier keys
+ * @param {Object} [modifiers={}] - Modifier requirements
+ * @param {boolean} [modifiers.altKey] - True if Alt is required, false if forbidden, any state if omitted
+ * @param {boolean} [modifiers.ctrlKey] - Same for Control
+ * @param {boolean} [modifiers.metaKey] - Same for Meta
+ * @param {boolean} [modifiers.shiftKey] - Same for Shift
+ * @return {function} Middleware for AbstractController.use()
+ *
+ * Interactions are checked at 'start', releasing a modifier while
+ * dragging does not interrupt them. Other events are checked one by one.
+ */
+function filterModifiers(modifiers = {}) {
+    const keys = ['altKey', 'ctrlKey', 'metaKey', 'shiftKey'].filter(key => typeof modifiers[key] === 'boolean');
+    return createGate(e => keys.every(key => e[key] === modifiers[key]), true);
+}
+
+/**
+ * @brief Creates a middleware holding back the moves of pressed pointers near their press position
+ * @param {number} [distance=5] - Radius around the press position, in CSS pixels
+ * @return {function} Middleware for AbstractController.use()
+ * @throws {Error} If the distance is not a positive number or zero
+ *
+ * Once a pointer leaves the radius its moves pass until it is released,
+ * even when it comes back. Moves without pressed pointers pass through.
+ */
+function deadZone(distance = 5) {
+    if (typeof distance !== 'number' || !(distance >= 0)) {
+        throw new Error(`Invalid dead zone distance '${distance}'`);
+    }
+    const states = new WeakMap();
+    return (event, e, next, controller) => {
+        const origins = getState(states, controller);
+        if (event === 'start') {
+            e.changedPointers.forEach(pointer => {
+                origins.set(pointer.id, {x: pointer.clientX, y: pointer.clientY});
+            });
+        } else if (event === 'move') {
+            const held = e.changedPointers.filter(pointer => origins.has(pointer.id));
+            held.forEach(pointer => {
+                const origin = origins.get(pointer.id);
+                if (Math.hypot(pointer.clientX - origin.x, pointer.clientY - origin.y) > distance) {
+                    origins.delete(pointer.id);
+                }
+            });
+            if (held.length > 0 && held.length === e.changedPointers.length
+                && held.every(pointer => origins.has(pointer.id))) {
+                return;
+            }
+        } else if (event === 'end' || event === 'cancel') {
+            e.changedPointers.forEach(pointer => origins.delete(pointer.id));
+        }
+        next();
+    };
+}
+
+/**
+ * @brief Creates a middleware smoothing the pointer positions of the moves
+ * @param {number} [factor=0.5] - Weight of the new position, 1 leaves the positions unchanged
+ * @return {function} Middleware for AbstractController.use()
+ * @throws {Error} If the factor is not in ]0, 1]
+ *
+ * Applies an exponential moving average to the client, page, element and
+ * local coordinates of every pointer. 'start' and 'end' events pass
+ * their exact positions, 'start' restarts the average of its pointers.
+ */
+function smooth(factor = 0.5) {
+    if (typeof factor !== 'number' || !(factor > 0 && factor <= 1)) {
+        throw new Error(`Invalid smoothing factor '${factor}'`);
+    }
+    const fields = ['clientX', 'clientY', 'pageX', 'pageY', 'x', 'y', 'localX', 'localY'];
+    const states = new WeakMap();
+    return (event, e, next, controller) => {
+        const positions = getState(states, controller);
+        if (event === 'move') {
+            const smoothed = new Map();
+            new Set(e.pointers.concat(e.changedPointers)).forEach(pointer => {
+                if (!smoothed.has(pointer.id)) {
+                    const previous = positions.get(pointer.id);
+                    const position = {};
+                    fields.filter(field => typeof pointer[field] === 'number').forEach(field => {
+                        position[field] = previous && typeof previous[field] === 'number'
+                            ? previous[field] + (pointer[field] - previous[field]) * factor
+                            : pointer[field];
+                    });
+                    smoothed.set(pointer.id, position);
+                    positions.set(pointer.id, position);
+                }
+                Object.assign(pointer, smoothed.get(pointer.id));
+            });
+        } else if (event === 'start' || event === 'end' || event === 'cancel') {
+            e.changedPointers.forEach(pointer => positions.delete(pointer.id));
+        }
+        next();
+    };
+}
+
+export {
+    filterButtons,
+    filterModifiers,
+    deadZone,
+    smooth
+};
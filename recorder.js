@@ -0,0 +1,289 @@
+/**
+ * @file recorder.js
+ * @brief Recording and replaying of controller input sessions
+ *
+ * @details
+ * InputRecorder captures the events triggered by a controller as a JSON
+ * compatible recording: event name, normalized event fields and the time
+ * relative to the first recorded event. InputPlayer feeds a recording back
+ * through trigger() of any controller, with the original timing, at a chosen
+ * speed, or all at once for headless tests.
+ *
+ * @section format Recording Format
+ * @code
+ * {
+ *     "version": 1,
+ *     "events": [
+ *         {"time": 0, "event": "start", "data": {"type": "start", "source": "mouse", "pointers": [...], ...}},
+ *         {"time": 16.4, "event": "move", "data": {...}}
+ *     ]
+ * }
+ * @endcode
+ *
+ * @section usage Basic Usage Example
+ * @code
+ * const recorder = new InputRecorder(mouseCtrl);
+ * recorder.start();
+ * // ... interact with the element
+ * localStorage.setItem('session', JSON.stringify(recorder.stop()));
+ *
+ * const player = new InputPlayer(canvasCtrl, localStorage.getItem('session'), {speed: 2});
+ * await player.play();
+ * @endcode
+ *
+ * @note Replayed events have no originalEvent and their timeStamp
+ *       is the recorded relative time, whatever the playback speed
+ *
+ * @see InputRecorder
+ * @see InputPlayer
+ *
+ * @license MIT
+ */
+
+import {ControllerEvent} from './controllers.js';
+
+/**
+ * @brief Recording format version written by InputRecorder
+ * @type {number}
+ */
+const RECORDING_VERSION = 1;
+
+/**
+ * @class InputRecorder
+ * @brief Records the events triggered by a controller
+ *
+ * The recorder registers callbacks for the recorded event names. For
+ * a MultiController this includes the events bubbling up from all
+ * of its sub-controllers.
+ */
+class InputRecorder {
+    /**
+     * @brief Constructor for InputRecorder
+     * @param {AbstractController} controller - Controller to record
+     * @param {Object} [options={}] - Recorder options
+     * @param {string[]} [options.events] - Event names to record,
+     *        defaults to the input events of the built-in controllers
+     */
+    constructor(controller, {events = ['start', 'move', 'end', 'cancel', 'enter', 'leave']} = {}) {
+        /**
+         * @property {AbstractController} __controller - Recorded controller
+         * @private
+         */
+        this.__controller = controller;
+
+        /**
+         * @property {string[]} __events - Recorded event names
+         * @private
+         */
+        this.__events = events;
+
+        /**
+         * @property {Array<{event: string, callback: function}>} __subscriptions - Callbacks registered while recording
+         * @private
+         */
+        this.__subscriptions = [];
+
+        /**
+         * @property {Array<{time: number, event: string, data: *}>} __entries - Recorded entries
+         * @private
+         */
+        this.__entries = [];
+
+        /**
+         * @property {number|null} __origin - Time of the first recorded event
+         * @private
+         */
+        this.__origin = null;
+    }
+
+    /**
+     * @brief Checks if the recorder is currently recording
+     * @return {boolean} True while recording
+     */
+    isRecording() {
+        return this.__subscriptions.length > 0;
+    }
+
+    /**
+     * @brief Appends a triggered event to the recording
+     * @param {string} event - Event name
+     * @param {*} payload - First argument the event was triggered with
+     * @private
+     */
+    record(event, payload) {
+        const isControllerEvent = payload instanceof ControllerEvent;
+        const now = isControllerEvent ? payload.timeStamp : performance.now();
+        if (this.__origin === null) {
+            this.__origin = now;
+        }
+        this.__entries.push({
+            time: now - this.__origin,
+            event,
+            data: JSON.parse(JSON.stringify(payload === undefined ? null : payload))
+        });
+    }
+
+    /**
+     * @brief Starts recording, discarding the previous recording
+     * @return {InputRecorder} Returns this for chaining
+     * @throws {Error} If the recorder is already recording
+     */
+    start() {
+        if (this.isRecording()) {
+            throw new Error('Recorder is already recording');
+        }
+        this.__entries = [];
+        this.__origin = null;
+
+        this.__events.forEach(event => {
+            const callback = payload => this.record(event, payload);
+            this.__controller.registerCallback(event, callback, {internal: true});
+            this.__subscriptions.push({event, callback});
+        });
+        return this;
+    }
+
+    /**
+     * @brief Stops recording
+     * @return {{version: number, events: Array<{time: number, event: string, data: *}>}} The recording
+     */
+    stop() {
+        this.__subscriptions.forEach(({event, callback}) => {
+            this.__controller.unregisterCallback(event, callback);
+        });
+        this.__subscriptions = [];
+        return this.getRecording();
+    }
+
+    /**
+     * @brief Gets the current recording
+     * @return {{version: number, events: Array<{time: number, event: string, data: *}>}} The recording
+     */
+    getRecording() {
+        return {version: RECORDING_VERSION, events: this.__entries.slice()};
+    }
+}
+
+/**
+ * @class InputPlayer
+ * @brief Replays a recording through trigger() of a controller
+ *
+ * Entries are triggered with their recorded timing divided by the speed.
+ * A speed of Infinity triggers all entries synchronously, which makes
+ * replays deterministic in headless tests.
+ */
+class InputPlayer {
+    /**
+     * @brief Constructor for InputPlayer
+     * @param {AbstractController} controller - Controller to trigger the events on
+     * @param {Object|string} recording - Recording object or its JSON string
+     * @param {Object} [options={}] - Player options
+     * @param {number} [options.speed=1] - Playback speed multiplier, Infinity for no delays
+     * @throws {Error} If the recording version is not supported
+     */
+    constructor(controller, recording, {speed = 1} = {}) {
+        const parsed = typeof recording === 'string' ? JSON.parse(recording) : recording;
+        if (parsed.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported recording version '${parsed.version}'`);
+        }
+
+        /**
+         * @property {AbstractController} __controller - Controller the events are triggered on
+         * @private
+         */
+        this.__controller = controller;
+
+        /**
+         * @property {Array<{time: number, event: string, data: *}>} __entries - Entries to replay
+         * @private
+         */
+        this.__entries = parsed.events;
+
+        /**
+         * @property {number} __speed - Playback speed multiplier
+         * @private
+         */
+        this.__speed = speed;
+
+        /**
+         * @property {number[]} __timers - Pending playback timers
+         * @private
+         */
+        this.__timers = [];
+
+        /**
+         * @property {function|null} __resolve - Resolves the promise of the running playback
+         * @private
+         */
+        this.__resolve = null;
+    }
+
+    /**
+     * @brief Checks if a playback is running
+     * @return {boolean} True while playing
+     */
+    isPlaying() {
+        return this.__resolve !== null;
+    }
+
+    /**
+     * @brief Triggers a recorded entry on the controller
+     * @param {{time: number, event: string, data: *}} entry - Recorded entry
+     * @private
+     */
+    replay(entry) {
+        const data = entry.data;
+        if (data !== null && typeof data === 'object' && typeof data.source === 'string') {
+            this.__controller.trigger(entry.event, ControllerEvent.fromJSON(Object.assign({}, data, {timeStamp: entry.time})));
+        } else {
+            this.__controller.trigger(entry.event, data);
+        }
+    }
+
+    /**
+     * @brief Replays the recording
+     * @return {Promise<void>} Resolves when all entries were triggered or the playback was stopped
+     * @throws {Error} If a playback is already running
+     */
+    play() {
+        if (this.isPlaying()) {
+            throw new Error('Player is already playing');
+        }
+        if (this.__speed === Infinity) {
+            this.__entries.forEach(entry => this.replay(entry));
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.__resolve = resolve;
+            let remaining = this.__entries.length;
+            if (remaining === 0) {
+                this.stop();
+                return;
+            }
+            this.__timers = this.__entries.map(entry => setTimeout(() => {
+                this.replay(entry);
+                if (--remaining === 0) {
+                    this.stop();
+                }
+            }, entry.time / this.__speed));
+        });
+    }
+
+    /**
+     * @brief Stops the running playback
+     * @return {InputPlayer} Returns this for chaining
+     */
+    stop() {
+        this.__timers.forEach(timer => clearTimeout(timer));
+        this.__timers = [];
+        if (this.__resolve) {
+            const resolve = this.__resolve;
+            this.__resolve = null;
+            resolve();
+        }
+        return this;
+    }
+}
+
+export {InputRecorder, InputPlayer};
@@ -0,0 +1,325 @@
+/**
+ * @file registry.js
+ * @brief Controller registry and declarative controller trees
+ *
+ * @details
+ * ControllerRegistry maps type names to controller classes and builds
+ * controller trees from plain data, so that interaction presets can be
+ * stored as JSON. Configurations are validated before anything is built,
+ * every problem is reported with its path in the configuration.
+ *
+ * @section format Configuration Format
+ * @code
+ * {
+ *     "type": "multi",                       // Registered type name
+ *     "options": {"dedupTimeout": 1000},     // Third constructor argument, optional
+ *     "children": [                          // Sub-controllers, multi-controller types only
+ *         {"type": "mouse"},
+ *         {"type": "touch", "options": {"moveScheduling": "frame"}}
+ *     ],
+ *     "on": {"start": "highlight", "end": ["unhighlight", "log"]}
+ * }
+ * @endcode
+ *
+ * Callbacks in 'on' are functions or names looked up in the handlers
+ * passed to create(), the latter keeps the configuration JSON compatible.
+ * Event names follow registerCallback(), namespaces included.
+ *
+ * @section usage Basic Usage Example
+ * @code
+ * class LassoController extends PointerController {
+ *     // Custom selection logic
+ * }
+ *
+ * const registry = new ControllerRegistry().register('lasso', LassoController);
+ * const ctrl = registry.create(preset, element, {handlers: {highlight, unhighlight, log}});
+ * @endcode
+ *
+ * @see ControllerRegistry
+ *
+ * @license MIT
+ */
+
+import {
+    AbstractController,
+    MouseController,
+    HoverIntentController,
+    TouchController,
+    PointerController,
+    KeyboardController,
+    KeyboardPointerController,
+    WheelController,
+    MultiController,
+    DragController
+} from './controllers.js';
+
+/**
+ * @brief Keys allowed in a controller configuration
+ * @type {string[]}
+ * @private
+ */
+const CONFIG_KEYS = ['type', 'options', 'children', 'on'];
+
+/**
+ * @brief Checks if a value is a plain object
+ * @param {*} value - Value to check
+ * @return {boolean} True for objects other than null and arrays
+ * @private
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @brief Gets the path of a key in a configuration node
+ * @param {string} path - Path of the node
+ * @param {string} key - Key in the node
+ * @return {string} Dotted path for identifier-like keys, bracketed otherwise
+ * @private
+ */
+function keyPath(path, key) {
+    return /^[\w$*]+$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * @brief Runs a build step and prefixes its errors with the path of the node
+ * @param {string} path - Path of the node being built
+ * @param {function(): *} step - Build step, e.g. a constructor call
+ * @return {*} Result of the step
+ * @throws {Error} Error of the step, its message prefixed with the path
+ * @private
+ */
+function atPath(path, step) {
+    try {
+        return step();
+    } catch (error) {
+        throw new Error(`${path}: ${error.message}`, {cause: error});
+    }
+}
+
+/**
+ * @class ControllerRegistry
+ * @brief Registry of controller classes building controller trees from configurations
+ *
+ * A new registry knows the built-in controllers as 'mouse', 'hoverintent',
+ * 'touch', 'pointer', 'keyboard', 'keyboardpointer', 'wheel', 'multi' and 'drag'.
+ */
+class ControllerRegistry {
+    /**
+     * @brief Constructor for ControllerRegistry
+     */
+    constructor() {
+        /**
+         * @property {Map<string, function>} __types - Controller classes by type name
+         * @private
+         */
+        this.__types = new Map();
+
+        this.register('mouse', MouseController)
+            .register('hoverintent', HoverIntentController)
+            .register('touch', TouchController)
+            .register('pointer', PointerController)
+            .register('keyboard', KeyboardController)
+            .register('keyboardpointer', KeyboardPointerController)
+            .register('wheel', WheelController)
+            .register('multi', MultiController)
+            .register('drag', DragController);
+    }
+
+    /**
+     * @brief Registers a controller class under a type name
+     * @param {string} name - Type name used in configurations
+     * @param {function} controllerClass - Class extending AbstractController, constructed
+     *        with (element, document, options)
+     * @return {ControllerRegistry} Returns this for chaining
+     * @throws {Error} If the name is taken or the class is not a controller
+     */
+    register(name, controllerClass) {
+        if (typeof name !== 'string' || !name) {
+            throw new Error(`Invalid controller type name '${name}'`);
+        }
+        if (this.__types.has(name)) {
+            throw new Error(`Controller type '${name}' is already registered`);
+        }
+        if (typeof controllerClass !== 'function' || !(controllerClass.prototype instanceof AbstractController)) {
+            throw new Error(`Controller type '${name}' must be a class extending AbstractController`);
+        }
+        this.__types.set(name, controllerClass);
+        return this;
+    }
+
+    /**
+     * @brief Removes a type name from the registry
+     * @param {string} name - Type name
+     * @return {ControllerRegistry} Returns this for chaining
+     */
+    unregister(name) {
+        this.__types.delete(name);
+        return this;
+    }
+
+    /**
+     * @brief Checks if a type name is registered
+     * @param {string} name - Type name
+     * @return {boolean} True if registered
+     */
+    has(name) {
+        return this.__types.has(name);
+    }
+
+    /**
+     * @brief Gets the class registered under a type name
+     * @param {string} name - Type name
+     * @return {function|null} Controller class, null if the name is unknown
+     */
+    get(name) {
+        return this.__types.has(name) ? this.__types.get(name) : null;
+    }
+
+    /**
+     * @brief Gets the registered type names
+     * @return {string[]} Type names in registration order
+     */
+    getNames() {
+        return Array.from(this.__types.keys());
+    }
+
+    /**
+     * @brief Validates a configuration
+     * @param {Object} config - Controller configuration, see the file documentation
+     * @param {Object} [options={}] - Validation options
+     * @param {Object.<string, function>} [options.handlers={}] - Callbacks available by name in 'on'
+     * @return {string[]} Problems found, each starting with its path; empty for a valid configuration
+     */
+    validate(config, {handlers = {}} = {}) {
+        const errors = [];
+        this.validateNode(config, 'config', handlers, errors);
+        return errors;
+    }
+
+    /**
+     * @brief Validates a configuration node and its children
+     * @param {*} node - Configuration node
+     * @param {string} path - Path of the node in the configuration
+     * @param {Object.<string, function>} handlers - Callbacks available by name
+     * @param {string[]} errors - Problems found so far
+     * @private
+     */
+    validateNode(node, path, handlers, errors) {
+        if (!isPlainObject(node)) {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+        Object.keys(node).filter(key => !CONFIG_KEYS.includes(key)).forEach(key => {
+            errors.push(`${path}.${key}: unknown key, expected one of ${CONFIG_KEYS.join(', ')}`);
+        });
+
+        const controllerClass = typeof node.type === 'string' ? this.get(node.type) : null;
+        if (typeof node.type !== 'string') {
+            errors.push(`${path}.type: expected a type name`);
+        } else if (!controllerClass) {
+            errors.push(`${path}.type: unknown controller type '${node.type}', `
+                + `registered types are ${this.getNames().join(', ')}`);
+        }
+
+        if (node.options !== undefined && !isPlainObject(node.options)) {
+            errors.push(`${path}.options: expected an object`);
+        }
+
+        if (node.children !== undefined) {
+            if (!Array.isArray(node.children)) {
+                errors.push(`${path}.children: expected an array`);
+            } else {
+                if (controllerClass && controllerClass !== MultiController
+                    && !(controllerClass.prototype instanceof MultiController)) {
+                    errors.push(`${path}.children: controller type '${node.type}' cannot have children`);
+                }
+                node.children.forEach((child, index) => {
+                    this.validateNode(child, `${path}.children[${index}]`, handlers, errors);
+                });
+            }
+        }
+
+        if (node.on !== undefined) {
+            if (!isPlainObject(node.on)) {
+                errors.push(`${path}.on: expected an object mapping event names to callbacks`);
+                return;
+            }
+            Object.keys(node.on).forEach(event => {
+                const eventPath = keyPath(`${path}.on`, event);
+                if (!AbstractController.parseEventName(event).name) {
+                    errors.push(`${eventPath}: expected an event name, optionally namespaced`);
+                    return;
+                }
+                const callbacks = Array.isArray(node.on[event]) ? node.on[event] : [node.on[event]];
+                callbacks.forEach(callback => {
+                    if (typeof callback === 'string' && typeof handlers[callback] !== 'function') {
+                        errors.push(`${eventPath}: unknown handler '${callback}'`);
+                    } else if (typeof callback !== 'string' && typeof callback !== 'function') {
+                        errors.push(`${eventPath}: expected a function or a handler name`);
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * @brief Validates a configuration and builds its controller tree
+     * @param {Object} config - Controller configuration, see the file documentation
+     * @param {HTMLElement} element - Element of the controllers
+     * @param {Object} [options={}] - Build options
+     * @param {Document} [options.document] - Document of the controllers, defaults to the one
+     *        of the controller classes
+     * @param {Object.<string, function>} [options.handlers={}] - Callbacks available by name in 'on'
+     * @param {boolean} [options.initialize=true] - Whether to initialize the built tree
+     * @return {AbstractController} Root controller of the tree
+     * @throws {Error} Listing every problem of an invalid configuration, or the error of
+     *         a constructor or a registration prefixed with the path of its node
+     *
+     * Sub-controllers are created with createController() of their parent,
+     * so they share its element and document. Options are checked by the
+     * constructors only, e.g. {"moveScheduling": "sometimes"} fails here and
+     * not in validate().
+     */
+    create(config, element, {document: doc, handlers = {}, initialize = true} = {}) {
+        const errors = this.validate(config, {handlers});
+        if (errors.length > 0) {
+            throw new Error(`Invalid controller configuration:\n- ${errors.join('\n- ')}`);
+        }
+
+        const ControllerClass = this.get(config.type);
+        const root = atPath('config', () => new ControllerClass(element, doc, config.options));
+        this.populate(root, config, handlers, 'config');
+        if (initialize) {
+            root.initialize();
+        }
+        return root;
+    }
+
+    /**
+     * @brief Registers the callbacks of a configuration node and builds its children
+     * @param {AbstractController} controller - Controller built for the node
+     * @param {Object} node - Validated configuration node
+     * @param {Object.<string, function>} handlers - Callbacks available by name
+     * @param {string} path - Path of the node in the configuration
+     * @throws {Error} If a constructor or a registration fails, prefixed with the path of its node
+     * @private
+     */
+    populate(controller, node, handlers, path) {
+        (node.children || []).forEach((child, index) => {
+            const childPath = `${path}.children[${index}]`;
+            atPath(childPath, () => controller.createController(this.get(child.type), child.options));
+            const controllers = controller.getControllers();
+            this.populate(controllers[controllers.length - 1], child, handlers, childPath);
+        });
+        Object.keys(node.on || {}).forEach(event => {
+            const callbacks = Array.isArray(node.on[event]) ? node.on[event] : [node.on[event]];
+            callbacks.forEach(callback => {
+                atPath(keyPath(`${path}.on`, event), () => controller.registerCallback(event,
+                    typeof callback === 'string' ? handlers[callback] : callback));
+            });
+        });
+    }
+}
+
+export {ControllerRegistry};
@@ -0,0 +1,104 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+import {getEventListeners} from 'node:events';
+
+import {MouseController} from '../controllers.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('Callback registration', () => {
+    let ctrl;
+    let calls;
+
+    beforeEach(() => {
+        const win = setUpWindow();
+        ctrl = new MouseController(win.document.createElement('div'));
+        ctrl.initialize();
+        calls = [];
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates a callback recording its name
+     */
+    function record(name) {
+        return () => calls.push(name);
+    }
+
+    it('calls once-callbacks a single time', () => {
+        ctrl.registerCallback('custom', record('once'), {once: true});
+        ctrl.registerCallback('custom', record('always'));
+        ctrl.trigger('custom').trigger('custom');
+        assert.deepEqual(calls, ['once', 'always', 'always']);
+    });
+
+    it('calls higher priorities first and equal ones in registration order', () => {
+        ctrl.registerCallback('custom', record('a'));
+        ctrl.registerCallback('custom', record('high'), {priority: 10});
+        ctrl.registerCallback('custom', record('b'));
+        ctrl.registerCallback('custom', record('low'), {priority: -1});
+        ctrl.registerCallback('*', record('wildcard'), {priority: 5});
+        ctrl.trigger('custom');
+        assert.deepEqual(calls, ['high', 'wildcard', 'a', 'b', 'low']);
+    });
+
+    it('unregisters namespaces as a group', () => {
+        const callback = record('plain');
+        ctrl.registerCallback('start.tooltip', record('start'));
+        ctrl.registerCallback('move.tooltip', record('move'));
+        ctrl.registerCallback('move', callback);
+        ctrl.registerCallback('move.other', callback);
+        ctrl.unregisterCallback('.tooltip');
+        ctrl.trigger('start').trigger('move');
+        assert.deepEqual(calls, ['plain', 'plain']);
+
+        calls = [];
+        ctrl.unregisterCallback('move.other', callback);
+        ctrl.trigger('move');
+        assert.deepEqual(calls, ['plain']);
+        ctrl.unregisterCallback('move');
+        ctrl.trigger('move');
+        assert.deepEqual(calls, ['plain']);
+        assert.throws(() => ctrl.registerCallback('.tooltip', callback), /without event name/);
+    });
+
+    it('passes the event name to wildcard callbacks', () => {
+        const received = [];
+        ctrl.registerCallback('*', (event, payload) => received.push([event, payload]));
+        ctrl.trigger('custom', 42);
+        assert.deepEqual(received, [['custom', 42]]);
+    });
+
+    it('returns a disposer removing exactly this registration', () => {
+        const callback = record('shared');
+        const dispose = ctrl.subscribe('custom', callback);
+        ctrl.registerCallback('custom', callback);
+        dispose();
+        dispose();
+        ctrl.trigger('custom');
+        assert.deepEqual(calls, ['shared']);
+    });
+
+    it('unregisters the callback when the signal aborts', () => {
+        const controller = new AbortController();
+        ctrl.registerCallback('custom', record('aborted'), {signal: controller.signal});
+        ctrl.registerCallback('custom', record('kept'));
+        controller.abort();
+        ctrl.registerCallback('custom', record('late'), {signal: controller.signal});
+        ctrl.trigger('custom');
+        assert.deepEqual(calls, ['kept']);
+    });
+
+    it('stops listening to the signal once the callback is unregistered', () => {
+        const {signal} = new AbortController();
+        const dispose = ctrl.subscribe('custom', record('disposed'), {signal});
+        ctrl.registerCallback('custom', record('once'), {signal, once: true});
+        ctrl.registerCallback('custom.group', record('unregistered'), {signal});
+        assert.equal(getEventListeners(signal, 'abort').length, 3);
+
+        dispose();
+        ctrl.trigger('custom');
+        ctrl.unregisterCallback('.group');
+        assert.equal(getEventListeners(signal, 'abort').length, 0);
+    });
+});
@@ -0,0 +1,103 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {CancelReason, MouseController, PointerController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('Interaction cancellation', () => {
+    let win;
+    let element;
+
+    beforeEach(() => {
+        win = setUpWindow();
+        element = win.document.createElement('div', {left: 0, top: 0, width: 100, height: 100});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Initializes the controller and records its events as [type, reason]
+     */
+    function record(ctrl) {
+        return recordEvents(ctrl, ['start', 'move', 'end', 'cancel'],
+            (type, e) => (type === 'cancel' ? [type, e.reason] : [type])).events;
+    }
+
+    it('cancels on window blur and drops the late release', () => {
+        const ctrl = new MouseController(element);
+        const events = record(ctrl);
+        const driver = new InputDriver(element).press(10, 10);
+        assert.ok(ctrl.isInteracting());
+        win.blur();
+        assert.ok(!ctrl.isInteracting());
+        driver.release(10, 10);
+        win.blur();
+        assert.deepEqual(events, [['start'], ['cancel', CancelReason.BLUR]]);
+
+        driver.press(10, 10).release(10, 10);
+        assert.deepEqual(events.slice(2), [['start'], ['end']]);
+    });
+
+    it('cancels when the button was released outside of the window', () => {
+        const events = record(new MouseController(element));
+        const driver = new InputDriver(element).press(10, 10).move(20, 10);
+        const buttons = [];
+        element.ownerDocument.addEventListener('mousemove', e => buttons.push(e.buttons));
+        driver.releaseOutside().move(30, 10);
+        assert.deepEqual(events, [['start'], ['move'], ['cancel', CancelReason.RELEASED], ['move']]);
+        assert.deepEqual(buttons, [0]);
+    });
+
+    it('cancels the pointer whose capture is lost', () => {
+        const ctrl = new PointerController(element);
+        const changed = [];
+        ctrl.registerCallback('cancel', e => changed.push([e.reason, e.changedPointers.map(pointer => pointer.id)]));
+        const events = record(ctrl);
+        new InputDriver(element, {events: 'pointer'}).press(10, 10);
+        assert.ok(element.hasPointerCapture(1));
+        element.releasePointerCapture(1);
+        assert.deepEqual(events, [['start'], ['cancel', CancelReason.CAPTURE_LOST]]);
+        assert.deepEqual(changed, [[CancelReason.CAPTURE_LOST, [1]]]);
+    });
+
+    it('cancels when disabled or when the document gets hidden', () => {
+        const ctrl = new MouseController(element);
+        const events = record(ctrl);
+        const driver = new InputDriver(element).press(10, 10);
+        ctrl.setEnabled(false);
+        ctrl.setEnabled(true);
+        driver.release(10, 10).press(10, 10);
+        win.document.setVisibilityState('hidden');
+        assert.deepEqual(events,
+            [['start'], ['cancel', CancelReason.DISABLED], ['start'], ['cancel', CancelReason.HIDDEN]]);
+        assert.ok(ctrl.getEnabled());
+    });
+
+    it('pauses while the document is hidden on request', () => {
+        const ctrl = new MouseController(element).setPauseWhenHidden(true);
+        const events = record(ctrl);
+        const driver = new InputDriver(element);
+        win.document.setVisibilityState('hidden');
+        assert.ok(!ctrl.getEnabled());
+        driver.press(10, 10).release(10, 10);
+        win.document.setVisibilityState('visible');
+        assert.ok(ctrl.getEnabled());
+        assert.deepEqual(events, []);
+
+        win.document.setVisibilityState('hidden');
+        ctrl.setEnabled(false);
+        win.document.setVisibilityState('visible');
+        assert.ok(!ctrl.getEnabled());
+    });
+
+    it('cancels the interactions of the sub-controllers once', () => {
+        const multi = new MultiController(element);
+        multi.createController(MouseController);
+        const events = record(multi);
+        new InputDriver(element).press(10, 10);
+        assert.ok(multi.cancelInteraction('custom'));
+        assert.ok(!multi.cancelInteraction('custom'));
+        assert.deepEqual(events, [['start'], ['cancel', 'custom']]);
+    });
+});
@@ -0,0 +1,102 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {ControllerEvent, MouseController, TouchController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('ControllerEvent', () => {
+    let element;
+
+    beforeEach(() => {
+        const win = setUpWindow({window: {maxTouchPoints: 2}});
+        element = win.document.createElement('div', {left: 10, top: 20, width: 100, height: 100});
+    });
+
+    afterEach(tearDownWindow);
+
+    it('normalizes mouse events', () => {
+        const ctrl = new MouseController(element);
+        let payload = null;
+        ctrl.registerCallback('start', e => {
+            payload = e;
+        });
+        ctrl.initialize();
+
+        new InputDriver(element).advance(5).press(30, 40, {shiftKey: true});
+        assert.ok(payload instanceof ControllerEvent);
+        assert.equal(payload.type, 'start');
+        assert.equal(payload.source, 'mouse');
+        assert.equal(payload.buttons, 1);
+        assert.equal(payload.shiftKey, true);
+        assert.equal(payload.altKey, false);
+        assert.equal(payload.timeStamp, 5);
+        assert.equal(payload.originalEvent.type, 'mousedown');
+        assert.deepEqual(payload.getPointer(), {
+            id: 1, pointerType: 'mouse', clientX: 30, clientY: 40, pageX: 30, pageY: 40, x: 20, y: 20, pressure: 0.5
+        });
+    });
+
+    it('normalizes touch events and falls back to the changed pointers', () => {
+        const ctrl = new TouchController(element);
+        const payloads = [];
+        ctrl.registerCallback('start', e => payloads.push(e));
+        ctrl.registerCallback('end', e => payloads.push(e));
+        ctrl.initialize();
+
+        new InputDriver(element).touchStart([[20, 30], [40, 50]]).touchEnd();
+        const [start, end] = payloads;
+        assert.equal(start.source, 'touch');
+        assert.deepEqual(start.pointers.map(pointer => [pointer.id, pointer.x, pointer.y]), [[0, 10, 10], [1, 30, 30]]);
+        assert.equal(start.getPointer(1).pressure, 0.5);
+        assert.equal(end.pointers.length, 0);
+        assert.equal(end.buttons, 0);
+        assert.equal(end.getPointer().id, 0);
+        assert.equal(end.getPointer(2), null);
+    });
+
+    it('lets one handler serve every input type of a MultiController', () => {
+        const multi = new MultiController(element);
+        multi.createController(MouseController).createController(TouchController);
+        const positions = [];
+        multi.registerCallback('start', e => positions.push([e.source, e.getPointer().x]));
+        multi.initialize();
+
+        new InputDriver(element).touchStart([[15, 25]]).touchEnd();
+        new InputDriver(element).advance(5000).press(35, 25).release(35, 25);
+        assert.deepEqual(positions, [['touch', 5], ['mouse', 25]]);
+    });
+
+    it('passes preventDefault and stopPropagation through to the native event', () => {
+        const ctrl = new MouseController(element);
+        let payload = null;
+        ctrl.registerCallback('start', e => {
+            payload = e;
+            e.preventDefault();
+            e.stopPropagation();
+        });
+        ctrl.initialize();
+
+        const reached = [];
+        element.ownerDocument.body.addEventListener('mousedown', () => reached.push('body'));
+        new InputDriver(element).press(30, 30);
+        assert.equal(payload.defaultPrevented, true);
+        assert.equal(payload.originalEvent.defaultPrevented, true);
+        assert.equal(payload.isPropagationStopped(), true);
+        assert.deepEqual(reached, []);
+    });
+
+    it('serializes without the native event', () => {
+        const native = Object.assign(new Event('mousedown'), {clientX: 5, clientY: 6, pageX: 5, pageY: 6, buttons: 1});
+        const event = ControllerEvent.fromMouseEvent('start', native, element);
+        const data = JSON.parse(JSON.stringify(event));
+        assert.equal('originalEvent' in data, false);
+        assert.equal('controller' in data, false);
+
+        const restored = ControllerEvent.fromJSON(data);
+        assert.ok(restored instanceof ControllerEvent);
+        assert.equal(restored.originalEvent, null);
+        assert.deepEqual(restored.getPointer(), event.getPointer());
+        assert.doesNotThrow(() => restored.preventDefault());
+    });
+});
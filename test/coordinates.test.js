@@ -0,0 +1,144 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, MultiController} from '../controllers.js';
+import {CoordinateSpace} from '../coordinates.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('CoordinateSpace', () => {
+    let win;
+    let styles;
+
+    beforeEach(() => {
+        win = setUpWindow();
+        styles = new Map();
+        win.getComputedStyle = node => styles.get(node) || {transform: 'none'};
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates a stand-in for a laid out element, with offsets from its offset parent
+     */
+    function layout(offsetLeft, offsetTop, offsetParent = null, style = null) {
+        const node = {
+            offsetLeft,
+            offsetTop,
+            offsetParent,
+            parentElement: offsetParent || win.document.body,
+            ownerDocument: win.document,
+            clientLeft: 0,
+            clientTop: 0,
+            scrollLeft: 0,
+            scrollTop: 0
+        };
+        if (style !== null) {
+            styles.set(node, style);
+        }
+        return node;
+    }
+
+    /**
+     * @brief Asserts that two points are equal up to rounding errors
+     */
+    function assertPoint(actual, [x, y]) {
+        assert.ok(Math.abs(actual.x - x) < 1e-9 && Math.abs(actual.y - y) < 1e-9,
+            `expected (${x}, ${y}), got (${actual.x}, ${actual.y})`);
+    }
+
+    it('maps through the transforms and scroll offsets of the ancestors', () => {
+        const parent = layout(100, 50, null, {transform: 'matrix(2, 0, 0, 2, 0, 0)', transformOrigin: '0px 0px'});
+        const child = layout(10, 20, parent);
+        const space = new CoordinateSpace(child);
+        assertPoint(space.toLocal(130, 100), [5, 5]);
+
+        parent.scrollTop = 10;
+        win.scrollY = 20;
+        assertPoint(space.toLocal(130, 60), [5, 5]);
+        assertPoint(space.toClient(5, 5), [130, 60]);
+
+        styles.set(parent, {transform: 'matrix(0, 1, -1, 0, 0, 0)', transformOrigin: '50px 50px'});
+        win.scrollY = 0;
+        // (15, 15) in the parent turns by 90 degrees around (50, 50) into (85, 15)
+        assertPoint(space.toLocal(185, 65), [5, 5]);
+    });
+
+    it('applies the transforms of the ancestors that are not offset parents', () => {
+        const container = layout(100, 50);
+        const wrapper = layout(10, 10, container, {transform: 'matrix(2, 0, 0, 2, 0, 0)', transformOrigin: '0px 0px'});
+        const child = layout(30, 40, container);
+        child.parentElement = wrapper;
+        const space = new CoordinateSpace(child);
+        // (5, 5) in the child is (25, 35) in the wrapper, scaled into (50, 70)
+        assertPoint(space.toLocal(160, 130), [5, 5]);
+
+        wrapper.scrollTop = 5;
+        assertPoint(space.toLocal(160, 120), [5, 5]);
+        assertPoint(space.toClient(5, 5), [160, 120]);
+    });
+
+    it('maps into canvas backing store pixels inside the padding', () => {
+        const canvas = Object.assign(win.document.createElement('canvas', {left: 10, top: 10, width: 120, height: 70}),
+            {width: 200, height: 100});
+        styles.set(canvas, {transform: 'none', paddingLeft: '10px', paddingTop: '10px', paddingRight: '10px',
+            paddingBottom: '10px'});
+        const space = new CoordinateSpace(canvas, {type: 'canvas'});
+        assertPoint(space.toLocal(30, 30), [20, 20]);
+        assertPoint(space.toLocal(120, 70), [200, 100]);
+
+        canvas.setRect({width: 20});
+        assert.equal(space.toLocal(30, 30), null);
+    });
+
+    it('maps into SVG user units through the screen CTM', () => {
+        const svg = {getScreenCTM: () => ({a: 2, b: 0, c: 0, d: 2, e: 10, f: 20})};
+        const space = new CoordinateSpace(svg, {type: 'svg'});
+        assertPoint(space.toLocal(30, 40), [10, 10]);
+        assertPoint(space.toClient(10, 10), [30, 40]);
+        svg.getScreenCTM = () => null;
+        assert.equal(space.toLocal(30, 40), null);
+    });
+
+    it('caches the geometry while observing until a resize or scroll', () => {
+        const element = win.document.createElement('div', {left: 10, top: 10, width: 100, height: 100});
+        const space = new CoordinateSpace(element);
+        element.setRect({left: 20});
+        assertPoint(space.toLocal(30, 10), [10, 0]);
+
+        space.observe();
+        assert.ok(space.isObserving());
+        assert.throws(() => space.observe(), /already observing/);
+        assertPoint(space.toLocal(30, 10), [10, 0]);
+        element.setRect({left: 30});
+        assertPoint(space.toLocal(30, 10), [10, 0]);
+        win.dispatchEvent(new Event('resize'));
+        assertPoint(space.toLocal(30, 10), [0, 0]);
+        element.setRect({left: 40});
+        win.document.dispatchEvent(new Event('scroll', {bubbles: true}));
+        assertPoint(space.toLocal(30, 10), [-10, 0]);
+
+        space.disconnect();
+        element.setRect({left: 0});
+        assertPoint(space.toLocal(30, 10), [30, 0]);
+    });
+
+    it('rejects unknown types and unsuitable elements', () => {
+        const element = win.document.createElement('div');
+        assert.throws(() => new CoordinateSpace(element, {type: 'page'}), /Invalid coordinate space type 'page'/);
+        assert.throws(() => new CoordinateSpace(element, {type: 'canvas'}), /requires a canvas element/);
+        assert.throws(() => new CoordinateSpace(element, {type: 'svg'}), /requires an SVG graphics element/);
+    });
+
+    it('sets the local coordinates on the pointers of the controller events', () => {
+        const element = win.document.createElement('div', {left: 50, top: 50, width: 100, height: 100});
+        const multi = new MultiController(element);
+        multi.setCoordinateSpace(new CoordinateSpace(element));
+        multi.createController(MouseController);
+        const points = [];
+        multi.registerCallback('start', e => points.push([e.getPointer().localX, e.getPointer().localY]));
+        multi.initialize();
+        new InputDriver(element).press(60, 80).release(60, 80);
+        assert.deepEqual(points, [[10, 30]]);
+    });
+});
@@ -0,0 +1,83 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, TouchController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('Delegation', () => {
+    let win;
+    let list;
+    let items;
+
+    beforeEach(() => {
+        win = setUpWindow({window: {maxTouchPoints: 2}});
+        list = win.document.createElement('ul', {left: 0, top: 0, width: 100, height: 300});
+        items = [0, 1].map(index => addItem(index));
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Appends an item to the list, with a label inside of it
+     */
+    function addItem(index) {
+        const item = list.appendChild(win.document.createElement('li', {left: 0, top: index * 20, width: 100, height: 20}));
+        item.setAttribute('class', 'item');
+        item.setAttribute('id', `item-${index}`);
+        item.appendChild(win.document.createElement('span'));
+        return item;
+    }
+
+    /**
+     * @brief Creates an initialized delegated controller recording its events as [event, item id]
+     */
+    function create(controllerClass) {
+        const ctrl = new controllerClass(list, undefined, {delegate: '.item'});
+        return recordEvents(ctrl, ['start', 'move', 'end', 'enter'],
+            (event, e) => [event, e.delegateTarget ? e.delegateTarget.getAttribute('id') : null]);
+    }
+
+    it('reports the input on the item matched from the target', () => {
+        const {ctrl, events} = create(MouseController);
+        assert.equal(ctrl.getDelegate(), '.item');
+        new InputDriver(items[1].children[0]).press(10, 30).move(10, 35).release(10, 35);
+        new InputDriver(list).press(10, 100).move(10, 110).release(10, 110);
+        assert.deepEqual(events, [['start', 'item-1'], ['move', 'item-1'], ['end', 'item-1']]);
+    });
+
+    it('keeps the pressed item until the pointer is released', () => {
+        const {events} = create(MouseController);
+        new InputDriver(items[0]).press(10, 10);
+        const dispatch = (type, buttons) => items[1].dispatchEvent(Object.assign(new Event(type, {bubbles: true}),
+            {clientX: 10, clientY: 30, pageX: 10, pageY: 30, buttons}));
+        dispatch('mousemove', 1);
+        dispatch('mouseup', 0);
+        new InputDriver(list).enter(10, 10);
+        assert.deepEqual(events, [['start', 'item-0'], ['move', 'item-0'], ['end', 'item-0'], ['enter', null]]);
+    });
+
+    it('handles items added later', () => {
+        const {events} = create(TouchController);
+        const item = addItem(2);
+        new InputDriver(item).touchStart([[10, 50]]).touchEnd();
+        assert.deepEqual(events, [['start', 'item-2'], ['end', 'item-2']]);
+    });
+
+    it('passes the selector on to the sub-controllers', () => {
+        const multi = new MultiController(list);
+        multi.createController(MouseController);
+        multi.setDelegate('li');
+        const [mouse] = multi.getControllers();
+        assert.equal(mouse.getDelegate(), 'li');
+        const targets = [];
+        multi.registerCallback('start', e => targets.push(e.delegateTarget));
+        multi.initialize();
+        new InputDriver(items[0]).press(10, 10).release(10, 10);
+        assert.deepEqual(targets, [items[0]]);
+
+        multi.setDelegate(null);
+        new InputDriver(list).press(10, 100).release(10, 100);
+        assert.deepEqual(targets, [items[0], null]);
+    });
+});
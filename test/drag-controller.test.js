@@ -0,0 +1,147 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, PointerController, DragController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('DragController', () => {
+    let win;
+    let parent;
+    let element;
+
+    beforeEach(() => {
+        win = setUpWindow({timers: true});
+        // Frame timestamps follow the fake clock
+        let now = 0;
+        win.requestAnimationFrame = callback => setTimeout(() => callback(now += 16), 16);
+        win.cancelAnimationFrame = id => clearTimeout(id);
+        parent = win.document.createElement('div', {left: 0, top: 0, width: 300, height: 200});
+        element = parent.appendChild(win.document.createElement('div', {left: 100, top: 100, width: 50, height: 50}));
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Runs animation frames one by one, the fake timers do not run the ones scheduled during a tick
+     */
+    function frames(count) {
+        for (let i = 0; i < count; i++) {
+            mock.timers.tick(16);
+        }
+    }
+
+    /**
+     * @brief Creates an initialized mouse driven drag controller recording its events as [type, deltaX, deltaY]
+     */
+    function create(options = {}) {
+        const drag = new DragController(element, undefined, Object.assign({controllers: [MouseController]}, options));
+        const events = [];
+        ['dragstart', 'drag', 'dragend'].forEach(type => drag.registerCallback(type, e => {
+            events.push([type, e.deltaX, e.deltaY]);
+        }));
+        drag.initialize();
+        return {drag, events};
+    }
+
+    it('composes a PointerController when pointer events are available', () => {
+        const drag = new DragController(element);
+        assert.ok(drag.getControllers()[0] instanceof PointerController);
+        assert.deepEqual(DragController.getDefaultControllers(), [PointerController]);
+    });
+
+    it('emits the accumulated delta', () => {
+        const {drag, events} = create();
+        const driver = new InputDriver(element).press(110, 110).move(115, 112);
+        assert.ok(drag.isDragging());
+        driver.move(130, 100).release(130, 100);
+        assert.deepEqual(events, [['dragstart', 0, 0], ['drag', 5, 2], ['drag', 20, -10], ['dragend', 20, -10]]);
+        assert.ok(!drag.isDragging());
+    });
+
+    it('waits for the threshold before starting', () => {
+        const {events} = create({threshold: 10});
+        new InputDriver(element).press(110, 110).move(115, 110).release(115, 110);
+        assert.deepEqual(events, []);
+        new InputDriver(element).press(110, 110).move(115, 110).move(125, 110).release(125, 110);
+        assert.deepEqual(events, [['dragstart', 0, 0], ['drag', 15, 0], ['dragend', 15, 0]]);
+    });
+
+    it('locks the axis and snaps to the grid', () => {
+        const {events} = create({axis: 'x', grid: 10});
+        new InputDriver(element).press(110, 110).move(124, 150).move(127, 90).release(127, 90);
+        assert.deepEqual(events.slice(1), [['drag', 10, 0], ['drag', 20, 0], ['dragend', 20, 0]]);
+    });
+
+    it('keeps the element inside of its parent or a rect', () => {
+        const {events} = create({bounds: 'parent'});
+        new InputDriver(element).press(110, 110).move(500, -100).release(500, -100);
+        assert.deepEqual(events.pop(), ['dragend', 150, -100]);
+
+        const bounded = create({bounds: {left: 90, top: 90, right: 170, bottom: 160}});
+        new InputDriver(element).press(110, 110).move(0, 200).release(0, 200);
+        assert.deepEqual(bounded.events.pop(), ['dragend', -10, 10]);
+    });
+
+    it('keeps dragging when the input callbacks are unregistered', () => {
+        const {drag, events} = create();
+        drag.unregisterCallback('start').unregisterCallback('move').unregisterCallback('end');
+        new InputDriver(element).press(110, 110).move(120, 110).release(120, 110);
+        assert.deepEqual(events, [['dragstart', 0, 0], ['drag', 10, 0], ['dragend', 10, 0]]);
+    });
+
+    it('ends the drag on cancel', () => {
+        const {drag, events} = create();
+        new InputDriver(element).press(110, 110).move(120, 110);
+        drag.cancelInteraction('custom');
+        assert.deepEqual(events.pop(), ['dragend', 10, 0]);
+        assert.ok(!drag.isDragging());
+    });
+
+    it('continues with decaying velocity after a fling', () => {
+        const {drag, events} = create({inertia: {friction: 0.5, minVelocity: 0.05}});
+        new InputDriver(element).press(110, 110).advance(16).move(126, 110).advance(16).move(142, 110)
+            .release(142, 110);
+        assert.deepEqual(events.map(([type]) => type), ['dragstart', 'drag', 'drag']);
+        assert.ok(drag.isDragging());
+
+        frames(20);
+        const inertia = events.slice(3);
+        assert.ok(inertia.length > 2);
+        assert.equal(inertia.pop()[0], 'dragend');
+        inertia.forEach(([type, deltaX], index) => {
+            assert.equal(type, 'drag');
+            assert.ok(deltaX > (index === 0 ? 32 : inertia[index - 1][1]));
+        });
+        assert.ok(!drag.isDragging());
+    });
+
+    it('stops the inertia when disabled', () => {
+        const {drag, events} = create({inertia: true});
+        new InputDriver(element).press(110, 110).advance(16).move(150, 110).advance(16).move(190, 110)
+            .release(190, 110);
+        frames(3);
+        drag.setEnabled(false);
+        assert.equal(events.pop()[0], 'dragend');
+        assert.ok(!drag.isDragging());
+
+        const count = events.length;
+        frames(60);
+        drag.setEnabled(true);
+        frames(60);
+        assert.equal(events.length, count);
+    });
+
+    it('stops the inertia on a new press', () => {
+        const {events} = create({inertia: true});
+        const driver = new InputDriver(element).press(110, 110).advance(16).move(150, 110).advance(16).move(190, 110)
+            .release(190, 110);
+        frames(3);
+        driver.press(50, 50);
+        const types = events.map(([type]) => type);
+        assert.equal(types.filter(type => type === 'dragend').length, 1);
+        const count = events.length;
+        frames(60);
+        assert.equal(events.length, count);
+    });
+});
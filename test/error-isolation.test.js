@@ -0,0 +1,113 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, MultiController} from '../controllers.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('Handler error isolation', () => {
+    let win;
+    let element;
+    let reported;
+
+    beforeEach(() => {
+        win = setUpWindow();
+        reported = [];
+        win.reportError = error => reported.push(error.message);
+        element = win.document.createElement('div');
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates a handler throwing an error with the given message
+     */
+    function failing(message) {
+        return () => {
+            throw new Error(message);
+        };
+    }
+
+    /**
+     * @brief Waits for the pending promise callbacks
+     */
+    function settle() {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+
+    it('keeps calling the handlers after a failing one', () => {
+        const ctrl = new MouseController(element);
+        const calls = [];
+        ctrl.registerCallback('custom', failing('first'));
+        ctrl.registerCallback('custom', () => calls.push('second'));
+        ctrl.initialize();
+        ctrl.trigger('custom');
+        assert.deepEqual(calls, ['second']);
+        assert.deepEqual(reported, ['first']);
+    });
+
+    it('routes the errors to the error handlers of the controller and its parents', async () => {
+        const multi = new MultiController(element);
+        multi.createController(MouseController);
+        const [mouse] = multi.getControllers();
+        const details = [];
+        multi.registerCallback('error', e => details.push([e.error.message, e.event, e.controller]));
+        const handler = failing('sync');
+        mouse.registerCallback('custom', handler);
+        mouse.registerCallback('custom', () => Promise.reject(new Error('async')));
+        multi.initialize();
+
+        mouse.trigger('custom');
+        await settle();
+        assert.deepEqual(details, [['sync', 'custom', mouse], ['async', 'custom', mouse]]);
+        assert.deepEqual(reported, []);
+    });
+
+    it('prefers the error hook and reports the errors of the error handlers', () => {
+        const ctrl = new MouseController(element);
+        const hooked = [];
+        ctrl.registerCallback('error', failing('error handler'));
+        ctrl.registerCallback('custom', failing('handler'));
+        ctrl.initialize();
+
+        ctrl.trigger('custom');
+        assert.deepEqual(reported, ['error handler']);
+
+        ctrl.setErrorHandler(e => hooked.push(e.error.message));
+        assert.equal(typeof ctrl.getErrorHandler(), 'function');
+        ctrl.trigger('custom');
+        assert.deepEqual(hooked, ['handler']);
+
+        ctrl.setErrorHandler(failing('hook'));
+        ctrl.trigger('custom');
+        assert.deepEqual(reported, ['error handler', 'hook']);
+    });
+
+    it('awaits the handlers in order or in parallel', async () => {
+        const ctrl = new MouseController(element);
+        const calls = [];
+        ctrl.registerCallback('custom', async () => {
+            calls.push('slow start');
+            await settle();
+            calls.push('slow end');
+            return 1;
+        });
+        ctrl.registerCallback('custom', () => {
+            calls.push('fast');
+            throw new Error('fast');
+        });
+        ctrl.initialize();
+
+        const results = await ctrl.triggerAsync('custom');
+        assert.deepEqual(calls, ['slow start', 'slow end', 'fast']);
+        assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+        assert.equal(results[0].value, 1);
+        assert.equal(results[1].reason.message, 'fast');
+
+        calls.length = 0;
+        await ctrl.triggerAsync('custom', [], {parallel: true});
+        assert.deepEqual(calls, ['slow start', 'fast', 'slow end']);
+
+        ctrl.setEnabled(false);
+        assert.deepEqual(await ctrl.triggerAsync('custom'), []);
+    });
+});
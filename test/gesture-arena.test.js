@@ -0,0 +1,142 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {TouchController} from '../controllers.js';
+import {
+    TapRecognizer,
+    DoubleTapRecognizer,
+    LongPressRecognizer,
+    MultiTouchRecognizer,
+    PanRecognizer,
+    GestureArena
+} from '../gestures.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('GestureArena', () => {
+    let element;
+    let touch;
+    let events;
+
+    beforeEach(() => {
+        const win = setUpWindow({window: {maxTouchPoints: 2}, timers: true});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 400, height: 400});
+        touch = new TouchController(element);
+        touch.initialize();
+        events = [];
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Records the given events of a recognizer, prefixed with its name
+     */
+    function watch(recognizer, name, ...types) {
+        types.concat('cancel').forEach(type => recognizer.registerCallback(type, () => events.push(`${name}:${type}`)));
+        return recognizer;
+    }
+
+    /**
+     * @brief Creates an initialized arena with the recognizers initialized
+     */
+    function arena(...recognizers) {
+        const result = new GestureArena(touch);
+        recognizers.forEach(recognizer => result.add(recognizer));
+        recognizers.concat(result).forEach(ctrl => ctrl.initialize());
+        return result;
+    }
+
+    describe('PanRecognizer', () => {
+        it('starts past the threshold and reports deltas and translation', () => {
+            const pan = new PanRecognizer(touch, {threshold: 10});
+            const details = [];
+            ['panstart', 'panmove', 'panend'].forEach(type => pan.registerCallback(type, e => {
+                details.push([type, e.deltaX, e.translationX]);
+            }));
+            pan.initialize();
+            new InputDriver(element).touchStart([[100, 100]]).touchMove([[105, 100]]).touchMove([[115, 100]])
+                .touchMove([[125, 100]]).touchEnd();
+            assert.deepEqual(details, [
+                ['panstart', 15, 15], ['panmove', 15, 15], ['panmove', 10, 25], ['panend', 0, 25]
+            ]);
+        });
+
+        it('follows the first pointer only', () => {
+            const pan = new PanRecognizer(touch);
+            const translations = [];
+            pan.registerCallback('panmove', e => translations.push(e.translationY));
+            pan.initialize();
+            new InputDriver(element).touchStart([[100, 100], [200, 100]]).touchMove([{id: 1, x: 200, y: 200}])
+                .touchMove([{id: 0, x: 100, y: 130}]).touchEnd();
+            assert.deepEqual(translations, [30]);
+        });
+    });
+
+    it('gives the input to the first claim and cancels the others', () => {
+        const tap = watch(new TapRecognizer(touch, {maxDuration: 1000}), 'tap', 'tap');
+        const longPress = watch(new LongPressRecognizer(touch, {duration: 300}), 'longpress', 'longpress');
+        arena(tap, longPress);
+        const driver = new InputDriver(element).touchStart([[100, 100]]);
+        mock.timers.tick(300);
+        driver.touchEnd();
+        assert.deepEqual(events, ['tap:cancel', 'longpress:longpress']);
+
+        events = [];
+        driver.touchStart([[100, 100]]).touchEnd();
+        mock.timers.tick(500);
+        assert.deepEqual(events, ['longpress:cancel', 'tap:tap']);
+    });
+
+    it('holds a recognizer back until the one it requires to fail fails', () => {
+        const tap = watch(new TapRecognizer(touch), 'tap', 'tap');
+        const doubleTap = watch(new DoubleTapRecognizer(touch, {interval: 200}), 'doubletap', 'doubletap');
+        arena(tap, doubleTap).requireFailure(tap, doubleTap);
+        const driver = new InputDriver(element).touchStart([[100, 100]]).touchEnd();
+        assert.deepEqual(events, []);
+        mock.timers.tick(200);
+        assert.deepEqual(events, ['tap:tap']);
+
+        events = [];
+        driver.touchStart([[100, 100]]).touchEnd().touchStart([[100, 100]]).touchEnd();
+        mock.timers.tick(500);
+        assert.deepEqual(events, ['tap:cancel', 'doubletap:doubletap']);
+    });
+
+    it('lets recognizers allowed together win together', () => {
+        const pinch = watch(new MultiTouchRecognizer(touch), 'pinch', 'pinchstart');
+        const pan = watch(new PanRecognizer(touch), 'pan', 'panstart');
+        arena(pinch, pan).allowSimultaneous(pinch, pan);
+        new InputDriver(element).touchStart([[100, 100], [200, 100]]).touchMove([[130, 100], [230, 100]]).touchEnd();
+        assert.deepEqual(events, ['pinch:pinchstart', 'pan:panstart']);
+
+        const exclusive = arena(watch(new MultiTouchRecognizer(touch), 'pinch2', 'pinchstart'),
+            watch(new PanRecognizer(touch), 'pan2', 'panstart'));
+        assert.equal(exclusive.getRecognizers().length, 2);
+        events = [];
+        new InputDriver(element).touchStart([[100, 100], [200, 100]]).touchMove([[130, 100], [230, 100]]).touchEnd();
+        assert.deepEqual(events.filter(event => event.includes('2:')),
+            ['pan2:cancel', 'pinch2:pinchstart']);
+    });
+
+    it('keeps arbitrating when the input callbacks are unregistered', () => {
+        const tap = watch(new TapRecognizer(touch, {maxDuration: 1000}), 'tap', 'tap');
+        const longPress = watch(new LongPressRecognizer(touch, {duration: 300}), 'longpress', 'longpress');
+        arena(tap, longPress);
+        touch.unregisterCallback('start').unregisterCallback('end').unregisterCallback('cancel');
+        const driver = new InputDriver(element).touchStart([[100, 100]]).touchEnd();
+        mock.timers.tick(500);
+        driver.touchStart([[100, 100]]);
+        mock.timers.tick(300);
+        driver.touchEnd();
+        assert.deepEqual(events, ['longpress:cancel', 'tap:tap', 'tap:cancel', 'longpress:longpress']);
+    });
+
+    it('rejects relationships with recognizers outside of the arena', () => {
+        const tap = new TapRecognizer(touch);
+        const result = arena(tap);
+        assert.throws(() => result.requireFailure(tap, new DoubleTapRecognizer(touch)));
+        assert.throws(() => result.allowSimultaneous(new PanRecognizer(touch), tap));
+        result.remove(tap);
+        assert.deepEqual(result.getRecognizers(), []);
+    });
+});
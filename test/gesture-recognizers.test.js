@@ -0,0 +1,129 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, TouchController} from '../controllers.js';
+import {TapRecognizer, DoubleTapRecognizer, LongPressRecognizer} from '../gestures.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('Gesture recognizers', () => {
+    let element;
+    let mouse;
+    let touch;
+
+    beforeEach(() => {
+        const win = setUpWindow({window: {maxTouchPoints: 2}, timers: true});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 200, height: 200});
+        mouse = new MouseController(element);
+        touch = new TouchController(element);
+        mouse.initialize();
+        touch.initialize();
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Initializes a recognizer and records its gesture events as [type, count]
+     */
+    function record(recognizer, ...types) {
+        const events = [];
+        types.forEach(type => recognizer.registerCallback(type, e => events.push([type, e.count])));
+        recognizer.initialize();
+        return events;
+    }
+
+    describe('TapRecognizer', () => {
+        it('recognizes a quick press with the mouse and with a touch', () => {
+            const events = record(new TapRecognizer(mouse), 'tap');
+            new InputDriver(element).press(10, 10).release(12, 11);
+            assert.deepEqual(events, [['tap', 1]]);
+
+            const touchEvents = record(new TapRecognizer(touch), 'tap');
+            new InputDriver(element).touchStart([[10, 10]]).touchEnd();
+            assert.deepEqual(touchEvents, [['tap', 1]]);
+        });
+
+        it('keeps recognizing when the input callbacks are unregistered', () => {
+            const events = record(new TapRecognizer(mouse), 'tap');
+            mouse.unregisterCallback('start').unregisterCallback('end');
+            new InputDriver(element).press(10, 10).release(10, 10);
+            assert.deepEqual(events, [['tap', 1]]);
+        });
+
+        it('fails when the press moves beyond the tolerance', () => {
+            const recognizer = new TapRecognizer(mouse, {tolerance: 5});
+            const events = record(recognizer, 'tap');
+            new InputDriver(element).press(10, 10).move(20, 10).release(20, 10);
+            assert.deepEqual(events, []);
+            assert.equal(recognizer.getState(), 'failed');
+        });
+
+        it('fails when the press is held longer than maxDuration', () => {
+            const events = record(new TapRecognizer(mouse, {maxDuration: 100}), 'tap');
+            const driver = new InputDriver(element).press(10, 10);
+            mock.timers.tick(150);
+            driver.release(10, 10);
+            assert.deepEqual(events, []);
+        });
+
+        it('counts the configured number of taps within the interval', () => {
+            const events = record(new TapRecognizer(mouse, {taps: 3, interval: 200}), 'tap');
+            const driver = new InputDriver(element);
+            driver.press(10, 10).release(10, 10);
+            mock.timers.tick(100);
+            driver.press(11, 10).release(11, 10);
+            mock.timers.tick(100);
+            driver.press(10, 11).release(10, 11);
+            assert.deepEqual(events, [['tap', 3]]);
+        });
+
+        it('starts over when the next tap comes too late', () => {
+            const recognizer = new DoubleTapRecognizer(mouse, {interval: 200});
+            const events = record(recognizer, 'doubletap');
+            const driver = new InputDriver(element);
+            driver.press(10, 10).release(10, 10);
+            mock.timers.tick(250);
+            assert.equal(recognizer.getState(), 'failed');
+            driver.press(10, 10).release(10, 10);
+            mock.timers.tick(50);
+            driver.press(10, 10).release(10, 10);
+            assert.deepEqual(events, [['doubletap', 2]]);
+        });
+    });
+
+    describe('LongPressRecognizer', () => {
+        it('recognizes a press held still while it is still down', () => {
+            const recognizer = new LongPressRecognizer(touch, {duration: 400});
+            const events = record(recognizer, 'longpress');
+            const driver = new InputDriver(element).touchStart([[50, 50]]);
+            mock.timers.tick(399);
+            assert.deepEqual(events, []);
+            mock.timers.tick(1);
+            assert.deepEqual(events, [['longpress', undefined]]);
+            assert.equal(recognizer.getState(), 'recognized');
+            driver.touchEnd();
+        });
+
+        it('fails when released early or moved beyond the tolerance', () => {
+            const events = record(new LongPressRecognizer(mouse, {duration: 400, tolerance: 5}), 'longpress');
+            const driver = new InputDriver(element);
+            driver.press(10, 10);
+            mock.timers.tick(200);
+            driver.release(10, 10);
+            mock.timers.tick(400);
+            driver.press(10, 10).move(10, 20);
+            mock.timers.tick(400);
+            driver.release(10, 20);
+            assert.deepEqual(events, []);
+        });
+
+        it('stops listening once disposed', () => {
+            const recognizer = new LongPressRecognizer(mouse, {duration: 100});
+            const events = record(recognizer, 'longpress');
+            recognizer.dispose();
+            new InputDriver(element).press(10, 10);
+            mock.timers.tick(200);
+            assert.deepEqual(events, []);
+        });
+    });
+});
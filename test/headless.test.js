@@ -0,0 +1,128 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Environment, MouseController, TouchController, KeyboardController} from '../controllers.js';
+import {HeadlessWindow, InputDriver} from '../headless.js';
+
+describe('Environment', () => {
+    afterEach(() => Environment.reset());
+
+    it('provides the injected window, document and navigator', () => {
+        const win = new HeadlessWindow({maxTouchPoints: 2});
+        Environment.configure({window: win});
+        assert.equal(Environment.getWindow(), win);
+        assert.equal(Environment.getDocument(), win.document);
+        assert.equal(Environment.getNavigator(), win.navigator);
+    });
+
+    it('injects the navigator capabilities alone', () => {
+        Environment.configure({navigator: {maxTouchPoints: 5}});
+        assert.equal(TouchController.isTouchSupported(), true);
+        assert.equal(TouchController.isMultiTouchSupported(), true);
+        Environment.reset();
+        Environment.configure({navigator: {maxTouchPoints: 0}});
+        assert.equal(TouchController.isTouchSupported(), false);
+    });
+
+    it('falls back to the globals after reset', () => {
+        Environment.configure({window: new HeadlessWindow()});
+        Environment.reset();
+        assert.equal(Environment.getWindow(), undefined);
+        assert.equal(Environment.getDocument(), undefined);
+    });
+});
+
+describe('Headless DOM', () => {
+    let win;
+    let doc;
+
+    beforeEach(() => {
+        win = new HeadlessWindow();
+        doc = win.document;
+    });
+
+    it('bubbles events from elements up to the window and keeps the target', () => {
+        const parent = doc.createElement('div');
+        const child = parent.appendChild(doc.createElement('span'));
+        const targets = [];
+        [parent, doc, win].forEach(node => node.addEventListener('ping', e => targets.push([node, e.target])));
+        child.dispatchEvent(new Event('ping', {bubbles: true}));
+        assert.deepEqual(targets, [[parent, child], [doc, child], [win, child]]);
+    });
+
+    it('matches simple selectors and finds the closest ancestor', () => {
+        const list = doc.createElement('ul');
+        list.setAttribute('class', 'list items');
+        const item = list.appendChild(doc.createElement('li'));
+        item.setAttribute('data-id', '7');
+        assert.ok(item.matches('li[data-id="7"]'));
+        assert.ok(!item.matches('li[data-id=8]'));
+        assert.equal(item.closest('ul.items'), list);
+        assert.equal(item.closest('#missing, .none'), null);
+        assert.throws(() => item.matches('li > a'), /Unsupported selector/);
+    });
+
+    it('dispatches lostpointercapture when a captured pointer is released', () => {
+        const element = doc.createElement('div');
+        const lost = [];
+        element.addEventListener('lostpointercapture', e => lost.push(e.pointerId));
+        element.setPointerCapture(3);
+        assert.ok(element.hasPointerCapture(3));
+        element.releasePointerCapture(3);
+        element.releasePointerCapture(3);
+        assert.deepEqual(lost, [3]);
+    });
+});
+
+describe('InputDriver', () => {
+    let win;
+    let element;
+
+    beforeEach(() => {
+        win = new HeadlessWindow({maxTouchPoints: 2});
+        Environment.configure({window: win});
+        element = win.document.createElement('div', {left: 10, top: 20, width: 100, height: 100});
+    });
+
+    afterEach(() => Environment.reset());
+
+    it('drives a MouseController through press, move and release', () => {
+        const ctrl = new MouseController(element);
+        const events = [];
+        ['start', 'move', 'end'].forEach(type => ctrl.registerCallback(type, e => {
+            events.push([type, e.getPointer().x, e.getPointer().y, e.timeStamp]);
+        }));
+        ctrl.initialize();
+
+        new InputDriver(element).press(20, 30).advance(16).move(40, 50).advance(16).release(40, 50);
+        assert.deepEqual(events, [['start', 10, 10, 0], ['move', 30, 30, 16], ['end', 30, 30, 32]]);
+    });
+
+    it('drives a TouchController with two fingers', () => {
+        const ctrl = new TouchController(element);
+        const events = [];
+        ['start', 'move', 'end'].forEach(type => ctrl.registerCallback(type, e => {
+            events.push([type, e.pointers.length, e.changedPointers.map(pointer => pointer.id)]);
+        }));
+        ctrl.initialize();
+
+        new InputDriver(element).touchStart([[20, 20], [60, 60]]).touchMove([[25, 25], [65, 65]]).touchEnd([0]).touchEnd();
+        assert.deepEqual(events, [
+            ['start', 2, [0, 1]],
+            ['move', 2, [0, 1]],
+            ['end', 1, [0]],
+            ['end', 0, [1]]
+        ]);
+    });
+
+    it('types keys on the focused element', () => {
+        const ctrl = new KeyboardController(element);
+        const keys = [];
+        ctrl.registerCallback('keydown', e => keys.push(e.key));
+        ctrl.initialize();
+        element.focus();
+
+        new InputDriver(element).keyDown('a').keyUp('a').keyDown('Enter', {code: 'Enter'});
+        assert.deepEqual(keys, ['a', 'Enter']);
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * @file helpers.js
+ * @brief Setup shared by the controller tests
+ *
+ * @details
+ * Test files call setUpWindow() and tearDownWindow() from their hooks and
+ * keep their own fixtures, such as elements and controllers, next to them:
+ * @code
+ * beforeEach(() => {
+ *     win = setUpWindow({timers: true});
+ *     element = win.document.createElement('div', {left: 0, top: 0, width: 200, height: 200});
+ * });
+ *
+ * afterEach(tearDownWindow);
+ * @endcode
+ */
+
+import {mock} from 'node:test';
+
+import {Environment} from '../controllers.js';
+import {HeadlessWindow} from '../headless.js';
+
+/**
+ * @brief Creates a headless window and makes the controllers use it
+ * @param {Object} [options={}] - Setup options
+ * @param {Object} [options.window={}] - HeadlessWindow options, e.g. {maxTouchPoints: 2}
+ * @param {boolean} [options.timers=false] - Whether to mock setTimeout until tearDownWindow()
+ * @return {HeadlessWindow} The configured window
+ */
+function setUpWindow({window: windowOptions = {}, timers = false} = {}) {
+    if (timers) {
+        mock.timers.enable({apis: ['setTimeout']});
+    }
+    const win = new HeadlessWindow(windowOptions);
+    Environment.configure({window: win});
+    return win;
+}
+
+/**
+ * @brief Restores the timers and the environment changed by setUpWindow()
+ */
+function tearDownWindow() {
+    mock.timers.reset();
+    Environment.reset();
+}
+
+/**
+ * @brief Records the events of a controller and initializes it
+ * @param {AbstractController} ctrl - Controller to record
+ * @param {string[]} types - Events to record
+ * @param {function(string, ...*): *} [format] - Turns an event name and the callback arguments
+ *        into the recorded entry, defaults to the event name
+ * @return {{ctrl: AbstractController, events: Array}} The controller and its recorded events
+ */
+function recordEvents(ctrl, types, format = type => type) {
+    const events = [];
+    types.forEach(type => ctrl.registerCallback(type, (...args) => events.push(format(type, ...args))));
+    ctrl.initialize();
+    return {ctrl, events};
+}
+
+export {setUpWindow, tearDownWindow, recordEvents};
@@ -0,0 +1,95 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {HoverIntentController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('HoverIntentController', () => {
+    let element;
+
+    beforeEach(() => {
+        const win = setUpWindow({timers: true});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 200, height: 200});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates an initialized hover intent controller recording its hover events
+     */
+    function create(options = {delay: 100, sensitivity: 7, graceTimeout: 300}) {
+        return recordEvents(new HoverIntentController(element, undefined, options), ['hoverstart', 'hoverend']);
+    }
+
+    it('starts hovering once the cursor slows down over the element', () => {
+        const {ctrl, events} = create();
+        const driver = new InputDriver(element).enter(10, 10).move(30, 10);
+        mock.timers.tick(100);
+        assert.deepEqual(events, []);
+        driver.move(33, 12);
+        mock.timers.tick(100);
+        assert.deepEqual(events, ['hoverstart']);
+        assert.ok(ctrl.isHovering());
+    });
+
+    it('does not hover when passing over', () => {
+        const {events} = create();
+        new InputDriver(element).enter(10, 10).move(100, 10).leave(250, 10);
+        mock.timers.tick(1000);
+        assert.deepEqual(events, []);
+    });
+
+    it('ends the hover after the grace timeout unless the cursor comes back', () => {
+        const {ctrl, events} = create();
+        const driver = new InputDriver(element).enter(10, 10);
+        mock.timers.tick(100);
+        driver.leave(-10, 10);
+        mock.timers.tick(200);
+        driver.enter(10, 10);
+        mock.timers.tick(1000);
+        assert.deepEqual(events, ['hoverstart']);
+
+        driver.leave(-10, 10);
+        mock.timers.tick(300);
+        assert.deepEqual(events, ['hoverstart', 'hoverend']);
+        assert.ok(!ctrl.isHovering());
+    });
+
+    it('ends the hover and stops watching the cursor while disabled', () => {
+        const {ctrl, events} = create();
+        const driver = new InputDriver(element).enter(10, 10);
+        mock.timers.tick(100);
+        ctrl.setEnabled(false);
+        assert.deepEqual(events, ['hoverstart', 'hoverend']);
+        assert.ok(!ctrl.isHovering());
+
+        driver.leave(-10, 10).enter(10, 10);
+        mock.timers.tick(1000);
+        ctrl.setEnabled(true);
+        mock.timers.tick(1000);
+        assert.equal(events.length, 2);
+
+        driver.leave(-10, 10).enter(10, 10);
+        mock.timers.tick(100);
+        assert.deepEqual(events, ['hoverstart', 'hoverend', 'hoverstart']);
+    });
+
+    it('drops the pending speed check when disabled', () => {
+        const {ctrl, events} = create();
+        new InputDriver(element).enter(10, 10);
+        ctrl.setEnabled(false);
+        ctrl.setEnabled(true);
+        mock.timers.tick(1000);
+        assert.deepEqual(events, []);
+    });
+
+    it('forgets the hover once disposed', () => {
+        const {ctrl, events} = create();
+        new InputDriver(element).enter(10, 10);
+        ctrl.dispose();
+        mock.timers.tick(1000);
+        assert.deepEqual(events, []);
+        assert.ok(!ctrl.isHovering());
+    });
+});
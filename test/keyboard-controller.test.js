@@ -0,0 +1,171 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {Environment, KeyboardController, MouseController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('KeyboardController', () => {
+    let win;
+    let element;
+
+    beforeEach(() => {
+        win = setUpWindow({timers: true});
+        element = win.document.createElement('div');
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates an initialized keyboard controller recording the given events
+     */
+    function create(options, ...types) {
+        return recordEvents(new KeyboardController(element, undefined, options), types,
+            (type, e) => (type === 'keydown' || type === 'keyup' ? `${type}:${e.key}` : type));
+    }
+
+    it('emits keydown and keyup', () => {
+        const {events} = create({}, 'keydown', 'keyup');
+        new InputDriver(element).keyDown('a').keyUp('a');
+        assert.deepEqual(events, ['keydown:a', 'keyup:a']);
+    });
+
+    it('parses combinations into a canonical form', () => {
+        assert.equal(KeyboardController.parseCombo('Shift+Ctrl+Z', false), 'ctrl+shift+z');
+        assert.equal(KeyboardController.parseCombo('Mod+S', true), 'meta+s');
+        assert.equal(KeyboardController.parseCombo('CmdOrCtrl+S', false), 'ctrl+s');
+        assert.equal(KeyboardController.parseCombo('Option+Esc', false), 'alt+escape');
+        assert.throws(() => KeyboardController.parseCombo('Ctrl+Shift'), /has no key/);
+    });
+
+    it('triggers the bound events with modifiers normalized per platform', () => {
+        const {events} = create({bindings: {'Mod+Z': 'undo', 'Mod+Shift+Z': 'redo'}}, 'undo', 'redo');
+        new InputDriver(element).keyDown('z', {ctrlKey: true}).keyDown('Z', {ctrlKey: true, shiftKey: true});
+        assert.deepEqual(events, ['undo', 'redo']);
+
+        Environment.configure({navigator: {platform: 'MacIntel'}});
+        const apple = create({bindings: {'Mod+Z': 'undo'}}, 'undo');
+        new InputDriver(element).keyDown('z', {ctrlKey: true}).keyDown('z', {metaKey: true});
+        assert.deepEqual(apple.events, ['undo']);
+    });
+
+    it('implies the Shift of typed symbols and of lone uppercase letters', () => {
+        assert.equal(KeyboardController.parseCombo('G'), 'shift+g');
+        assert.equal(KeyboardController.parseCombo('Ctrl+G', false), 'ctrl+g');
+        assert.equal(KeyboardController.parseCombo('?'), '?');
+        assert.equal(KeyboardController.parseCombo('Ctrl++', false), 'ctrl++');
+        assert.equal(KeyboardController.parseCombo('+'), '+');
+
+        const {events} = create({bindings: {'?': 'help', 'G': 'gotoBottom', '!': 'bang', 'Ctrl++': 'zoomIn'}},
+            'help', 'gotoBottom', 'bang', 'zoomIn');
+        new InputDriver(element)
+            .keyDown('?', {code: 'Slash', shiftKey: true})
+            .keyDown('g', {code: 'KeyG'})
+            .keyDown('G', {code: 'KeyG', shiftKey: true})
+            .keyDown('+', {code: 'Equal', ctrlKey: true, shiftKey: true})
+            .keyDown('!', {code: 'Digit1', shiftKey: true});
+        assert.deepEqual(events, ['help', 'gotoBottom', 'zoomIn', 'bang']);
+
+        const digit = create({bindings: {'Shift+1': 'first'}}, 'first');
+        new InputDriver(element).keyDown('1', {code: 'Digit1'}).keyDown('!', {code: 'Digit1', shiftKey: true});
+        assert.deepEqual(digit.events, ['first']);
+    });
+
+    it('matches the layout independent code', () => {
+        const {events} = create({bindings: {'Ctrl+Z': 'undo'}}, 'undo');
+        new InputDriver(element).keyDown('я', {code: 'KeyZ', ctrlKey: true});
+        assert.deepEqual(events, ['undo']);
+    });
+
+    it('triggers sequences typed within the timeout', () => {
+        const {events} = create({bindings: {'g h': 'gotoHome'}, sequenceTimeout: 500}, 'gotoHome');
+        const driver = new InputDriver(element);
+        driver.keyDown('g');
+        mock.timers.tick(400);
+        driver.keyDown('h');
+        assert.deepEqual(events, ['gotoHome']);
+
+        driver.keyDown('g');
+        mock.timers.tick(600);
+        driver.keyDown('h');
+        assert.deepEqual(events, ['gotoHome']);
+
+        driver.keyDown('x').keyDown('g').keyDown('h');
+        assert.deepEqual(events, ['gotoHome', 'gotoHome']);
+    });
+
+    it('waits for the longer binding when a binding begins another one', () => {
+        const {events} = create({bindings: {'g': 'grid', 'g g': 'gotoTop', 'x': 'close'}, sequenceTimeout: 500},
+            'grid', 'gotoTop', 'close');
+        const driver = new InputDriver(element);
+        driver.keyDown('g').keyDown('g');
+        assert.deepEqual(events, ['gotoTop']);
+
+        driver.keyDown('g');
+        assert.deepEqual(events, ['gotoTop']);
+        mock.timers.tick(500);
+        assert.deepEqual(events, ['gotoTop', 'grid']);
+
+        driver.keyDown('g').keyDown('x');
+        assert.deepEqual(events, ['gotoTop', 'grid', 'grid', 'close']);
+        mock.timers.tick(500);
+        assert.equal(events.length, 4);
+    });
+
+    it('ignores keys and forgets the typed sequence while disabled', () => {
+        const {ctrl, events} = create({bindings: {'g h': 'gotoHome', 'g': 'grid'}, sequenceTimeout: 500},
+            'keydown', 'gotoHome', 'grid');
+        const prevented = [];
+        element.ownerDocument.addEventListener('keydown', e => prevented.push(e.defaultPrevented));
+        const driver = new InputDriver(element).keyDown('g');
+        ctrl.setEnabled(false);
+        mock.timers.tick(500);
+        driver.keyDown('g').keyDown('h');
+        ctrl.setEnabled(true);
+        driver.keyDown('h');
+        assert.deepEqual(events, ['keydown:g', 'keydown:h']);
+        assert.deepEqual(prevented, [true, false, false, false]);
+    });
+
+    it('prevents the default action of keys completing a binding', () => {
+        const {ctrl} = create({bindings: {'Ctrl+S': 'save'}});
+        const prevented = [];
+        element.ownerDocument.addEventListener('keydown', e => prevented.push(e.defaultPrevented));
+        new InputDriver(element).keyDown('s', {ctrlKey: true}).keyDown('a');
+        assert.deepEqual(prevented, [true, false]);
+        assert.deepEqual(ctrl.getBindings(), {'Ctrl+S': 'save'});
+        assert.deepEqual(ctrl.unbind('Ctrl+S').getBindings(), {});
+    });
+
+    it('ignores editable targets', () => {
+        const {events} = create({bindings: {'a': 'action'}}, 'keydown', 'action');
+        const input = element.appendChild(win.document.createElement('input'));
+        new InputDriver(input).keyDown('a');
+        assert.deepEqual(events, []);
+        new InputDriver(element).keyDown('a');
+        assert.deepEqual(events, ['keydown:a', 'action']);
+    });
+
+    it('listens on the element or on the whole document', () => {
+        const other = win.document.createElement('div');
+        const focused = create({}, 'keydown');
+        const global = new KeyboardController(element, undefined, {scope: 'document'});
+        const globalEvents = [];
+        global.registerCallback('keydown', e => globalEvents.push(e.key));
+        global.initialize();
+
+        new InputDriver(other).keyDown('b');
+        assert.deepEqual(focused.events, []);
+        assert.deepEqual(globalEvents, ['b']);
+    });
+
+    it('plugs into a MultiController', () => {
+        const multi = new MultiController(element);
+        multi.createController(MouseController).createController(KeyboardController, {bindings: {'Delete': 'remove'}});
+        const events = [];
+        multi.registerCallback('remove', e => events.push(e.shortcut));
+        multi.initialize();
+        new InputDriver(element).keyDown('Delete');
+        assert.deepEqual(events, ['Delete']);
+    });
+});
@@ -0,0 +1,101 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {KeyboardPointerController, MouseController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('KeyboardPointerController', () => {
+    let win;
+    let element;
+
+    beforeEach(() => {
+        win = setUpWindow();
+        element = win.document.createElement('div', {left: 100, top: 100, width: 40, height: 20});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates an initialized controller recording its events as [event, x, y, buttons]
+     */
+    function create(options) {
+        const ctrl = new KeyboardPointerController(element, undefined, options);
+        return recordEvents(ctrl, ['start', 'move', 'end', 'cancel'], (event, e) => {
+            const pointer = e.changedPointers[0];
+            return [event, pointer.clientX, pointer.clientY, e.buttons];
+        });
+    }
+
+    /**
+     * @brief Dispatches a focusout event on the element
+     */
+    function focusOut(relatedTarget) {
+        element.dispatchEvent(Object.assign(new Event('focusout', {bubbles: true}), {relatedTarget}));
+    }
+
+    it('picks up at the center, moves by steps and drops', () => {
+        const {ctrl, events} = create({step: 5, largeStep: 25});
+        new InputDriver(element).keyDown(' ').keyDown('ArrowRight').keyDown('ArrowDown', {shiftKey: true})
+            .keyDown('ArrowLeft').keyDown('ArrowUp').keyDown('Enter');
+        assert.deepEqual(events, [
+            ['start', 120, 110, 1], ['move', 125, 110, 1], ['move', 125, 135, 1],
+            ['move', 120, 135, 1], ['move', 120, 130, 1], ['end', 120, 130, 0]
+        ]);
+        assert.ok(!ctrl.isActive());
+    });
+
+    it('prevents the default action of the keys it handles only', () => {
+        create();
+        const prevented = [];
+        element.ownerDocument.addEventListener('keydown', e => prevented.push([e.key, e.defaultPrevented]));
+        new InputDriver(element).keyDown('ArrowLeft').keyDown(' ').keyDown(' ', {repeat: true}).keyDown('ArrowLeft')
+            .keyDown('Tab').keyDown('s', {ctrlKey: true}).keyDown('Escape');
+        assert.deepEqual(prevented, [['ArrowLeft', false], [' ', true], [' ', true], ['ArrowLeft', true],
+            ['Tab', false], ['s', false], ['Escape', true]]);
+    });
+
+    it('cancels on Escape and when the focus leaves the element', () => {
+        const {events} = create();
+        const driver = new InputDriver(element).keyDown('Enter').keyDown('Escape');
+        assert.deepEqual(events.map(([event]) => event), ['start', 'cancel']);
+
+        const child = element.appendChild(win.document.createElement('button'));
+        driver.keyDown('Enter');
+        focusOut(child);
+        assert.equal(events.length, 3);
+        focusOut(null);
+        assert.deepEqual(events.map(([event]) => event), ['start', 'cancel', 'start', 'cancel']);
+    });
+
+    it('ignores the keys while disabled', () => {
+        const {ctrl, events} = create();
+        const prevented = [];
+        element.ownerDocument.addEventListener('keydown', e => prevented.push(e.defaultPrevented));
+        const driver = new InputDriver(element).keyDown(' ');
+        ctrl.setEnabled(false);
+        driver.keyDown(' ').keyDown('Enter');
+        ctrl.setEnabled(true);
+        driver.keyDown('ArrowRight');
+        assert.deepEqual(events.map(([event]) => event), ['start', 'cancel']);
+        assert.deepEqual(prevented, [true, false, false, false]);
+    });
+
+    it('ignores editable targets', () => {
+        const {events} = create();
+        const input = element.appendChild(win.document.createElement('input'));
+        new InputDriver(input).keyDown(' ');
+        assert.deepEqual(events, []);
+    });
+
+    it('plugs into a MultiController next to the mouse', () => {
+        const multi = new MultiController(element);
+        multi.createController(MouseController).createController(KeyboardPointerController);
+        const sources = [];
+        multi.registerCallback('start', e => sources.push(e.getPointer().pointerType));
+        multi.initialize();
+        new InputDriver(element).press(110, 110).release(110, 110).keyDown(' ').keyDown(' ');
+        assert.deepEqual(sources, ['mouse', 'keyboard']);
+        assert.equal(multi.getActiveInput(), 'keyboard');
+    });
+});
@@ -0,0 +1,108 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, TouchController} from '../controllers.js';
+import {KinematicsTracker} from '../kinematics.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('KinematicsTracker', () => {
+    let element;
+
+    beforeEach(() => {
+        const win = setUpWindow({window: {maxTouchPoints: 2}});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 500, height: 500});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates an initialized, tracked controller recording its move, end and swipe events
+     */
+    function create(controllerClass, options) {
+        const ctrl = new controllerClass(element);
+        const tracker = new KinematicsTracker(ctrl, options).start();
+        const events = [];
+        ['move', 'end', 'swipe'].forEach(event => ctrl.registerCallback(event, e => events.push([event, e])));
+        ctrl.initialize();
+        return {ctrl, tracker, events};
+    }
+
+    /**
+     * @brief Gets the kinematics of the last recorded event of a type
+     */
+    function last(events, type) {
+        return events.filter(([event]) => event === type).pop()[1].kinematics;
+    }
+
+    it('gets the dominant direction of a vector', () => {
+        assert.equal(KinematicsTracker.getDirection(3, -1), 'right');
+        assert.equal(KinematicsTracker.getDirection(-3, 1), 'left');
+        assert.equal(KinematicsTracker.getDirection(1, -3), 'up');
+        assert.equal(KinematicsTracker.getDirection(0, 2), 'down');
+        assert.equal(KinematicsTracker.getDirection(0, 0), null);
+    });
+
+    it('attaches velocity, distance and displacement to the moves', () => {
+        const {events} = create(MouseController);
+        new InputDriver(element).press(0, 0).advance(10).move(10, 0).advance(10).move(10, 20);
+        const kinematics = last(events, 'move');
+        assert.deepEqual([kinematics.velocityX, kinematics.velocityY, kinematics.speed], [0, 2, 2]);
+        assert.deepEqual([kinematics.smoothedVelocityX, kinematics.smoothedVelocityY], [0.5, 1]);
+        assert.equal(kinematics.direction, 'down');
+        assert.equal(kinematics.distance, 30);
+        assert.deepEqual([kinematics.displacementX, kinematics.displacementY, kinematics.duration], [10, 20, 20]);
+    });
+
+    it('keeps tracking when the callbacks are unregistered', () => {
+        const {ctrl} = create(MouseController);
+        ctrl.unregisterCallback('start').unregisterCallback('move');
+        const speeds = [];
+        ctrl.registerCallback('move', e => speeds.push(e.kinematics.speed));
+        new InputDriver(element).press(0, 0).advance(10).move(10, 0);
+        assert.deepEqual(speeds, [1]);
+    });
+
+    it('smooths the velocity over the sample window', () => {
+        const {events} = create(MouseController, {sampleWindow: 20});
+        const driver = new InputDriver(element).press(0, 0);
+        [10, 20, 30, 60].forEach(x => driver.advance(10).move(x, 0));
+        const kinematics = last(events, 'move');
+        assert.equal(kinematics.velocityX, 3);
+        assert.equal(kinematics.smoothedVelocityX, 2);
+        assert.ok(kinematics.accelerationX > 0);
+    });
+
+    it('triggers a swipe after the end handlers of a fast and far release', () => {
+        const {events} = create(TouchController, {minVelocity: 0.5, minDistance: 40});
+        new InputDriver(element).touchStart([[100, 100]]).advance(10).touchMove([[80, 100]]).advance(10)
+            .touchMove([[50, 100]]).touchEnd();
+        assert.deepEqual(events.map(([event]) => event), ['move', 'move', 'end', 'swipe']);
+        const swipe = events[3][1];
+        assert.equal(swipe.direction, 'left');
+        assert.equal(swipe.velocityX, -2.5);
+        assert.equal(swipe.distance, 50);
+    });
+
+    it('does not swipe slow or short releases', () => {
+        const {events} = create(MouseController, {minVelocity: 0.5, minDistance: 40});
+        new InputDriver(element).press(0, 0).advance(200).move(50, 0).release(50, 0);
+        new InputDriver(element).press(0, 0).advance(10).move(30, 0).release(30, 0);
+        assert.deepEqual(events.filter(([event]) => event === 'swipe'), []);
+    });
+
+    it('tracks each pointer and forgets it on release or once stopped', () => {
+        const {tracker} = create(TouchController);
+        const driver = new InputDriver(element).touchStart([[0, 0], [100, 0]]).advance(10)
+            .touchMove([{id: 1, x: 100, y: 50}]);
+        assert.equal(tracker.getKinematics(1).velocityY, 5);
+        assert.equal(tracker.getKinematics(0).distance, 0);
+        driver.touchEnd([1]);
+        assert.equal(tracker.getKinematics(1), null);
+
+        assert.throws(() => tracker.start(), /already tracking/);
+        tracker.stop();
+        assert.ok(!tracker.isTracking());
+        assert.equal(tracker.getKinematics(0), null);
+    });
+});
@@ -0,0 +1,108 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {ControllerState, MouseController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('Controller lifecycle', () => {
+    let element;
+
+    beforeEach(() => {
+        const win = setUpWindow();
+        element = win.document.createElement('div', {left: 0, top: 0, width: 100, height: 100});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Records the lifecycle events of a controller as [state, previousState]
+     */
+    function watch(ctrl) {
+        const events = [];
+        Object.values(ControllerState).forEach(state => ctrl.registerCallback(state, e => {
+            events.push([e.state, e.previousState]);
+        }));
+        return events;
+    }
+
+    it('moves through the states and emits the lifecycle events', () => {
+        const ctrl = new MouseController(element);
+        const events = watch(ctrl);
+        assert.equal(ctrl.getLifecycleState(), ControllerState.CREATED);
+        ctrl.initialize();
+        ctrl.setEnabled(false);
+        assert.equal(ctrl.getLifecycleState(), ControllerState.DISABLED);
+        ctrl.setEnabled(true);
+        ctrl.dispose();
+        assert.deepEqual(events, [
+            ['initialized', 'created'], ['enabled', 'initialized'], ['disabled', 'enabled'],
+            ['enabled', 'disabled'], ['disabled', 'enabled'], ['disposed', 'disabled']
+        ]);
+        assert.equal(ctrl.isInitialized(), false);
+    });
+
+    it('makes the transitions idempotent', () => {
+        const ctrl = new MouseController(element);
+        const events = watch(ctrl);
+        const starts = [];
+        ctrl.registerCallback('start', () => starts.push('start'));
+        ctrl.initialize();
+        ctrl.initialize();
+        ctrl.setEnabled(true);
+        new InputDriver(element).press(10, 10).release(10, 10);
+        assert.deepEqual(starts, ['start']);
+
+        ctrl.dispose();
+        ctrl.dispose();
+        assert.equal(events.filter(([state]) => state === 'disposed').length, 1);
+        assert.equal(events.filter(([state]) => state === 'initialized').length, 1);
+    });
+
+    it('throws on invalid transitions', () => {
+        const ctrl = new MouseController(element);
+        assert.throws(() => ctrl.setEnabled(true), /Cannot enable controller in state 'created'/);
+        assert.doesNotThrow(() => ctrl.setEnabled(false));
+        ctrl.dispose();
+        assert.equal(ctrl.getLifecycleState(), ControllerState.DISPOSED);
+        assert.throws(() => ctrl.initialize(), /Cannot initialize a disposed controller/);
+        assert.throws(() => ctrl.setEnabled(true), /state 'disposed'/);
+    });
+
+    it('stops listening once disposed', () => {
+        const ctrl = new MouseController(element);
+        const starts = [];
+        ctrl.registerCallback('start', () => starts.push('start'));
+        ctrl.initialize();
+        ctrl.dispose();
+        new InputDriver(element).press(10, 10).release(10, 10);
+        assert.deepEqual(starts, []);
+    });
+
+    it('initializes its sub-controllers once', () => {
+        const multi = new MultiController(element);
+        const mouse = new MouseController(element);
+        const events = watch(mouse);
+        multi.addController(mouse);
+        multi.initialize();
+        multi.initialize();
+        multi.setEnabled(false);
+        assert.equal(mouse.getLifecycleState(), ControllerState.DISABLED);
+
+        const late = new MouseController(element);
+        multi.addController(late);
+        assert.equal(late.getLifecycleState(), ControllerState.DISABLED);
+
+        multi.dispose();
+        assert.deepEqual(events.map(([state]) => state), ['initialized', 'enabled', 'disabled', 'disposed']);
+        assert.equal(late.getLifecycleState(), ControllerState.DISPOSED);
+    });
+
+    it('does not bubble the lifecycle events', () => {
+        const multi = new MultiController(element);
+        const states = [];
+        multi.registerCallback('initialized', e => states.push(e.controller));
+        multi.createController(MouseController).initialize();
+        assert.deepEqual(states, [multi]);
+    });
+});
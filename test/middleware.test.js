@@ -0,0 +1,193 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {KeyboardController, MouseController, MultiController, WheelController} from '../controllers.js';
+import {filterButtons, filterModifiers, deadZone, smooth} from '../middleware.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('Middleware', () => {
+    let win;
+    let element;
+
+    beforeEach(() => {
+        win = setUpWindow({timers: true});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 200, height: 200});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Initializes a controller and records its pointer events as [type, clientX]
+     */
+    function record(ctrl) {
+        return recordEvents(ctrl, ['start', 'move', 'end', 'cancel'], (type, e) => [type, e.getPointer().clientX]);
+    }
+
+    /**
+     * @brief Creates an initialized mouse controller with the middleware
+     */
+    function create(...middleware) {
+        const ctrl = new MouseController(element);
+        middleware.forEach(fn => ctrl.use(fn));
+        return record(ctrl);
+    }
+
+    it('transforms, drops, delays and splits events', () => {
+        const {events} = create((event, e, next) => {
+            if (event === 'move') {
+                if (e.getPointer().clientX === 20) {
+                    return;
+                }
+                e.getPointer().clientX *= 10;
+                next();
+                next();
+            } else if (event === 'end') {
+                setTimeout(next, 100);
+            } else {
+                next();
+            }
+        });
+        new InputDriver(element).press(10, 10).move(20, 10).move(30, 10).release(30, 10);
+        assert.deepEqual(events, [['start', 10], ['move', 300], ['move', 300]]);
+        mock.timers.tick(100);
+        assert.deepEqual(events.slice(3), [['end', 30]]);
+    });
+
+    it('renames events and passes the emitting controller', () => {
+        const controllers = [];
+        const {ctrl, events} = create((event, e, next, emitter) => {
+            controllers.push(emitter);
+            next(event === 'start' ? 'move' : event);
+        });
+        new InputDriver(element).press(10, 10);
+        assert.deepEqual(events, [['move', 10]]);
+        assert.deepEqual(controllers, [ctrl]);
+    });
+
+    it('adds and removes middleware at runtime', () => {
+        const dropMoves = (event, e, next) => {
+            if (event !== 'move') {
+                next();
+            }
+        };
+        const {ctrl, events} = create();
+        assert.throws(() => ctrl.use('dropMoves'), /Middleware must be a function/);
+        const driver = new InputDriver(element).press(10, 10);
+        ctrl.use(dropMoves);
+        assert.deepEqual(ctrl.getMiddleware(), [dropMoves]);
+        driver.move(20, 10);
+        ctrl.removeMiddleware(dropMoves);
+        driver.move(30, 10).release(30, 10);
+        assert.deepEqual(events, [['start', 10], ['move', 30], ['end', 30]]);
+    });
+
+    it('reports middleware errors and drops the event', () => {
+        const errors = [];
+        const {ctrl, events} = create((event, e, next) => {
+            if (event === 'start') {
+                throw new Error('broken');
+            }
+            next();
+        });
+        ctrl.registerCallback('error', e => errors.push([e.event, e.error.message]));
+        new InputDriver(element).press(10, 10).release(10, 10);
+        assert.deepEqual(events, [['end', 10]]);
+        assert.deepEqual(errors, [['start', 'broken']]);
+    });
+
+    it('runs the middleware of the parents after the ones of the sub-controller', () => {
+        const calls = [];
+        const multi = new MultiController(element);
+        multi.createController(MouseController);
+        multi.use((event, e, next) => {
+            calls.push(`multi:${event}`);
+            next();
+        });
+        multi.getControllers()[0].use((event, e, next) => {
+            calls.push(`mouse:${event}`);
+            next();
+        });
+        const {events} = record(multi);
+        new InputDriver(element).press(10, 10);
+        assert.deepEqual(calls, ['mouse:start', 'multi:start']);
+        assert.deepEqual(events, [['start', 10]]);
+    });
+
+    it('passes the shortcut events with their shortcut', () => {
+        const ctrl = new KeyboardController(element, undefined, {bindings: {'Ctrl+S': 'save', 'Ctrl+O': 'open'}});
+        const shortcuts = [];
+        ctrl.use((event, e, next) => {
+            if (e.shortcut) {
+                shortcuts.push([event, e.shortcut]);
+            }
+            if (event !== 'open') {
+                next();
+            }
+        });
+        const saved = [];
+        ['save', 'open'].forEach(type => ctrl.registerCallback(type, () => saved.push(type)));
+        ctrl.initialize();
+        new InputDriver(element).keyDown('s', {ctrlKey: true}).keyDown('o', {ctrlKey: true});
+        assert.deepEqual(shortcuts, [['save', 'Ctrl+S'], ['open', 'Ctrl+O']]);
+        assert.deepEqual(saved, ['save']);
+    });
+
+    it('passes the wheel and zoom events', () => {
+        const ctrl = new WheelController(element);
+        ctrl.use((event, e, next) => {
+            if (event !== 'wheel') {
+                next();
+            }
+        });
+        const events = [];
+        ['wheelstart', 'wheel', 'zoom'].forEach(type => ctrl.registerCallback(type, e => events.push([type, e.scale])));
+        ctrl.initialize();
+        new InputDriver(element).wheel(0, 0, {deltaY: 1}).wheel(0, 0, {deltaY: 0, ctrlKey: true});
+        assert.deepEqual(events, [['wheelstart', undefined], ['zoom', 1]]);
+    });
+
+    it('passes the synthesized cancellations', () => {
+        const seen = [];
+        const {events} = create((event, e, next) => {
+            seen.push([event, e.reason]);
+            if (event !== 'cancel') {
+                next();
+            }
+        });
+        new InputDriver(element).press(10, 10);
+        win.blur();
+        assert.deepEqual(seen, [['start', undefined], ['cancel', 'blur']]);
+        assert.deepEqual(events, [['start', 10]]);
+    });
+
+    describe('built-ins', () => {
+        it('keeps the interactions started with the given buttons', () => {
+            const {events} = create(filterButtons([0]));
+            new InputDriver(element).press(10, 10, {button: 2}).move(20, 10).release(20, 10, {button: 2})
+                .press(30, 10).release(30, 10);
+            assert.deepEqual(events, [['start', 30], ['end', 30]]);
+        });
+
+        it('keeps the interactions started with the given modifiers', () => {
+            const {events} = create(filterModifiers({shiftKey: true, altKey: false}));
+            new InputDriver(element).press(10, 10).move(20, 10, {shiftKey: true}).release(20, 10)
+                .press(30, 10, {shiftKey: true}).move(40, 10).release(40, 10);
+            assert.deepEqual(events, [['start', 30], ['move', 40], ['end', 40]]);
+        });
+
+        it('holds the moves back inside of the dead zone', () => {
+            assert.throws(() => deadZone(-1), /Invalid dead zone distance '-1'/);
+            const {events} = create(deadZone(10));
+            new InputDriver(element).press(10, 10).move(15, 10).move(25, 10).move(12, 10).release(12, 10);
+            assert.deepEqual(events, [['start', 10], ['move', 25], ['move', 12], ['end', 12]]);
+        });
+
+        it('smooths the positions of the moves', () => {
+            assert.throws(() => smooth(0), /Invalid smoothing factor '0'/);
+            const {events} = create(smooth(0.5));
+            new InputDriver(element).press(0, 10).move(10, 10).move(20, 10).release(20, 10);
+            assert.deepEqual(events, [['start', 0], ['move', 10], ['move', 15], ['end', 20]]);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, PointerController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('Move scheduling', () => {
+    let element;
+
+    beforeEach(() => {
+        const win = setUpWindow({timers: true});
+        win.requestAnimationFrame = callback => setTimeout(() => callback(0), 16);
+        win.cancelAnimationFrame = id => clearTimeout(id);
+        element = win.document.createElement('div', {left: 0, top: 0, width: 200, height: 200});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates an initialized controller recording its events as [event, x] and the history of scheduled moves
+     */
+    function create(controllerClass, options) {
+        return recordEvents(new controllerClass(element, undefined, options), ['start', 'move', 'end'], (event, e) => {
+            const history = e.history ? [e.history.map(sample => sample.getPointer().x)] : [];
+            return [event, e.getPointer().x].concat(history);
+        });
+    }
+
+    it('triggers every native move without scheduling', () => {
+        const {events} = create(MouseController);
+        new InputDriver(element).press(0, 0).move(10, 0).move(20, 0);
+        assert.deepEqual(events.slice(1), [['move', 10], ['move', 20]]);
+    });
+
+    it('coalesces the moves of a frame and keeps the samples as history', () => {
+        const {events} = create(MouseController, {moveScheduling: 'frame'});
+        const driver = new InputDriver(element).press(0, 0).move(10, 0).move(20, 0).move(30, 0);
+        assert.deepEqual(events, [['start', 0]]);
+        mock.timers.tick(16);
+        assert.deepEqual(events, [['start', 0], ['move', 30, [10, 20, 30]]]);
+        driver.move(40, 0);
+        mock.timers.tick(16);
+        assert.deepEqual(events.pop(), ['move', 40, [40]]);
+    });
+
+    it('flushes the buffered moves before any other event', () => {
+        const {events} = create(MouseController, {moveScheduling: 'frame'});
+        new InputDriver(element).press(0, 0).move(10, 0).move(20, 0).release(20, 0);
+        assert.deepEqual(events, [['start', 0], ['move', 20, [10, 20]], ['end', 20]]);
+        mock.timers.tick(16);
+        assert.equal(events.length, 3);
+    });
+
+    it('throttles the moves to an interval', () => {
+        const {events} = create(MouseController, {moveScheduling: 100});
+        new InputDriver(element).press(0, 0).move(10, 0).move(20, 0).move(30, 0);
+        assert.deepEqual(events, [['start', 0], ['move', 10, [10]]]);
+        mock.timers.tick(100);
+        assert.deepEqual(events.pop(), ['move', 30, [20, 30]]);
+    });
+
+    it('uses the coalesced events of the browser and buffers per pointer', () => {
+        const {events} = create(PointerController, {moveScheduling: 'frame'});
+        const dispatch = (type, pointerId, x, coalesced = []) => element.dispatchEvent(Object.assign(
+            new Event(type, {bubbles: true}), {pointerId, pointerType: 'touch', clientX: x, clientY: 0, pageX: x,
+                pageY: 0, buttons: 1, pressure: 0.5, getCoalescedEvents: () => coalesced}));
+        const sample = x => ({pointerId: 1, pointerType: 'touch', clientX: x, clientY: 0, pageX: x, pageY: 0,
+            buttons: 1, pressure: 0.5});
+        dispatch('pointerdown', 1, 0);
+        dispatch('pointerdown', 2, 100);
+        dispatch('pointermove', 1, 20, [sample(10), sample(20)]);
+        dispatch('pointermove', 2, 110);
+        dispatch('pointermove', 1, 30);
+        mock.timers.tick(16);
+        assert.deepEqual(events.filter(([event]) => event === 'move'),
+            [['move', 30, [10, 20, 30]], ['move', 110, [110]]]);
+    });
+
+    it('passes the scheduling on to the sub-controllers and validates it', () => {
+        const multi = new MultiController(element);
+        multi.createController(MouseController);
+        multi.setMoveScheduling('frame');
+        assert.equal(multi.getControllers()[0].getMoveScheduling(), 'frame');
+        assert.throws(() => multi.setMoveScheduling('idle'), /Invalid move scheduling 'idle'/);
+        assert.throws(() => multi.setMoveScheduling(0), /Invalid move scheduling/);
+    });
+});
@@ -0,0 +1,125 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, TouchController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('MultiController', () => {
+    let element;
+
+    beforeEach(() => {
+        const win = setUpWindow({window: {maxTouchPoints: 2}});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 200, height: 200});
+    });
+
+    afterEach(tearDownWindow);
+
+    describe('bubbling', () => {
+        it('bubbles the events of its sub-controllers tagged with their origin', () => {
+            const multi = new MultiController(element);
+            multi.createController(MouseController);
+            const [mouse] = multi.getControllers();
+            const origins = [];
+            multi.registerCallback('start', e => origins.push([e.source, e.controller]));
+            multi.initialize();
+
+            new InputDriver(element).press(10, 10).release(10, 10);
+            assert.deepEqual(origins, [['mouse', mouse]]);
+            assert.equal(mouse.getParent(), multi);
+        });
+
+        it('bubbles through nested multi-controllers until a handler stops it', () => {
+            const root = new MultiController(element);
+            const inner = new MultiController(element);
+            inner.createController(MouseController);
+            root.addController(inner);
+            const reached = [];
+            inner.registerCallback('start', () => reached.push('inner'));
+            root.registerCallback('start', () => reached.push('root'));
+            inner.registerCallback('end', e => {
+                reached.push('inner');
+                e.stopBubbling();
+            });
+            root.registerCallback('end', () => reached.push('root'));
+            root.initialize();
+
+            new InputDriver(element).press(10, 10).release(10, 10);
+            assert.deepEqual(reached, ['inner', 'root', 'inner']);
+        });
+
+        it('notifies the sub-controllers of its own events', () => {
+            const multi = new MultiController(element);
+            multi.createController(MouseController);
+            const [mouse] = multi.getControllers();
+            const reached = [];
+            mouse.registerCallback('custom', () => reached.push('mouse'));
+            multi.registerCallback('custom', () => reached.push('multi'));
+            multi.initialize();
+
+            multi.trigger('custom');
+            mouse.trigger('custom');
+            assert.deepEqual(reached, ['multi', 'mouse', 'mouse', 'multi']);
+        });
+
+        it('stops bubbling once a sub-controller is removed', () => {
+            const multi = new MultiController(element);
+            const touch = new TouchController(element);
+            multi.addController(touch);
+            const sources = [];
+            multi.registerCallback('start', e => sources.push(e.source));
+            multi.initialize();
+
+            multi.removeController(touch);
+            assert.equal(touch.getParent(), null);
+            new InputDriver(element).touchStart([[10, 10]]).touchEnd();
+            assert.deepEqual(sources, []);
+        });
+    });
+
+    describe('deduplication', () => {
+        /**
+         * @brief Creates an initialized touch and mouse multi-controller recording its events as [event, source]
+         */
+        function create(options) {
+            const multi = new MultiController(element, undefined, options);
+            multi.createController(TouchController).createController(MouseController);
+            const events = [];
+            ['start', 'end'].forEach(event => multi.registerCallback(event, e => events.push([event, e.source])));
+            multi.registerCallback('inputchange', e => events.push(['inputchange', e.previousInput, e.input]));
+            multi.initialize();
+            return {multi, events};
+        }
+
+        it('drops the compatibility mouse events following a tap', () => {
+            const {multi, events} = create();
+            new InputDriver(element).touchStart([[50, 50]]).touchEnd().advance(30).press(51, 50).release(51, 50);
+            assert.deepEqual(events, [['inputchange', null, 'touch'], ['start', 'touch'], ['end', 'touch']]);
+            assert.equal(multi.getActiveInput(), 'touch');
+        });
+
+        it('drops mouse events while a touch is down', () => {
+            const {events} = create();
+            new InputDriver(element).touchStart([[50, 50]]).press(150, 150).release(150, 150).touchEnd();
+            assert.deepEqual(events.filter(([, source]) => source === 'mouse'), []);
+        });
+
+        it('accepts mouse input outside of the time and distance windows', () => {
+            const {multi, events} = create({dedupTimeout: 500, dedupDistance: 10});
+            const driver = new InputDriver(element).touchStart([[50, 50]]).touchEnd();
+            driver.advance(30).press(80, 50).release(80, 50);
+            driver.touchStart([[50, 50]]).touchEnd().advance(600).press(50, 50).release(50, 50);
+            assert.deepEqual(events.filter(([event]) => event === 'inputchange'), [
+                ['inputchange', null, 'touch'], ['inputchange', 'touch', 'mouse'],
+                ['inputchange', 'mouse', 'touch'], ['inputchange', 'touch', 'mouse']
+            ]);
+            assert.equal(multi.getActiveInput(), 'mouse');
+        });
+
+        it('keeps every event without deduplication', () => {
+            const {events} = create({deduplicate: false});
+            new InputDriver(element).touchStart([[50, 50]]).touchEnd().advance(30).press(50, 50).release(50, 50);
+            assert.deepEqual(events.filter(([event]) => event === 'start'), [['start', 'touch'], ['start', 'mouse']]);
+        });
+    });
+});
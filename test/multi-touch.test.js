@@ -0,0 +1,116 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {TouchController, PointerController} from '../controllers.js';
+import {MultiTouchRecognizer} from '../gestures.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('MultiTouchRecognizer', () => {
+    let element;
+    let touch;
+    let recognizer;
+    let events;
+
+    beforeEach(() => {
+        const win = setUpWindow({window: {maxTouchPoints: 5}});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 400, height: 400});
+        touch = new TouchController(element);
+        recognizer = new MultiTouchRecognizer(touch);
+        events = [];
+        ['pinchstart', 'pinch', 'rotate', 'pan', 'pinchend'].forEach(type => {
+            recognizer.registerCallback(type, e => events.push(Object.assign({type}, e)));
+        });
+        touch.initialize();
+        recognizer.initialize();
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Gets the last recorded event of a type
+     */
+    function last(type) {
+        return events.filter(e => e.type === type).pop();
+    }
+
+    it('starts on the second finger and ends below two fingers', () => {
+        const driver = new InputDriver(element).touchStart([[100, 100]]);
+        assert.deepEqual(events, []);
+        driver.touchStart([[200, 100]]);
+        assert.deepEqual(events.map(e => e.type), ['pinchstart']);
+        assert.deepEqual(last('pinchstart').center, {clientX: 150, clientY: 100});
+
+        driver.touchEnd([1]);
+        assert.deepEqual(events.map(e => e.type), ['pinchstart', 'pinchend']);
+        driver.touchEnd();
+        assert.equal(events.length, 2);
+    });
+
+    it('reports the cumulative scale of a pinch', () => {
+        new InputDriver(element)
+            .touchStart([[100, 100], [200, 100]])
+            .touchMove([[50, 100], [250, 100]])
+            .touchMove([[0, 100], [300, 100]])
+            .touchEnd();
+        assert.equal(last('pinch').scale, 3);
+        assert.equal(last('pinchend').scale, 3);
+    });
+
+    it('reports the rotation delta and cumulative rotation in degrees', () => {
+        new InputDriver(element)
+            .touchStart([[100, 150], [200, 150]])
+            .touchMove([[150, 100], [150, 200]])
+            .touchEnd();
+        const rotate = last('rotate');
+        assert.ok(Math.abs(rotate.rotationDelta - 90) < 1e-9);
+        assert.ok(Math.abs(rotate.rotation - 90) < 1e-9);
+        assert.ok(Math.abs(rotate.scale - 1) < 1e-9);
+    });
+
+    it('reports the centroid translation of a two-finger pan', () => {
+        new InputDriver(element)
+            .touchStart([[100, 100], [200, 100]])
+            .touchMove([[110, 130], [210, 130]])
+            .touchMove([[120, 140], [220, 140]])
+            .touchEnd();
+        const pan = last('pan');
+        assert.deepEqual([pan.deltaX, pan.deltaY], [10, 10]);
+        assert.deepEqual([pan.translationX, pan.translationY], [20, 40]);
+        assert.equal(pan.scale, 1);
+    });
+
+    it('rebases when fingers join or leave mid-gesture', () => {
+        const driver = new InputDriver(element)
+            .touchStart([[100, 100], [200, 100]])
+            .touchMove([[90, 100], [210, 100]]);
+        const scale = last('pinch').scale;
+
+        driver.touchStart([[150, 300]]).touchMove([{id: 2, x: 150, y: 301}]);
+        assert.ok(Math.abs(last('pinch').scale - scale) < 0.01);
+        assert.ok(Math.abs(last('pan').deltaX) < 1e-9);
+
+        driver.touchEnd([0]).touchMove([{id: 1, x: 211, y: 100}]);
+        assert.deepEqual(events.filter(e => e.type === 'pinchend'), []);
+        assert.ok(Math.abs(last('pinch').scale - scale) < 0.01);
+    });
+
+    it('tracks pointers by identifier with a PointerController', () => {
+        const pointer = new PointerController(element);
+        const pointerRecognizer = new MultiTouchRecognizer(pointer);
+        const types = [];
+        pointerRecognizer.registerCallback('pinchstart', () => types.push('pinchstart'));
+        pointerRecognizer.registerCallback('pinchend', () => types.push('pinchend'));
+        touch.dispose();
+        pointer.initialize();
+        pointerRecognizer.initialize();
+
+        const dispatch = (type, pointerId, x) => element.dispatchEvent(Object.assign(new Event(type, {bubbles: true}), {
+            pointerId, pointerType: 'touch', clientX: x, clientY: 0, pageX: x, pageY: 0, buttons: 1, pressure: 0.5
+        }));
+        dispatch('pointerdown', 1, 0);
+        dispatch('pointerdown', 2, 100);
+        dispatch('pointerup', 2, 100);
+        assert.deepEqual(types, ['pinchstart', 'pinchend']);
+    });
+});
@@ -0,0 +1,109 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {PointerController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('PointerController', () => {
+    let element;
+
+    beforeEach(() => {
+        const win = setUpWindow();
+        element = win.document.createElement('div', {left: 0, top: 0, width: 100, height: 100});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Records the controller events as [type, pointerType, clientX]
+     */
+    function record(ctrl) {
+        const events = [];
+        ['start', 'move', 'end', 'cancel', 'enter', 'leave'].forEach(type => ctrl.registerCallback(type, e => {
+            events.push([type, e.getPointer().pointerType, e.getPointer().clientX]);
+        }));
+        return events;
+    }
+
+    it('requires the Pointer Events API', () => {
+        setUpWindow({window: {pointerEvents: false}});
+        assert.equal(PointerController.isPointerSupported(), false);
+        assert.throws(() => new PointerController(element), /Pointer events are not supported/);
+    });
+
+    it('emits the shared event names with normalized pointers', () => {
+        const ctrl = new PointerController(element);
+        const events = record(ctrl);
+        ctrl.initialize();
+
+        new InputDriver(element, {events: 'pointer', pointerType: 'pen'})
+            .enter(5, 5).press(10, 10).move(20, 10).release(20, 10).leave(30, 10);
+        assert.deepEqual(events, [
+            ['enter', 'pen', 5],
+            ['start', 'pen', 10],
+            ['move', 'pen', 20],
+            ['end', 'pen', 20],
+            ['leave', 'pen', 30]
+        ]);
+    });
+
+    it('emits cancel for pointercancel', () => {
+        const ctrl = new PointerController(element);
+        const events = record(ctrl);
+        ctrl.initialize();
+
+        new InputDriver(element, {events: 'pointer', pointerType: 'touch'}).press(10, 10);
+        element.dispatchEvent(Object.assign(new Event('pointercancel'), {pointerId: 1, pointerType: 'touch'}));
+        assert.deepEqual(events.map(([type]) => type), ['start', 'cancel']);
+    });
+
+    it('captures the pointer while pressed', () => {
+        const ctrl = new PointerController(element);
+        ctrl.initialize();
+
+        const driver = new InputDriver(element, {events: 'pointer'}).press(10, 10);
+        assert.ok(element.hasPointerCapture(1));
+        driver.release(10, 10);
+        assert.ok(!element.hasPointerCapture(1));
+    });
+
+    it('does not capture the pointer of a start that is not delivered', () => {
+        const ctrl = new PointerController(element);
+        ctrl.initialize();
+        const driver = new InputDriver(element, {events: 'pointer'});
+
+        ctrl.setEnabled(false);
+        driver.press(10, 10).release(10, 10);
+        assert.ok(!element.hasPointerCapture(1));
+
+        ctrl.setEnabled(true);
+        ctrl.setDelegate('.item');
+        driver.press(10, 10);
+        assert.ok(!element.hasPointerCapture(1));
+        driver.release(10, 10);
+
+        ctrl.setDelegate(null).use((event, e, next) => {
+            if (event !== 'start') {
+                next();
+            }
+        });
+        driver.press(10, 10);
+        assert.ok(!element.hasPointerCapture(1));
+    });
+
+    it('filters pointer types', () => {
+        const ctrl = new PointerController(element, undefined, {pointerTypes: ['pen']});
+        const events = record(ctrl);
+        ctrl.initialize();
+
+        new InputDriver(element, {events: 'pointer', pointerType: 'mouse'}).press(10, 10).release(10, 10);
+        assert.deepEqual(events, []);
+        assert.ok(!element.hasPointerCapture(1));
+
+        ctrl.setPointerTypes(['mouse', 'pen']);
+        assert.deepEqual(ctrl.getPointerTypes(), ['mouse', 'pen']);
+        new InputDriver(element, {events: 'pointer', pointerType: 'mouse'}).press(10, 10).release(10, 10);
+        assert.deepEqual(events.map(([type]) => type), ['start', 'end']);
+    });
+});
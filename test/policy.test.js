@@ -0,0 +1,116 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {MouseController, TouchController, MultiController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('Input policy', () => {
+    let win;
+    let element;
+
+    beforeEach(() => {
+        win = setUpWindow({window: {maxTouchPoints: 2}});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 200, height: 200});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Initializes the controller and records whether the default action of the native events was prevented
+     */
+    function watch(ctrl) {
+        ctrl.initialize();
+        const prevented = [];
+        ['touchstart', 'touchmove', 'touchend', 'mousedown', 'mousemove'].forEach(type => {
+            win.document.addEventListener(type, e => prevented.push([type, e.defaultPrevented]));
+        });
+        return prevented;
+    }
+
+    /**
+     * @brief Records the passive flag of the listeners added on the element by type
+     */
+    function spyListeners() {
+        const passive = {};
+        const addEventListener = element.addEventListener.bind(element);
+        element.addEventListener = (type, handler, options) => {
+            passive[type] = options ? options.passive : undefined;
+            addEventListener(type, handler, options);
+        };
+        return passive;
+    }
+
+    it('prevents the default action of every event in the always mode', () => {
+        const prevented = watch(new TouchController(element, undefined, {policy: {preventDefault: 'always'}}));
+        new InputDriver(element).touchStart([[10, 10]]).touchMove([[11, 10]]).touchEnd();
+        assert.deepEqual(prevented, [['touchstart', true], ['touchmove', true], ['touchend', true]]);
+    });
+
+    it('prevents the default action of pressed pointers in the active mode', () => {
+        const prevented = watch(new MouseController(element, undefined, {policy: {preventDefault: 'active'}}));
+        new InputDriver(element).move(10, 10).press(10, 10).move(12, 10).release(12, 10).move(20, 10);
+        assert.deepEqual(prevented, [['mousemove', false], ['mousedown', true], ['mousemove', true], ['mousemove', false]]);
+    });
+
+    it('prevents the default action past the threshold in the threshold mode', () => {
+        const prevented = watch(new TouchController(element, undefined, {policy: {preventDefault: 'threshold', threshold: 10}}));
+        new InputDriver(element).touchStart([[10, 10]]).touchMove([[15, 10]]).touchMove([[25, 10]]).touchEnd();
+        assert.deepEqual(prevented, [['touchstart', false], ['touchmove', false], ['touchmove', true], ['touchend', true]]);
+    });
+
+    it('lets touch handlers prevent the default action only with non-passive listeners', () => {
+        const passive = new TouchController(element);
+        passive.registerCallback('move', e => e.preventDefault());
+        const prevented = watch(passive);
+        new InputDriver(element).touchStart([[10, 10]]).touchMove([[20, 10]]).touchEnd();
+        passive.dispose();
+
+        const active = new TouchController(element, undefined, {policy: {passive: false}});
+        active.registerCallback('move', e => e.preventDefault());
+        active.initialize();
+        new InputDriver(element).touchStart([[10, 10]]).touchMove([[20, 10]]).touchEnd();
+        assert.deepEqual(prevented.filter(([type]) => type === 'touchmove'), [['touchmove', false], ['touchmove', true]]);
+    });
+
+    it('sets the passive flag of the listeners', () => {
+        const passive = spyListeners();
+        new TouchController(element, undefined, {policy: {passive: {touchstart: true}}}).initialize();
+        assert.equal(passive.touchstart, true);
+        assert.equal(passive.touchmove, true);
+        assert.equal(passive.touchend, undefined);
+
+        const ctrl = new MouseController(element);
+        ctrl.initialize();
+        assert.equal(passive.mousedown, undefined);
+        ctrl.setPolicy({preventDefault: 'active'});
+        assert.equal(passive.mousedown, false);
+        ctrl.setPolicy({passive: true});
+        assert.equal(passive.mousedown, true);
+    });
+
+    it('applies the styles while enabled and restores them after the last controller', () => {
+        element.style.touchAction = 'auto';
+        const multi = new MultiController(element, undefined, {policy: {touchAction: 'pan-y', userSelect: 'none'}});
+        multi.createController(MouseController);
+        assert.equal(multi.getControllers()[0].getPolicy().touchAction, 'pan-y');
+        multi.initialize();
+        assert.deepEqual([element.style.touchAction, element.style.userSelect, element.style.webkitUserSelect],
+            ['pan-y', 'none', 'none']);
+
+        multi.getControllers()[0].setEnabled(false);
+        assert.equal(element.style.touchAction, 'pan-y');
+        multi.setEnabled(false);
+        assert.deepEqual([element.style.touchAction, element.style.userSelect], ['auto', '']);
+    });
+
+    it('validates the policy', () => {
+        const ctrl = new MouseController(element);
+        assert.throws(() => ctrl.setPolicy({preventDefault: 'sometimes'}), /Invalid preventDefault mode 'sometimes'/);
+        assert.throws(() => ctrl.setPolicy({preventDefault: 'always', passive: true}), /passive listeners/);
+        assert.throws(() => ctrl.setPolicy({preventDefault: 'threshold', passive: {mousedown: false, mousemove: true}}),
+            /passive listeners/);
+        assert.deepEqual(ctrl.setPolicy({threshold: 5}).getPolicy(),
+            {passive: null, preventDefault: null, threshold: 5, touchAction: null, userSelect: null});
+    });
+});
@@ -0,0 +1,120 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {ControllerEvent, MouseController} from '../controllers.js';
+import {InputRecorder, InputPlayer} from '../recorder.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('InputRecorder and InputPlayer', () => {
+    let element;
+    let mouse;
+
+    beforeEach(() => {
+        const win = setUpWindow({timers: true});
+        element = win.document.createElement('div', {left: 10, top: 10, width: 100, height: 100});
+        mouse = new MouseController(element);
+        mouse.initialize();
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Records a press, two moves and a release 20ms apart
+     */
+    function recordDrag() {
+        const recorder = new InputRecorder(mouse).start();
+        new InputDriver(element, {time: 1000}).press(20, 20).advance(20).move(30, 25).advance(20).move(40, 30)
+            .advance(20).release(40, 30);
+        return recorder.stop();
+    }
+
+    /**
+     * @brief Creates a target controller recording the replayed events as [event, x, timeStamp]
+     */
+    function target() {
+        return recordEvents(new MouseController(element.ownerDocument.createElement('div')),
+            ['start', 'move', 'end', 'custom'],
+            (event, e) => (e instanceof ControllerEvent ? [event, e.getPointer().x, e.timeStamp] : [event, e]));
+    }
+
+    it('records the events with times relative to the first one', () => {
+        const recorder = new InputRecorder(mouse);
+        assert.ok(!recorder.isRecording());
+        recorder.start();
+        assert.ok(recorder.isRecording());
+        assert.throws(() => recorder.start(), /already recording/);
+        recorder.stop();
+        assert.ok(!recorder.isRecording());
+
+        const recording = recordDrag();
+        assert.equal(recording.version, 1);
+        assert.deepEqual(recording.events.map(entry => [entry.event, entry.time]),
+            [['start', 0], ['move', 20], ['move', 40], ['end', 60]]);
+        assert.equal(recording.events[1].data.pointers[0].x, 20);
+        assert.equal('originalEvent' in recording.events[0].data, false);
+    });
+
+    it('stops recording once stopped', () => {
+        const recording = recordDrag();
+        new InputDriver(element).press(20, 20).release(20, 20);
+        assert.equal(recording.events.length, 4);
+        assert.equal(new InputRecorder(mouse).getRecording().events.length, 0);
+    });
+
+    it('keeps recording when the callbacks are unregistered', () => {
+        const recorder = new InputRecorder(mouse).start();
+        mouse.unregisterCallback('start').unregisterCallback('move');
+        new InputDriver(element).press(20, 20).move(30, 25);
+        assert.deepEqual(recorder.stop().events.map(entry => entry.event), ['start', 'move']);
+    });
+
+    it('replays a JSON recording synchronously at infinite speed', async () => {
+        const json = JSON.stringify(recordDrag());
+        const {events} = target();
+        await new InputPlayer(target().ctrl, json, {speed: Infinity}).play();
+        const replayed = target();
+        await new InputPlayer(replayed.ctrl, json, {speed: Infinity}).play();
+        assert.deepEqual(events, []);
+        assert.deepEqual(replayed.events, [['start', 10, 0], ['move', 20, 20], ['move', 30, 40], ['end', 30, 60]]);
+    });
+
+    it('replays with the recorded timing divided by the speed', async () => {
+        const recording = recordDrag();
+        const {ctrl, events} = target();
+        const player = new InputPlayer(ctrl, recording, {speed: 2});
+        const done = player.play();
+        assert.ok(player.isPlaying());
+        assert.throws(() => player.play(), /already playing/);
+
+        mock.timers.tick(0);
+        assert.deepEqual(events.map(([event]) => event), ['start']);
+        mock.timers.tick(10);
+        assert.deepEqual(events.map(([event]) => event), ['start', 'move']);
+        mock.timers.tick(20);
+        assert.deepEqual(events.map(([event]) => event), ['start', 'move', 'move', 'end']);
+        await done;
+        assert.ok(!player.isPlaying());
+    });
+
+    it('stops a running playback', async () => {
+        const recording = recordDrag();
+        const {ctrl, events} = target();
+        const player = new InputPlayer(ctrl, recording);
+        const done = player.play();
+        mock.timers.tick(30);
+        player.stop();
+        await done;
+        mock.timers.tick(100);
+        assert.deepEqual(events.map(([event]) => event), ['start', 'move']);
+    });
+
+    it('replays plain payloads and rejects unknown versions', async () => {
+        const {ctrl, events} = target();
+        await new InputPlayer(ctrl, {version: 1, events: [{time: 0, event: 'custom', data: {id: 7}}]},
+            {speed: Infinity}).play();
+        assert.deepEqual(events, [['custom', {id: 7}]]);
+        await new InputPlayer(ctrl, {version: 1, events: []}).play();
+        assert.throws(() => new InputPlayer(ctrl, {version: 2, events: []}), /Unsupported recording version '2'/);
+    });
+});
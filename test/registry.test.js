@@ -0,0 +1,101 @@
+import {describe, it, beforeEach, afterEach} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {ControllerState, MouseController, TouchController, MultiController} from '../controllers.js';
+import {ControllerRegistry} from '../registry.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow} from './helpers.js';
+
+describe('ControllerRegistry', () => {
+    let element;
+    let registry;
+
+    beforeEach(() => {
+        const win = setUpWindow({window: {maxTouchPoints: 2}});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 100, height: 100});
+        registry = new ControllerRegistry();
+    });
+
+    afterEach(tearDownWindow);
+
+    it('knows the built-in controllers and registers custom ones', () => {
+        assert.deepEqual(registry.getNames(),
+            ['mouse', 'hoverintent', 'touch', 'pointer', 'keyboard', 'keyboardpointer', 'wheel', 'multi', 'drag']);
+        assert.equal(registry.get('touch'), TouchController);
+
+        class LassoController extends MouseController {
+        }
+        registry.register('lasso', LassoController);
+        assert.equal(registry.get('lasso'), LassoController);
+        assert.throws(() => registry.register('lasso', LassoController), /already registered/);
+        assert.throws(() => registry.register('plain', class {}), /must be a class extending AbstractController/);
+        assert.throws(() => registry.register('', LassoController), /Invalid controller type name/);
+        assert.ok(!registry.unregister('lasso').has('lasso'));
+        assert.equal(registry.get('lasso'), null);
+    });
+
+    it('builds and initializes a controller tree', () => {
+        const starts = [];
+        const root = registry.create({
+            type: 'multi',
+            options: {dedupTimeout: 1000},
+            children: [{type: 'mouse', on: {start: 'child'}}, {type: 'touch', options: {moveScheduling: 'frame'}}],
+            on: {'start.preset': ['root', e => starts.push(['inline', e.source])]}
+        }, element, {handlers: {root: e => starts.push(['root', e.source]), child: () => starts.push(['child'])}});
+
+        assert.ok(root instanceof MultiController);
+        assert.equal(root.getLifecycleState(), ControllerState.ENABLED);
+        const [mouse, touch] = root.getControllers();
+        assert.ok(mouse instanceof MouseController);
+        assert.equal(touch.getMoveScheduling(), 'frame');
+
+        new InputDriver(element).press(10, 10).release(10, 10);
+        assert.deepEqual(starts, [['child'], ['root', 'mouse'], ['inline', 'mouse']]);
+    });
+
+    it('builds without initializing on request', () => {
+        const root = registry.create({type: 'mouse'}, element, {initialize: false});
+        assert.equal(root.getLifecycleState(), ControllerState.CREATED);
+    });
+
+    it('reports every problem with its path', () => {
+        const config = {
+            type: 'multi',
+            extra: true,
+            children: [{type: 'lasso'}, {type: 'mouse', children: []}, 'touch'],
+            on: {start: 'missing', end: 42}
+        };
+        assert.deepEqual(registry.validate(config), [
+            'config.extra: unknown key, expected one of type, options, children, on',
+            'config.children[0].type: unknown controller type \'lasso\', registered types are mouse, hoverintent, '
+                + 'touch, pointer, keyboard, keyboardpointer, wheel, multi, drag',
+            'config.children[1].children: controller type \'mouse\' cannot have children',
+            'config.children[2]: expected an object',
+            'config.on.start: unknown handler \'missing\'',
+            'config.on.end: expected a function or a handler name'
+        ]);
+        assert.deepEqual(registry.validate({type: 'drag', options: [], children: [{type: 'mouse'}]}), [
+            'config.options: expected an object'
+        ]);
+        assert.throws(() => registry.create({options: {}}, element),
+            /Invalid controller configuration:\n- config.type: expected a type name/);
+    });
+
+    it('rejects the event names made of a namespace only', () => {
+        const handlers = {log: () => {}};
+        assert.deepEqual(registry.validate({type: 'mouse', on: {'': 'log', '.tooltip': 'log', 'move.tooltip': 'log'}},
+            {handlers}), [
+            'config.on[""]: expected an event name, optionally namespaced',
+            'config.on[".tooltip"]: expected an event name, optionally namespaced'
+        ]);
+    });
+
+    it('prefixes the errors of the constructors with the path of the node', () => {
+        const config = {type: 'multi', children: [{type: 'touch', options: {moveScheduling: 'sometimes'}}]};
+        assert.deepEqual(registry.validate(config), []);
+        assert.throws(() => registry.create(config, element),
+            {message: 'config.children[0]: Invalid move scheduling \'sometimes\''});
+        assert.throws(() => registry.create({type: 'mouse', options: {moveScheduling: -1}}, element),
+            /^Error: config: Invalid move scheduling '-1'$/);
+    });
+});
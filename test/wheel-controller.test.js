@@ -0,0 +1,142 @@
+import {describe, it, beforeEach, afterEach, mock} from 'node:test';
+import assert from 'node:assert/strict';
+
+import {WheelController} from '../controllers.js';
+import {InputDriver} from '../headless.js';
+import {setUpWindow, tearDownWindow, recordEvents} from './helpers.js';
+
+describe('WheelController', () => {
+    let element;
+
+    beforeEach(() => {
+        const win = setUpWindow({timers: true});
+        element = win.document.createElement('div', {left: 0, top: 0, width: 200, height: 300});
+    });
+
+    afterEach(tearDownWindow);
+
+    /**
+     * @brief Creates an initialized wheel controller recording its events
+     */
+    function create(options) {
+        const ctrl = new WheelController(element, undefined, options);
+        return recordEvents(ctrl, ['wheelstart', 'wheel', 'zoom', 'wheelend'], (type, e) => e);
+    }
+
+    /**
+     * @brief Dispatches a Safari gesture event
+     */
+    function gesture(type, scale) {
+        const event = Object.assign(new Event(type, {bubbles: true, cancelable: true}), {scale});
+        element.dispatchEvent(event);
+        return event;
+    }
+
+    it('converts lines and pages into pixels', () => {
+        const {events} = create({lineHeight: 20});
+        new InputDriver(element)
+            .wheel(10, 10, {deltaY: 30})
+            .wheel(10, 10, {deltaX: 2, deltaY: -3, deltaMode: 1})
+            .wheel(10, 10, {deltaY: 1, deltaMode: 2});
+        const wheels = events.filter(e => e.type === 'wheel');
+        assert.deepEqual(wheels.map(e => [e.deltaX, e.deltaY, e.deltaZ]), [[0, 30, 0], [40, -60, 0], [0, 300, 0]]);
+        assert.equal(wheels[0].source, 'wheel');
+        assert.deepEqual([wheels[0].getPointer().x, wheels[0].getPointer().y], [10, 10]);
+    });
+
+    it('reports Ctrl+wheel and Safari pinch as zoom', () => {
+        const {events} = create({zoomSpeed: 0.01});
+        new InputDriver(element).wheel(10, 10, {deltaY: -100, ctrlKey: true});
+        gesture('gesturestart', 1);
+        gesture('gesturechange', 2);
+        gesture('gesturechange', 3);
+        const zooms = events.filter(e => e.type === 'zoom').map(e => e.scale);
+        assert.equal(zooms.length, 3);
+        assert.ok(Math.abs(zooms[0] - Math.E) < 1e-9);
+        assert.ok(Math.abs(zooms[1] - 2) < 1e-9);
+        assert.ok(Math.abs(zooms[2] - 1.5) < 1e-9);
+        assert.equal(events.filter(e => e.type === 'wheel').length, 0);
+    });
+
+    it('groups a burst of wheel events', () => {
+        const {events} = create({idleTimeout: 100});
+        const driver = new InputDriver(element).wheel(0, 0, {deltaY: 1});
+        mock.timers.tick(80);
+        driver.wheel(0, 0, {deltaY: 1});
+        mock.timers.tick(80);
+        assert.deepEqual(events.map(e => e.type), ['wheelstart', 'wheel', 'wheel']);
+        mock.timers.tick(20);
+        driver.wheel(0, 0, {deltaY: 1});
+        mock.timers.tick(100);
+        assert.deepEqual(events.map(e => e.type),
+            ['wheelstart', 'wheel', 'wheel', 'wheelend', 'wheelstart', 'wheel', 'wheelend']);
+    });
+
+    it('prevents the default action only with non-passive listeners', () => {
+        assert.throws(() => new WheelController(element, undefined, {preventDefault: true}), /passive/);
+
+        const prevented = [];
+        element.ownerDocument.addEventListener('wheel', e => prevented.push(e.defaultPrevented));
+        const {ctrl} = create({passive: false, preventDefault: true});
+        new InputDriver(element).wheel(0, 0, {deltaY: 1});
+        assert.deepEqual(prevented, [true]);
+        assert.deepEqual([ctrl.getPolicy().passive, ctrl.getPolicy().preventDefault], [false, 'always']);
+        const policy = create({passive: false, preventDefault: true, policy: {preventDefault: null}}).ctrl.getPolicy();
+        assert.deepEqual([policy.passive, policy.preventDefault], [false, null]);
+    });
+
+    it('prevents the default action as the policy requires', () => {
+        const prevented = [];
+        element.ownerDocument.addEventListener('wheel', e => prevented.push(e.defaultPrevented));
+        const {ctrl} = create();
+        const driver = new InputDriver(element).wheel(0, 0, {deltaY: 1});
+        ctrl.setPolicy({preventDefault: 'always'});
+        driver.wheel(0, 0, {deltaY: 1}).wheel(0, 0, {deltaY: 1, ctrlKey: true});
+        const gestures = [gesture('gesturestart', 1), gesture('gesturechange', 2)];
+        assert.deepEqual(prevented, [false, true, true]);
+        assert.deepEqual(gestures.map(e => e.defaultPrevented), [true, true]);
+    });
+
+    it('keeps its listeners passive unless the default action is prevented', () => {
+        const passive = {};
+        const addEventListener = element.addEventListener.bind(element);
+        element.addEventListener = (type, handler, options) => {
+            passive[type] = options.passive;
+            addEventListener(type, handler, options);
+        };
+        const {ctrl} = create({policy: {preventDefault: 'always'}});
+        assert.deepEqual(passive, {wheel: false, gesturestart: false, gesturechange: false});
+        assert.throws(() => ctrl.setPolicy({preventDefault: 'always', passive: true}), /passive listeners/);
+        assert.throws(() => ctrl.setPolicy({preventDefault: 'always', passive: {gesturestart: false, wheel: true}}),
+            /passive listeners/);
+        assert.equal(ctrl.getPolicy().preventDefault, 'always');
+
+        ctrl.setPolicy({passive: {wheel: false}});
+        assert.deepEqual(passive, {wheel: false, gesturestart: true, gesturechange: true});
+    });
+
+    it('ignores wheel and gesture events while disabled', () => {
+        const {ctrl, events} = create({idleTimeout: 100, policy: {preventDefault: 'always'}});
+        const driver = new InputDriver(element).wheel(0, 0, {deltaY: 1});
+        ctrl.setEnabled(false);
+        assert.deepEqual(events.map(e => e.type), ['wheelstart', 'wheel', 'wheelend']);
+
+        const prevented = [];
+        element.ownerDocument.addEventListener('wheel', e => prevented.push(e.defaultPrevented));
+        driver.wheel(0, 0, {deltaY: 1, ctrlKey: true});
+        const gestures = [gesture('gesturestart', 1), gesture('gesturechange', 2)];
+        ctrl.setEnabled(true);
+        mock.timers.tick(200);
+        assert.equal(events.length, 3);
+        assert.deepEqual(prevented, [false]);
+        assert.deepEqual(gestures.map(e => e.defaultPrevented), [false, false]);
+    });
+
+    it('ends the burst once disposed', () => {
+        const {ctrl, events} = create();
+        new InputDriver(element).wheel(0, 0, {deltaY: 1});
+        ctrl.dispose();
+        mock.timers.tick(500);
+        assert.deepEqual(events.map(e => e.type), ['wheelstart', 'wheel', 'wheelend']);
+    });
+});